@@ -1,21 +1,52 @@
 #!/usr/bin/env node
 
 import 'dotenv/config';
+import { readFile } from 'node:fs/promises';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
 import * as archidekt from './utils/archidekt.js';
 import * as scryfall from './utils/scryfall.js';
+import * as decklist from './utils/decklist.js';
+import * as validation from './utils/validation.js';
+import * as analysis from './utils/analysis.js';
+import * as exporter from './utils/exporter.js';
+import * as plans from './utils/plans.js';
+import * as journal from './utils/journal.js';
+import * as compare from './utils/compare.js';
+import * as pricing from './utils/pricing.js';
+import * as budget from './utils/budget.js';
+import * as printings from './utils/printings.js';
+import * as folders from './utils/folders.js';
+import * as backups from './utils/backups.js';
+import * as cardcache from './utils/cardcache.js';
+import * as resources from './utils/resources.js';
+import * as prompts from './utils/prompts.js';
+import * as collection from './utils/collection.js';
+import * as simulation from './utils/simulation.js';
+import * as combos from './utils/combos.js';
 
 const server = new Server(
   {
     name: 'command-tower-mcp',
     version: '0.1.0',
-    description: 'Magic: The Gathering deck building tools for Archidekt and Scryfall. For additional research, use web search/fetch to access EDHREC.com (commander staples, synergies), CommanderSpellbook.com (combos), and MTGGoldfish.com (meta, prices).',
+    description: 'Magic: The Gathering deck building tools for Archidekt and Scryfall. Combos are checked with find_combos. For additional research, use web search/fetch to access EDHREC.com (commander staples, synergies) and MTGGoldfish.com (meta, prices).',
   },
   {
     capabilities: {
       tools: {},
+      resources: { subscribe: true, listChanged: true },
+      prompts: {},
       logging: {},
     },
   }
@@ -26,7 +57,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
     tools: [
       {
         name: 'create_deck',
-        description: 'Create a new deck on Archidekt.',
+        description: 'Create a new deck on Archidekt, optionally pre-populated with a decklist and commander(s).',
         inputSchema: {
           type: 'object',
           properties: {
@@ -48,19 +79,148 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: 'Whether the deck should be private (default: true)',
               default: true,
             },
+            commanders: {
+              type: 'string',
+              description: 'Optional commander name(s), one per line (e.g. partners or commander + background)',
+            },
+            folder: {
+              type: 'string',
+              description: 'Optional folder to create the deck in: Folder ID, name or path from the root folder (e.g. \"Commander/Budget\"). Default: root folder',
+            },
+            decklist: {
+              type: 'string',
+              description: 'Optional cards to add, in Archidekt ("1x Sol Ring (cmm) [Ramp]" with # category headers), MTGA ("Commander"/"Deck"/"Sideboard" sections, "1 Sol Ring (CMM) 410") or plain "1 Sol Ring" text',
+            },
           },
           required: ['name'],
         },
       },
+      {
+        name: 'clone_deck',
+        description: 'Copy an Archidekt deck (cards, categories, quantities, printings, finishes, commanders and settings) into a new deck. The copy is private unless private is false.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: ['number', 'string'],
+              description: 'The Archidekt deck ID or archidekt.com deck URL to copy',
+            },
+            name: {
+              type: 'string',
+              description: 'Name for the copy (default: "<original name> (copy)")',
+            },
+            folder: {
+              type: 'string',
+              description: 'Folder for the copy: Folder ID, name or path from the root folder (e.g. \"Commander/Budget\"). Default: root folder',
+            },
+            format: {
+              type: 'string',
+              description: 'Format for the copy (default: same as the original): commander, standard, modern, legacy, vintage, pauper, pioneer, brawl, historic, oathbreaker',
+            },
+            private: {
+              type: 'boolean',
+              description: 'Whether the copy should be private (default: true, even when the original is public)',
+              default: true,
+            },
+          },
+          required: ['deck_id'],
+        },
+      },
+      {
+        name: 'delete_deck',
+        description: 'Permanently delete an Archidekt deck. Requires confirm_name to match the deck name exactly. A JSON backup of the deck is saved locally first.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: 'number',
+              description: 'The Archidekt deck ID to delete',
+            },
+            confirm_name: {
+              type: 'string',
+              description: 'The exact name of the deck, to confirm the deletion',
+            },
+          },
+          required: ['deck_id', 'confirm_name'],
+        },
+      },
       {
         name: 'list_decks',
-        description: 'List all decks in your Archidekt account.',
+        description: 'List all decks in your Archidekt account, optionally only those in one folder.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            folder: {
+              type: 'string',
+              description: 'Only list decks in this folder and its subfolders: Folder ID, name or path from the root folder (e.g. \"Commander/Budget\")',
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'list_folders',
+        description: 'Show your Archidekt folders as a tree with deck counts.',
         inputSchema: {
           type: 'object',
           properties: {},
           required: [],
         },
       },
+      {
+        name: 'create_folder',
+        description: 'Create a folder in your Archidekt account.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Name for the new folder',
+            },
+            parent: {
+              type: 'string',
+              description: 'Parent folder: Folder ID, name or path from the root folder (e.g. \"Commander/Budget\"). Default: root folder',
+            },
+          },
+          required: ['name'],
+        },
+      },
+      {
+        name: 'rename_folder',
+        description: 'Rename an Archidekt folder.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            folder: {
+              type: 'string',
+              description: 'Folder to rename: Folder ID, name or path from the root folder (e.g. \"Commander/Budget\")',
+            },
+            name: {
+              type: 'string',
+              description: 'New folder name',
+            },
+          },
+          required: ['folder', 'name'],
+        },
+      },
+      {
+        name: 'move_deck',
+        description: 'Move an Archidekt deck into another folder.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: 'number',
+              description: 'The Archidekt deck ID to move',
+            },
+            folder: {
+              type: 'string',
+              description: 'Destination folder: Folder ID, name or path from the root folder (e.g. \"Commander/Budget\")',
+            },
+          },
+          required: ['deck_id', 'folder'],
+        },
+      },
       {
         name: 'read_deck',
         description: 'Read the contents of an Archidekt deck. Returns a formatted list of card names.',
@@ -68,16 +228,61 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           type: 'object',
           properties: {
             deck_id: {
-              type: 'number',
-              description: 'The Archidekt deck ID to read',
+              type: ['number', 'string'],
+              description: 'The Archidekt deck ID or archidekt.com deck URL to read (public decks need no login)',
             },
           },
           required: ['deck_id'],
         },
       },
+      {
+        name: 'search_public_decks',
+        description: 'Search public Archidekt decks by commander, cards, format, colors, owner or name. No login needed. Use read_deck or clone_deck with a result\'s ID to pull it in.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            commander: {
+              type: 'string',
+              description: 'Commander name',
+            },
+            cards: {
+              type: 'string',
+              description: 'Card names the deck must contain, one per line',
+            },
+            format: {
+              type: 'string',
+              description: 'Deck format: commander, standard, modern, legacy, vintage, pauper, pioneer, brawl, historic, oathbreaker',
+            },
+            colors: {
+              type: 'string',
+              description: 'Deck colors as letters, e.g. "WUB" or "C" for colorless',
+            },
+            owner: {
+              type: 'string',
+              description: 'Owner\'s Archidekt username',
+            },
+            name: {
+              type: 'string',
+              description: 'Text in the deck name',
+            },
+            order: {
+              type: 'string',
+              enum: ['views', 'updated', 'created'],
+              description: 'Sort order (default views)',
+              default: 'views',
+            },
+            page: {
+              type: 'number',
+              description: 'Page of results, 20 per page (default 1)',
+              default: 1,
+            },
+          },
+          required: [],
+        },
+      },
       {
         name: 'update_deck',
-        description: 'Update cards in an Archidekt deck. Provide cards to add and/or remove as text lists.',
+        description: 'Update cards in an Archidekt deck. Provide cards to add and/or remove as text lists. Use dry_run to preview the resolved changes first.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -87,210 +292,2351 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             cards_to_add: {
               type: 'string',
-              description: 'Cards to add. Use # headers for categories, e.g.:\n# Commander\n1 Kenrith, the Returned King\n# Ramp\n1 Sol Ring\n1 Arcane Signet',
+              description: 'Cards to add. Use # headers for categories, e.g.:\n# Commander\n1 Kenrith, the Returned King\n# Ramp\n1 Sol Ring\n1 Arcane Signet\nAdd a set code and collector number to pick a printing, and *F* or *E* for foil or etched, e.g. "1 Sol Ring (CMM) 410 *F*"',
             },
             cards_to_remove: {
               type: 'string',
               description: 'Cards to remove, one per line. Format: "2 Sol Ring" or "1x Lightning Bolt"',
             },
+            dry_run: {
+              type: 'boolean',
+              description: 'Preview the resolved changes without writing them. Returns a plan_token that applies exactly that plan.',
+              default: false,
+            },
+            plan_token: {
+              type: 'string',
+              description: 'Apply a plan returned by an earlier dry_run (cards_to_add/cards_to_remove are ignored)',
+            },
           },
           required: ['deck_id'],
         },
       },
       {
-        name: 'lookup_cards',
-        description: 'Look up Magic: The Gathering cards by name. Returns oracle text, mana cost, type, and other details. Use this to learn about unfamiliar cards.',
+        name: 'modify_cards',
+        description: 'Change existing cards in an Archidekt deck in place: move them between categories, set quantity, foil/etched finish, label, custom mana value or companion flag. Cards are matched by name; every entry of that name is changed.',
         inputSchema: {
           type: 'object',
           properties: {
-            card_names: {
+            deck_id: {
+              type: 'number',
+              description: 'The Archidekt deck ID to modify',
+            },
+            changes: {
+              type: 'array',
+              description: 'Changes to make; only the fields you set are changed',
+              items: {
+                type: 'object',
+                properties: {
+                  name: {
+                    type: 'string',
+                    description: 'Card name as it appears in the deck',
+                  },
+                  categories: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'New categories, primary first (e.g. ["Ramp", "Artifact"])',
+                  },
+                  quantity: {
+                    type: 'number',
+                    description: 'New quantity (at least 1; use update_deck to remove cards)',
+                  },
+                  modifier: {
+                    type: 'string',
+                    enum: ['Normal', 'Foil', 'Etched'],
+                    description: 'Card finish',
+                  },
+                  label: {
+                    type: 'string',
+                    description: 'Label name, optionally with a color as "Name,#rrggbb". Empty string clears the label.',
+                  },
+                  custom_cmc: {
+                    type: ['number', 'null'],
+                    description: 'Mana value override used for the curve; null clears it',
+                  },
+                  companion: {
+                    type: 'boolean',
+                    description: 'Whether the card is the deck\'s companion',
+                  },
+                },
+                required: ['name'],
+              },
+            },
+          },
+          required: ['deck_id', 'changes'],
+        },
+      },
+      {
+        name: 'set_printings',
+        description: 'Switch the printing of every card in an Archidekt deck (or just the listed cards): to a specific set, the cheapest, oldest or newest paper printing, or off digital-only printings. Finishes (foil/etched) are kept; cards without a matching printing are left alone.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: 'number',
+              description: 'The Archidekt deck ID',
+            },
+            strategy: {
               type: 'string',
-              description: 'Card names to look up, one per line (max 150)',
+              enum: printings.PRINTING_STRATEGIES,
+              description: 'set: printing from set_code; cheapest/oldest/newest: among paper printings; paper: only replace digital-only printings with the newest paper one',
+            },
+            set_code: {
+              type: 'string',
+              description: 'Set code for the "set" strategy (e.g. "CMM")',
+            },
+            currency: {
+              type: 'string',
+              enum: pricing.CURRENCIES,
+              description: 'Currency for the "cheapest" strategy (default usd)',
+              default: 'usd',
+            },
+            cards: {
+              type: 'string',
+              description: 'Optional card names to change, one per line (default: every card in the deck)',
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'List the printing changes without applying them',
+              default: false,
             },
           },
-          required: ['card_names'],
+          required: ['deck_id', 'strategy'],
         },
       },
       {
-        name: 'search_cards',
-        description: 'Search for Magic: The Gathering cards using Scryfall query syntax. Examples: "ci:simic t:creature cmc<=3" (Simic creatures 3 or less), "o:\\"draw a card\\" c:blue" (blue cards with draw), "otag:ramp ci:green" (green ramp cards), "t:legendary t:creature" (legendary creatures).',
+        name: 'update_deck_settings',
+        description: 'Change an existing Archidekt deck\'s name, format, privacy, theorycrafted flag, Commander bracket or folder. Only the settings you pass are changed; returns the before and after values.',
         inputSchema: {
           type: 'object',
           properties: {
-            query: {
+            deck_id: {
+              type: 'number',
+              description: 'The Archidekt deck ID',
+            },
+            name: {
               type: 'string',
-              description: 'Scryfall query string. Common filters: c: (color), ci: (color identity), t: (type), o: (oracle text), otag: (EDHREC tag), cmc: (mana value), pow: (power), tou: (toughness)',
+              description: 'New deck name',
             },
-            limit: {
+            format: {
+              type: 'string',
+              description: 'Deck format: commander, standard, modern, legacy, vintage, pauper, pioneer, brawl, historic, oathbreaker',
+            },
+            private: {
+              type: 'boolean',
+              description: 'Whether the deck is private',
+            },
+            unlisted: {
+              type: 'boolean',
+              description: 'Whether the deck is unlisted (public by link only)',
+            },
+            theorycrafted: {
+              type: 'boolean',
+              description: 'Whether the deck is marked as theorycrafted',
+            },
+            bracket: {
+              type: ['number', 'null'],
+              description: 'Commander bracket 1-5, or null to clear it',
+            },
+            folder_id: {
               type: 'number',
-              description: 'Maximum number of results to return (default 20, max 175)',
+              description: 'Folder ID to move the deck into',
             },
-            page: {
+          },
+          required: ['deck_id'],
+        },
+      },
+      {
+        name: 'validate_deck',
+        description: 'Check an Archidekt deck against its format rules: banned/illegal cards, singleton and copy limits, deck size, commander pairing and color identity, and companion restrictions.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: ['number', 'string'],
+              description: 'The Archidekt deck ID or archidekt.com deck URL to validate',
+            },
+          },
+          required: ['deck_id'],
+        },
+      },
+      {
+        name: 'analyze_deck',
+        description: 'Analyze an Archidekt deck: mana curve, colored pips vs. land color sources, card types, average mana value, land ratio, and ramp/draw/interaction counts. Sideboard and maybeboard are excluded.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: ['number', 'string'],
+              description: 'The Archidekt deck ID or archidekt.com deck URL to analyze',
+            },
+          },
+          required: ['deck_id'],
+        },
+      },
+      {
+        name: 'simulate_deck',
+        description: 'Goldfish an Archidekt deck with Monte Carlo games: opening-hand land counts, London mulligan rates under your keep rules, land drops and mana by turn, casting the commander on curve, and when key cards show up. Also answers exact hypergeometric questions like "at least 1 of my 8 ramp cards by turn 3". Only lands and ramp are modeled.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: ['number', 'string'],
+              description: 'The Archidekt deck ID or archidekt.com deck URL to simulate',
+            },
+            games: {
               type: 'number',
-              description: 'Page number for paginated results (default 1)',
+              description: 'Number of games to simulate (default 10000, max 100000)',
+              default: 10000,
             },
-            order: {
+            turns: {
+              type: 'number',
+              description: 'Turns to play in each game (default 7, max 15)',
+              default: 7,
+            },
+            on_the_play: {
+              type: 'boolean',
+              description: 'Skip the draw on turn 1 (default true)',
+              default: true,
+            },
+            min_lands: {
+              type: 'number',
+              description: 'Keep rule: fewest lands in a keepable 7-card hand (default 2)',
+              default: 2,
+            },
+            max_lands: {
+              type: 'number',
+              description: 'Keep rule: most lands in a keepable 7-card hand (default 5)',
+              default: 5,
+            },
+            max_mulligans: {
+              type: 'number',
+              description: 'Keep any hand after this many mulligans (default 3)',
+              default: 3,
+            },
+            free_mulligan: {
+              type: 'boolean',
+              description: 'First mulligan is free, as in Commander (default: true for commander formats)',
+            },
+            key_cards: {
               type: 'string',
-              description: 'Sort order: name, released (by date), edhrec (by popularity), cmc, color, rarity, power, toughness (default: name)',
+              description: 'Card names to track, one per line: chance of having drawn each by every turn',
             },
-            include_text: {
+            queries: {
+              type: 'array',
+              description: 'Exact hypergeometric queries (ignoring mulligans). Identify the cards by names, category, role or count',
+              items: {
+                type: 'object',
+                properties: {
+                  cards: { type: 'string', description: 'Card names, one per line' },
+                  category: { type: 'string', description: 'Archidekt category, e.g. "Ramp"' },
+                  role: { type: 'string', enum: ['land', 'ramp'], description: 'Lands, or ramp detected from oracle text' },
+                  count: { type: 'number', description: 'Number of matching cards in the library, when not listing them' },
+                  at_least: { type: 'number', description: 'Minimum copies wanted (default 1)' },
+                  by_turn: { type: 'number', description: 'Turn to have them by (default 3)' },
+                },
+              },
+            },
+            seed: {
+              type: 'number',
+              description: 'Random seed for repeatable results',
+            },
+          },
+          required: ['deck_id'],
+        },
+      },
+      {
+        name: 'find_combos',
+        description: 'Find combos in an Archidekt deck using Commander Spellbook data: complete combos, combos one card away (with the missing card), and what each combo does (infinite mana, win the game, etc.). Limited to the commander\'s color identity.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: ['number', 'string'],
+              description: 'The Archidekt deck ID or archidekt.com deck URL to check',
+            },
+            include_near_misses: {
               type: 'boolean',
-              description: 'Include oracle text in results (default false)',
+              description: 'Also list combos missing exactly one card (default true)',
+              default: true,
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum complete combos and missing cards to list (default 20)',
+              default: 20,
+            },
+            refresh: {
+              type: 'boolean',
+              description: 'Download the combo data again before searching (default false)',
+              default: false,
+            },
+          },
+          required: ['deck_id'],
+        },
+      },
+      {
+        name: 'export_deck',
+        description: 'Export an Archidekt deck as text for other tools: MTG Arena import, MTGO .dek XML, plain "1 Card Name" text (Moxfield), Archidekt import syntax, or CSV.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: ['number', 'string'],
+              description: 'The Archidekt deck ID or archidekt.com deck URL to export',
             },
             format: {
               type: 'string',
-              description: 'Filter to cards legal in format: commander (default), modern, legacy, standard, pioneer, pauper, vintage, etc. Use "all" for no filter.',
+              enum: exporter.EXPORT_FORMATS,
+              description: 'Export format: arena (with set and collector numbers), mtgo (.dek XML), text (plain list with Commander/Sideboard sections), archidekt (Archidekt import syntax with categories), csv (quantity, name, set, collector number, foil, categories). Default: text',
+              default: 'text',
+            },
+            include_maybeboard: {
+              type: 'boolean',
+              description: 'Include maybeboard cards (default false)',
+              default: false,
             },
           },
-          required: ['query'],
+          required: ['deck_id'],
         },
       },
-    ],
-  };
-});
+      {
+        name: 'compare_decks',
+        description: 'Compare the mainboards of two Archidekt decks (sideboard and maybeboard are left out): cards unique to each, shared cards, quantity differences, category moves, and curve/color/price deltas. Optionally returns update_deck text that turns deck A\'s mainboard into deck B\'s, keeping every category of added cards.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_a: {
+              type: ['number', 'string'],
+              description: 'The first Archidekt deck ID or URL (A)',
+            },
+            deck_b: {
+              type: ['number', 'string'],
+              description: 'The second Archidekt deck ID or URL (B)',
+            },
+            as_update: {
+              type: 'boolean',
+              description: 'Also output the edits that turn A into B: cards_to_add / cards_to_remove for update_deck, then modify_cards changes for category moves (default false)',
+              default: false,
+            },
+          },
+          required: ['deck_a', 'deck_b'],
+        },
+      },
+      {
+        name: 'price_deck',
+        description: 'Price an Archidekt deck with Scryfall prices for each card\'s recorded printing and finish (foil/etched). Returns totals per category and for the deck, the most expensive cards, and the total using every card\'s cheapest printing.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: ['number', 'string'],
+              description: 'The Archidekt deck ID or archidekt.com deck URL to price',
+            },
+            currency: {
+              type: 'string',
+              enum: pricing.CURRENCIES,
+              description: 'Currency for totals and ranking: usd, eur or tix (default usd)',
+              default: 'usd',
+            },
+            max_price: {
+              type: 'number',
+              description: 'Flag cards whose price per copy is above this amount',
+            },
+            include_cheapest: {
+              type: 'boolean',
+              description: 'Look up each card\'s cheapest printing for a budget total (one Scryfall request per card, default true)',
+              default: true,
+            },
+            show_cards: {
+              type: 'boolean',
+              description: 'List every card with its price, grouped by category (default true)',
+              default: true,
+            },
+          },
+          required: ['deck_id'],
+        },
+      },
+      {
+        name: 'suggest_budget_replacements',
+        description: 'Find cards in an Archidekt deck over a per-card or total budget and suggest cheaper cards with similar roles (same type, similar mana value, matching oracle tags, within the commander\'s color identity). Returns update_deck text to apply the top picks.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: ['number', 'string'],
+              description: 'The Archidekt deck ID or archidekt.com deck URL',
+            },
+            max_card_price: {
+              type: 'number',
+              description: 'Replace every card costing more than this per copy',
+            },
+            total_budget: {
+              type: 'number',
+              description: 'Replace the most expensive cards until the deck fits this total',
+            },
+            currency: {
+              type: 'string',
+              enum: pricing.CURRENCIES,
+              description: 'Currency: usd, eur or tix (default usd)',
+              default: 'usd',
+            },
+            suggestions: {
+              type: 'number',
+              description: 'Suggestions per card (default 3)',
+              default: 3,
+            },
+          },
+          required: ['deck_id'],
+        },
+      },
+      {
+        name: 'deck_history',
+        description: 'List changes made to an Archidekt deck through this server, newest first, from the local change journal.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: 'number',
+              description: 'The Archidekt deck ID',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of entries to show (default 20)',
+            },
+          },
+          required: ['deck_id'],
+        },
+      },
+      {
+        name: 'revert_deck',
+        description: 'Restore an Archidekt deck\'s cards to how they were before a journal entry (see deck_history). Undoes that change and every later one. Settings changes (name, format, privacy, folder) are listed in the history but not undone, and deleted decks cannot be reverted.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: 'number',
+              description: 'The Archidekt deck ID to revert',
+            },
+            entry_id: {
+              type: 'number',
+              description: 'Journal entry ID from deck_history; the deck is restored to its state before this entry',
+            },
+          },
+          required: ['deck_id', 'entry_id'],
+        },
+      },
+      {
+        name: 'lookup_cards',
+        description: 'Look up Magic: The Gathering cards by name. Returns oracle text, mana cost, type, and other details. Use this to learn about unfamiliar cards.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            card_names: {
+              type: 'string',
+              description: 'Card names to look up, one per line (max 150)',
+            },
+          },
+          required: ['card_names'],
+        },
+      },
+      {
+        name: 'search_cards',
+        description: 'Search for Magic: The Gathering cards using Scryfall query syntax. Examples: "ci:simic t:creature cmc<=3" (Simic creatures 3 or less), "o:\\"draw a card\\" c:blue" (blue cards with draw), "otag:ramp ci:green" (green ramp cards), "t:legendary t:creature" (legendary creatures).',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Scryfall query string. Common filters: c: (color), ci: (color identity), t: (type), o: (oracle text), otag: (EDHREC tag), cmc: (mana value), pow: (power), tou: (toughness)',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of results to return (default 20, max 175)',
+            },
+            page: {
+              type: 'number',
+              description: 'Page number for paginated results (default 1)',
+            },
+            order: {
+              type: 'string',
+              description: 'Sort order: name, released (by date), edhrec (by popularity), cmc, color, rarity, power, toughness (default: name)',
+            },
+            include_text: {
+              type: 'boolean',
+              description: 'Include oracle text in results (default false)',
+            },
+            format: {
+              type: 'string',
+              description: 'Filter to cards legal in format: commander (default), modern, legacy, standard, pioneer, pauper, vintage, etc. Use "all" for no filter.',
+            },
+            owned_only: {
+              type: 'boolean',
+              description: 'Only return cards in your imported collection (see import_collection). Default false',
+              default: false,
+            },
+          },
+          required: ['query'],
+        },
+      },
+      {
+        name: 'import_collection',
+        description: 'Import your card collection from a CSV export (Archidekt, Moxfield, Deckbox, ManaBox or TCGplayer) into the local collection used by owned_only searches and missing_cards.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            csv: {
+              type: 'string',
+              description: 'CSV content, including the header row',
+            },
+            file_path: {
+              type: 'string',
+              description: 'Path to a CSV file to import instead of csv',
+            },
+            format: {
+              type: 'string',
+              enum: collection.COLLECTION_FORMATS,
+              description: 'Site the CSV was exported from (default: detected from the header)',
+            },
+            mode: {
+              type: 'string',
+              enum: ['merge', 'replace'],
+              description: 'merge adds to the current collection (default), replace discards it first',
+              default: 'merge',
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'collection_summary',
+        description: 'Summarize your imported collection: card counts, finishes, top sets and import history, optionally with its value.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            include_value: {
+              type: 'boolean',
+              description: 'Price every card with Scryfall (slow for large collections). Default false',
+            },
+            currency: {
+              type: 'string',
+              enum: pricing.CURRENCIES,
+              description: 'Currency for the value: usd, eur or tix (default usd)',
+              default: 'usd',
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'missing_cards',
+        description: 'List the cards in an Archidekt deck that you don\'t own (per your imported collection), with quantities, the deck\'s printing and prices, and which printings you do own.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            deck_id: {
+              type: ['number', 'string'],
+              description: 'The Archidekt deck ID or archidekt.com deck URL to check',
+            },
+            currency: {
+              type: 'string',
+              enum: pricing.CURRENCIES,
+              description: 'Currency for prices: usd, eur or tix (default usd)',
+              default: 'usd',
+            },
+            include_cheapest: {
+              type: 'boolean',
+              description: 'Also look up the cheapest printing of each missing card (default true)',
+              default: true,
+            },
+            ignore_basics: {
+              type: 'boolean',
+              description: 'Treat basic lands as owned (default true)',
+              default: true,
+            },
+          },
+          required: ['deck_id'],
+        },
+      },
+      {
+        name: 'cache_stats',
+        description: 'Show the local Scryfall card/search cache: size, hit rate, TTLs and limits.',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+          required: [],
+        },
+      },
+      {
+        name: 'clear_cache',
+        description: 'Empty the local Scryfall card/search cache, e.g. to get fresh prices.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            scope: {
+              type: 'string',
+              enum: ['all', 'cards', 'searches'],
+              description: 'What to clear (default all)',
+              default: 'all',
+            },
+          },
+          required: [],
+        },
+      },
+    ],
+  };
+});
+
+// Archidekt format IDs by name
+const FORMAT_IDS = {
+  standard: 1,
+  modern: 2,
+  commander: 3,
+  legacy: 4,
+  vintage: 5,
+  pauper: 6,
+  pioneer: 7,
+  brawl: 8,
+  historic: 9,
+  oathbreaker: 10,
+};
 
 // Helper to map format string to Archidekt format ID
 function getFormatId(format) {
-  const formats = {
-    standard: 1,
-    modern: 2,
-    commander: 3,
-    legacy: 4,
-    vintage: 5,
-    pauper: 6,
-    pioneer: 7,
-    brawl: 8,
-    historic: 9,
-    oathbreaker: 10,
+  return FORMAT_IDS[format?.toLowerCase()] || FORMAT_IDS.commander;
+}
+
+// Helper to map an Archidekt format ID back to its name
+function getFormatName(formatId) {
+  return Object.keys(FORMAT_IDS).find(key => FORMAT_IDS[key] === formatId) || `format ${formatId}`;
+}
+
+// Helper to turn computeDiff "toAdd" items into modifyCards add actions
+function createAddActions(items) {
+  return items.map(item => archidekt.createAddCardAction({
+    cardId: String(item.card.id),
+    quantity: item.quantity,
+    categories: item.categories || [],
+    modifier: item.modifier || 'Normal',
+  }));
+}
+
+// Helper to check computeDiff kept the set, collector number and finish asked for on each add line
+// Finishes are corrected in place; printing mismatches are returned as warnings
+function checkRequestedPrintings(editList, toAdd) {
+  const warnings = [];
+  for (const line of editList.split('\n')) {
+    const requested = decklist.parseDecklistLine(line);
+    if (!requested) continue;
+
+    const item = toAdd.find(i => (i.card.oracleCard?.name || i.card.name || '').toLowerCase() === requested.name.toLowerCase());
+    if (!item) continue;
+
+    if (requested.modifier !== 'Normal') item.modifier = requested.modifier;
+    if (!requested.set) continue;
+
+    const edition = item.card.edition?.editioncode?.toLowerCase();
+    const collectorNumber = item.card.collectorNumber ? String(item.card.collectorNumber) : null;
+    if (edition !== requested.set || (requested.collectorNumber && collectorNumber !== requested.collectorNumber)) {
+      const wanted = `${requested.set.toUpperCase()}${requested.collectorNumber ? ` ${requested.collectorNumber}` : ''}`;
+      const got = `${edition?.toUpperCase() || '?'}${collectorNumber ? ` ${collectorNumber}` : ''}`;
+      warnings.push(`${requested.name}: asked for ${wanted}, Archidekt matched ${got}`);
+    }
+  }
+  return warnings;
+}
+
+// Helper to find exactly one folder by ID, name or path, fetching the folder tree
+async function resolveFolder(accessToken, rootFolder, ref) {
+  const tree = await archidekt.getFolderTree(accessToken, rootFolder);
+  const matches = folders.findFolders(tree, ref);
+  if (matches.length === 0) {
+    throw new Error(`Folder "${ref}" not found. Use list_folders to see your folders.`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Folder name "${ref}" is ambiguous (IDs ${matches.map(f => f.id).join(', ')}). Use a folder ID or path.`);
+  }
+  return matches[0];
+}
+
+// Helper to fetch a deck by ID or URL for reading, logging in only when credentials are set
+// Public decks load without credentials; private ones need the owner's login
+async function fetchDeck(ref) {
+  const deckId = archidekt.parseDeckId(ref);
+  let accessToken = null;
+  if (archidekt.hasCredentials()) {
+    try {
+      ({ accessToken } = await archidekt.getAuth());
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'warning', data: `Login failed, reading deck ${deckId} as public: ${error.message}` });
+    }
+  }
+  return archidekt.getDeck(accessToken, deckId);
+}
+
+// Helper to record a deck change in the local journal without failing the tool call
+async function recordJournal(deckId, change) {
+  try {
+    await journal.recordChange(deckId, change);
+  } catch (error) {
+    server.sendLoggingMessage({ level: 'warning', data: `Failed to write journal for deck ${deckId}: ${error.message}` });
+  }
+}
+
+// Owned-only searches scan at most this many Scryfall results
+const OWNED_SEARCH_SCAN_LIMIT = 1750;
+
+// Helper to page through a search keeping only owned cards, until the requested page is filled
+async function searchOwned(query, ownership, options) {
+  const { offset, limit, order } = options;
+  const batchSize = 175;
+  const owned = [];
+  let scanned = 0;
+  let result = { hasMore: true };
+
+  while (result.hasMore && owned.length <= offset + limit && scanned < OWNED_SEARCH_SCAN_LIMIT) {
+    result = await scryfall.searchPaginated(query, { offset: scanned, limit: batchSize, order });
+    scanned += result.cards.length;
+    owned.push(...result.cards.filter(card => collection.getOwned(ownership, card.name).quantity > 0));
+    if (result.cards.length === 0) break;
+  }
+
+  return {
+    cards: owned.slice(offset, offset + limit),
+    totalCards: owned.length,
+    hasMore: owned.length > offset + limit || result.hasMore,
+    scanned,
+    scanLimited: result.hasMore,
+    localError: result.localError,
   };
-  return formats[format?.toLowerCase()] || formats.commander;
 }
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+// Resource URIs clients have subscribed to, for resources/updated notifications
+const subscriptions = new Set();
+
+// Helper to tell subscribed clients a deck changed; pass listChanged when decks were added, removed or renamed
+async function notifyDeckChanged(deckId, options = {}) {
+  const uris = [resources.deckUri(deckId), resources.deckUri(deckId, { json: true })];
+  if (options.listChanged) uris.push(resources.DECK_LIST_URI);
+
+  try {
+    for (const uri of uris) {
+      if (subscriptions.has(uri)) await server.sendResourceUpdated({ uri });
+    }
+    if (options.listChanged) await server.sendResourceListChanged();
+  } catch (error) {
+    server.sendLoggingMessage({ level: 'warning', data: `Failed to send resource notifications for deck ${deckId}: ${error.message}` });
+  }
+}
+
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+
+  // create_deck
+  if (name === 'create_deck') {
+    try {
+      const { accessToken, rootFolder } = await archidekt.getAuth();
+      server.sendLoggingMessage({ level: 'info', data: `Creating deck: ${args.name}` });
+
+      const commanderNames = (args.commanders || '').split('\n').map(l => l.trim()).filter(l => l);
+      let commanderItems = [];
+      let cardItems = [];
+      let diffResult = null;
+
+      // Resolve the decklist and commanders before creating the deck
+      if (args.decklist || commanderNames.length > 0) {
+        server.sendLoggingMessage({ level: 'info', data: 'Resolving decklist...' });
+
+        const commanderSet = new Set(commanderNames.map(n => n.toLowerCase()));
+        const listLines = decklist.normalizeDecklist(args.decklist).split('\n').filter(line => {
+          const parsed = decklist.parseDecklistLine(line);
+          return !parsed || !commanderSet.has(parsed.name.toLowerCase());
+        });
+        const editList = [
+          ...commanderNames.map(n => `1 ${n} [Commander]`),
+          ...listLines,
+        ].join('\n');
+
+        diffResult = await archidekt.computeDiff(accessToken, '', editList);
+
+        for (const item of diffResult.toAdd || []) {
+          if (item.categories?.includes('Commander')) {
+            commanderItems.push(item);
+          } else {
+            cardItems.push(item);
+          }
+        }
+      }
+
+      const parentFolder = args.folder ? (await resolveFolder(accessToken, rootFolder, args.folder)).id : rootFolder;
+
+      const deck = await archidekt.createDeck(accessToken, {
+        name: args.name,
+        parentFolder,
+        deckFormat: getFormatId(args.format),
+        description: args.description || '',
+        private: args.private !== false,
+        commanders: commanderItems.map(item => item.card.id),
+      });
+
+      let text = `Created deck "${deck.name}" (ID: ${deck.id})\nURL: https://archidekt.com/decks/${deck.id}`;
+
+      if (diffResult) {
+        // The deck exists from here on, so a failure while filling it is reported as a partial success
+        const appliedActions = [];
+        try {
+          const cardActions = createAddActions(cardItems);
+          if (cardActions.length > 0) {
+            server.sendLoggingMessage({ level: 'info', data: `Adding ${cardItems.length} card(s)...` });
+            await archidekt.modifyCards(accessToken, deck.id, cardActions);
+            appliedActions.push(...cardActions);
+          }
+
+          // Add any commanders the create call didn't place in the deck
+          let createdDeck = await archidekt.getDeck(accessToken, deck.id);
+          const presentIds = new Set((createdDeck.cards || []).map(c => String(c.card.id)));
+          const missingCommanders = commanderItems.filter(item => !presentIds.has(String(item.card.id)));
+          if (missingCommanders.length > 0) {
+            const commanderActions = createAddActions(missingCommanders);
+            await archidekt.modifyCards(accessToken, deck.id, commanderActions);
+            appliedActions.push(...commanderActions);
+            createdDeck = await archidekt.getDeck(accessToken, deck.id);
+          }
+
+          await recordJournal(deck.id, {
+            tool: 'create_deck',
+            summary: `Created "${deck.name}" with ${decklist.countCards(createdDeck.cards || [])} cards`,
+            snapshot: [],
+            cardActions: appliedActions,
+          });
+
+          const commanders = decklist.getCommanders(createdDeck).map(decklist.getCardName);
+          const totalCards = decklist.countCards(createdDeck.cards || []);
+
+          if (commanders.length > 0) text += `\nCommander: ${commanders.join(' & ')}`;
+          text += `\nTotal: ${totalCards} cards`;
+
+          const unresolved = [...(diffResult.cardErrors || []), ...(diffResult.syntaxErrors || [])];
+          if (unresolved.length > 0) {
+            text += `\n\nUnresolved lines:\n${unresolved.map(e => `- ${e}`).join('\n')}`;
+          }
+        } catch (error) {
+          server.sendLoggingMessage({ level: 'error', data: `Create deck error: deck ${deck.id} was created but filling it failed: ${error.message}` });
+          await recordJournal(deck.id, {
+            tool: 'create_deck',
+            summary: `Created "${deck.name}"; adding cards failed with ${appliedActions.length} card change(s) applied`,
+            snapshot: [],
+            cardActions: appliedActions,
+          });
+          await notifyDeckChanged(deck.id, { listChanged: true });
+          return {
+            content: [{
+              type: 'text',
+              text: `${text}\n\nThe deck was created, but adding its cards failed: ${error.message}\n`
+                + `${appliedActions.length} card change(s) were applied before the failure. `
+                + `Use update_deck on deck ${deck.id} to finish the list, or delete_deck to remove it.`,
+            }],
+            isError: true,
+          };
+        }
+      }
+
+      await notifyDeckChanged(deck.id, { listChanged: true });
+
+      return {
+        content: [{ type: 'text', text }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Create deck error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to create deck: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // clone_deck
+  if (name === 'clone_deck') {
+    const { deck_id, format } = args;
+
+    if (format !== undefined && !(format.toLowerCase() in FORMAT_IDS)) {
+      return {
+        content: [{ type: 'text', text: `Unknown format "${format}". Use one of: ${Object.keys(FORMAT_IDS).join(', ')}` }],
+        isError: true,
+      };
+    }
+
+    try {
+      const { accessToken, rootFolder } = await archidekt.getAuth();
+      server.sendLoggingMessage({ level: 'info', data: `Fetching deck ${deck_id}...` });
+
+      const source = await fetchDeck(deck_id);
+      const parentFolder = args.folder ? (await resolveFolder(accessToken, rootFolder, args.folder)).id : rootFolder;
+      const commanderCards = decklist.getCommanders(source);
+
+      const deck = await archidekt.createDeck(accessToken, {
+        name: args.name || `${source.name} (copy)`,
+        parentFolder,
+        deckFormat: format !== undefined ? getFormatId(format) : source.deckFormat,
+        description: source.description || '',
+        private: args.private !== false,
+        unlisted: Boolean(source.unlisted),
+        theorycrafted: Boolean(source.theorycrafted),
+        edhBracket: source.edhBracket ?? null,
+        commanders: commanderCards.map(c => c.card.id),
+      });
+
+      // Commanders placed by the create call are modified to match the original; everything else is added
+      const created = await archidekt.getDeck(accessToken, deck.id);
+      const placed = new Map((created.cards || []).map(c => [String(c.card.id), c]));
+
+      const cardActions = (source.cards || []).map(c => {
+        const fields = {
+          cardId: String(c.card.id),
+          quantity: c.quantity,
+          categories: c.categories || [],
+          modifier: c.modifier || 'Normal',
+          label: c.label ?? ',#656565',
+          customCmc: c.customCmc ?? null,
+          companion: Boolean(c.companion),
+        };
+
+        const existing = placed.get(fields.cardId);
+        if (existing) {
+          placed.delete(fields.cardId);
+          return archidekt.createModifyCardAction({ ...fields, deckRelationId: String(existing.id) });
+        }
+        return archidekt.createAddCardAction(fields);
+      });
+
+      if (cardActions.length > 0) {
+        server.sendLoggingMessage({ level: 'info', data: `Copying ${cardActions.length} card entries...` });
+        await archidekt.modifyCards(accessToken, deck.id, cardActions);
+      }
+
+      await recordJournal(deck.id, {
+        tool: 'clone_deck',
+        summary: `Cloned from deck ${source.id} ("${source.name}")`,
+        snapshot: journal.snapshotDeck(created),
+        cardActions,
+      });
+      await notifyDeckChanged(deck.id, { listChanged: true });
+
+      const cloned = await archidekt.getDeck(accessToken, deck.id);
+      const commanders = decklist.getCommanders(cloned).map(decklist.getCardName);
+
+      let text = `Cloned "${source.name}" (ID: ${source.id}) to "${deck.name}" (ID: ${deck.id})\nURL: https://archidekt.com/decks/${deck.id}`;
+      if (commanders.length > 0) text += `\nCommander: ${commanders.join(' & ')}`;
+      text += `\nTotal: ${decklist.countCards(cloned.cards || [])} cards (original: ${decklist.countCards(source.cards || [])})`;
+
+      return {
+        content: [{ type: 'text', text }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Clone deck error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to clone deck: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // delete_deck
+  if (name === 'delete_deck') {
+    const { deck_id, confirm_name } = args;
+
+    try {
+      const { accessToken } = await archidekt.getAuth();
+      const deck = await archidekt.getDeck(accessToken, deck_id);
+
+      if (confirm_name !== deck.name) {
+        return {
+          content: [{ type: 'text', text: `confirm_name "${confirm_name}" does not match the name of deck ${deck_id} ("${deck.name}"). Nothing was deleted.` }],
+          isError: true,
+        };
+      }
+
+      const backupPath = await backups.saveDeckBackup(deck);
+      server.sendLoggingMessage({ level: 'info', data: `Backed up deck ${deck_id} to ${backupPath}` });
+
+      await archidekt.deleteDeck(accessToken, deck_id);
+      await recordJournal(deck_id, {
+        tool: 'delete_deck',
+        summary: `Deleted "${deck.name}" (backup: ${backupPath})`,
+        snapshot: journal.snapshotDeck(deck),
+      });
+      await notifyDeckChanged(deck_id, { listChanged: true });
+
+      return {
+        content: [{ type: 'text', text: `Deleted deck "${deck.name}" (ID: ${deck_id}).\nBackup: ${backupPath}` }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Delete deck error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to delete deck: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // list_decks
+  if (name === 'list_decks') {
+    try {
+      const { accessToken, rootFolder } = await archidekt.getAuth();
+      server.sendLoggingMessage({ level: 'info', data: 'Fetching deck list...' });
+
+      let decks = await archidekt.listDecks(accessToken);
+
+      if (args?.folder && decks?.length > 0) {
+        const folder = await resolveFolder(accessToken, rootFolder, args.folder);
+        const deckIds = folders.getDeckIds(folder);
+        decks = decks.filter(d => deckIds.has(d.id));
+      }
+
+      if (!decks || decks.length === 0) {
+        return {
+          content: [{ type: 'text', text: 'No decks found.' }],
+        };
+      }
+
+      const formatNames = { 1: 'Standard', 2: 'Modern', 3: 'Commander', 4: 'Legacy', 5: 'Vintage', 6: 'Pauper', 7: 'Pioneer', 8: 'Brawl', 9: 'Historic', 10: 'Oathbreaker' };
+
+      // Fetch details for each deck to get commander and description
+      const deckPreviews = await Promise.all(
+        decks.map(async (d) => {
+          try {
+            const deck = await archidekt.getDeck(accessToken, d.id);
+            const format = formatNames[deck.deckFormat] || 'Unknown';
+            const privacy = deck.private ? '(private)' : '(public)';
+
+            // Extract color identity from deck colors
+            const colorOrder = ['W', 'U', 'B', 'R', 'G'];
+            const colors = d.colors || {};
+            const colorId = colorOrder.filter(c => colors[c] > 0).join('') || 'C';
+
+            // Find commanders (cards in "Commander" category)
+            const commanders = (deck.cards || [])
+              .filter(c => c.categories?.includes('Commander'))
+              .map(c => c.card.oracleCard.name);
+
+            // Build preview
+            let preview = `**${deck.name}** (ID: ${d.id}) - ${colorId} ${format} ${privacy}`;
+            if (commanders.length > 0) {
+              preview += `\n  Commander: ${commanders.join(' & ')}`;
+            }
+            if (deck.description) {
+              let desc = deck.description;
+              // Parse Quill Delta format if present
+              try {
+                const parsed = JSON.parse(desc);
+                if (parsed.ops && Array.isArray(parsed.ops)) {
+                  desc = parsed.ops
+                    .map(op => (typeof op.insert === 'string' ? op.insert : ''))
+                    .join('')
+                    .trim();
+                }
+              } catch {
+                // Not JSON, use as-is
+              }
+              if (desc) {
+                desc = desc.length > 500 ? desc.slice(0, 500) + '...' : desc;
+                preview += `\n  Description: ${desc}`;
+              }
+            }
+            return preview;
+          } catch {
+            // Fallback if deck details fail
+            const format = formatNames[d.deckFormat] || 'Unknown';
+            const privacy = d.private ? '(private)' : '(public)';
+            const colorOrder = ['W', 'U', 'B', 'R', 'G'];
+            const colors = d.colors || {};
+            const colorId = colorOrder.filter(c => colors[c] > 0).join('') || 'C';
+            return `**${d.name}** (ID: ${d.id}) - ${colorId} ${format} ${privacy}`;
+          }
+        })
+      );
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Found ${decks.length} deck(s):\n\n${deckPreviews.join('\n\n')}`,
+        }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `List decks error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to list decks: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // list_folders
+  if (name === 'list_folders') {
+    try {
+      const { accessToken, rootFolder } = await archidekt.getAuth();
+      server.sendLoggingMessage({ level: 'info', data: 'Fetching folders...' });
+
+      const tree = await archidekt.getFolderTree(accessToken, rootFolder);
+
+      return {
+        content: [{ type: 'text', text: `# Folders\n\n${folders.formatFolderTree(tree)}` }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `List folders error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to list folders: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // create_folder
+  if (name === 'create_folder') {
+    try {
+      const { accessToken, rootFolder } = await archidekt.getAuth();
+      const parent = args.parent ? await resolveFolder(accessToken, rootFolder, args.parent) : null;
+      server.sendLoggingMessage({ level: 'info', data: `Creating folder: ${args.name}` });
+
+      const folder = await archidekt.createFolder(accessToken, {
+        name: args.name,
+        parentFolder: parent ? parent.id : rootFolder,
+      });
+
+      return {
+        content: [{ type: 'text', text: `Created folder "${folder.name}" (ID: ${folder.id})${parent ? ` in "${parent.name}"` : ''}` }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Create folder error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to create folder: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // rename_folder
+  if (name === 'rename_folder') {
+    try {
+      const { accessToken, rootFolder } = await archidekt.getAuth();
+      const folder = await resolveFolder(accessToken, rootFolder, args.folder);
+      if (folder.id === rootFolder) {
+        return {
+          content: [{ type: 'text', text: 'The root folder can\'t be renamed.' }],
+          isError: true,
+        };
+      }
+
+      await archidekt.updateFolder(accessToken, folder.id, { name: args.name });
+
+      return {
+        content: [{ type: 'text', text: `Renamed folder ${folder.id}: "${folder.name}" → "${args.name}"` }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Rename folder error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to rename folder: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // move_deck
+  if (name === 'move_deck') {
+    const { deck_id } = args;
+
+    try {
+      const { accessToken, rootFolder } = await archidekt.getAuth();
+      const folder = await resolveFolder(accessToken, rootFolder, args.folder);
+      server.sendLoggingMessage({ level: 'info', data: `Moving deck ${deck_id} to folder ${folder.id}...` });
+
+      const deck = await archidekt.getDeck(accessToken, deck_id);
+      await archidekt.updateDeck(accessToken, deck_id, { parentFolder: folder.id });
+      await recordJournal(deck_id, {
+        tool: 'move_deck',
+        summary: `Moved to folder "${folder.name}" (ID: ${folder.id})`,
+        snapshot: journal.snapshotDeck(deck),
+      });
+      await notifyDeckChanged(deck_id);
+
+      return {
+        content: [{ type: 'text', text: `Moved deck ${deck_id} to folder "${folder.name}" (ID: ${folder.id})` }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Move deck error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to move deck: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // read_deck
+  if (name === 'read_deck') {
+    try {
+      server.sendLoggingMessage({ level: 'info', data: `Reading deck ${args.deck_id}...` });
+
+      const deck = await fetchDeck(args.deck_id);
+      const cards = deck.cards || [];
+
+      if (cards.length === 0) {
+        return {
+          content: [{ type: 'text', text: `Deck "${deck.name}" is empty.` }],
+        };
+      }
+
+      // Group cards by category
+      const byCategory = {};
+      for (const c of cards) {
+        const category = c.categories?.[0] || 'Uncategorized';
+        if (!byCategory[category]) byCategory[category] = [];
+        byCategory[category].push(c);
+      }
+
+      // Calculate total card count
+      const totalCards = cards.reduce((sum, c) => sum + c.quantity, 0);
+
+      // Format output
+      let output = `# ${deck.name} (${totalCards} cards)\n\n`;
+      for (const [category, categoryCards] of Object.entries(byCategory)) {
+        const categoryCount = categoryCards.reduce((sum, c) => sum + c.quantity, 0);
+        output += `# ${category} (${categoryCount})\n`;
+        for (const c of categoryCards) {
+          const cardName = c.card.oracleCard.name;
+          const qty = c.quantity;
+          output += `${qty}x ${cardName}\n`;
+        }
+        output += '\n';
+      }
+
+      return {
+        content: [{ type: 'text', text: output.trim() }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Read deck error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to read deck: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // search_public_decks
+  if (name === 'search_public_decks') {
+    const { commander, cards, format, colors, owner, name: deckName, order = 'views', page = 1 } = args;
+
+    if (format !== undefined && !(format.toLowerCase() in FORMAT_IDS)) {
+      return {
+        content: [{ type: 'text', text: `Unknown format "${format}". Use one of: ${Object.keys(FORMAT_IDS).join(', ')}` }],
+        isError: true,
+      };
+    }
+
+    const orderBy = { views: '-viewCount', updated: '-updatedAt', created: '-createdAt' }[order] || '-viewCount';
+    const pageSize = 20;
+
+    try {
+      server.sendLoggingMessage({ level: 'info', data: 'Searching public decks...' });
+
+      const result = await archidekt.searchDecks({
+        name: deckName,
+        commander,
+        cards: (cards || '').split('\n').map(l => l.trim()).filter(l => l),
+        deckFormat: format !== undefined ? getFormatId(format) : undefined,
+        colors,
+        owner,
+        orderBy,
+        page,
+        pageSize,
+      });
+
+      const decks = result.results || [];
+      if (decks.length === 0) {
+        return {
+          content: [{ type: 'text', text: 'No public decks found.' }],
+        };
+      }
+
+      const lines = decks.map(d => {
+        const colorId = analysis.COLORS.filter(c => (d.colors?.[c] || 0) > 0).join('') || 'C';
+        const details = [
+          colorId,
+          getFormatName(d.deckFormat),
+          d.owner?.username ? `by ${d.owner.username}` : null,
+          d.viewCount !== undefined ? `${d.viewCount} views` : null,
+          d.updatedAt ? `updated ${d.updatedAt.slice(0, 10)}` : null,
+        ].filter(Boolean);
+        return `- **${d.name}** (ID: ${d.id}) - ${details.join(' · ')}\n  https://archidekt.com/decks/${d.id}`;
+      });
+
+      let output = `Found ${result.count ?? decks.length} public deck(s), page ${page}:\n\n${lines.join('\n')}`;
+      if (result.next) {
+        output += `\n\nMore results: call again with page=${page + 1}`;
+      }
+
+      return {
+        content: [{ type: 'text', text: output }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Search public decks error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to search decks: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // update_deck
+  if (name === 'update_deck') {
+    const { deck_id, cards_to_add, cards_to_remove, dry_run = false, plan_token } = args;
+
+    if (!plan_token && !cards_to_add && !cards_to_remove) {
+      return {
+        content: [{ type: 'text', text: 'Please provide cards_to_add and/or cards_to_remove, or a plan_token.' }],
+        isError: true,
+      };
+    }
+
+    try {
+      const { accessToken } = await archidekt.getAuth();
+      server.sendLoggingMessage({ level: 'info', data: `Fetching deck ${deck_id}...` });
+
+      // Get current deck state
+      const deck = await archidekt.getDeck(accessToken, deck_id);
+      const currentCards = deck.cards || [];
+
+      let cardActions = [];
+      let cardErrors = [];
+
+      if (plan_token) {
+        // Apply a plan from an earlier dry run exactly as previewed
+        const plan = plans.getPlan(plan_token);
+        if (!plan) {
+          return {
+            content: [{ type: 'text', text: 'Plan not found or expired. Run update_deck with dry_run again.' }],
+            isError: true,
+          };
+        }
+        if (plan.deckId !== Number(deck_id)) {
+          return {
+            content: [{ type: 'text', text: `Plan was created for deck ${plan.deckId}, not deck ${deck_id}.` }],
+            isError: true,
+          };
+        }
+        if (plan.fingerprint !== plans.getDeckFingerprint(deck)) {
+          return {
+            content: [{ type: 'text', text: 'Deck has changed since this plan was created. Run update_deck with dry_run again.' }],
+            isError: true,
+          };
+        }
+
+        cardActions = plan.cardActions;
+        cardErrors = plan.cardErrors;
+      } else {
+        // Build current deck list string from deck cards
+        const currentDeckList = currentCards.map(c => {
+          const card = c.card;
+          const qty = c.quantity;
+          const edition = card.edition?.editioncode || '';
+          const categories = c.categories?.length ? ` [${c.categories.join(', ')}]` : '';
+          return `${qty}x ${card.oracleCard.name} (${edition})${categories}`;
+        }).join('\n');
+
+        // Build edit string: add the new cards
+        let editList = decklist.normalizeDecklist(cards_to_add || '');
+
+        server.sendLoggingMessage({ level: 'info', data: 'Computing diff...' });
+
+        // Use diff to figure out what cards to add
+        const diffResult = await archidekt.computeDiff(
+          accessToken,
+          currentDeckList,
+          editList
+        );
+        cardErrors = diffResult.cardErrors || [];
+        cardErrors.push(...checkRequestedPrintings(editList, diffResult.toAdd || []));
+
+        // Readable description of each change, kept in step with cardActions
+        const changes = [];
+        const unmatchedRemovals = [];
+
+        // Process cards to add from diff result
+        if (diffResult.toAdd && diffResult.toAdd.length > 0) {
+          cardActions.push(...createAddActions(diffResult.toAdd));
+          for (const item of diffResult.toAdd) {
+            changes.push({
+              action: 'add',
+              name: item.card.oracleCard?.name || item.card.name,
+              edition: item.card.edition?.editioncode,
+              collectorNumber: item.card.collectorNumber,
+              modifier: item.modifier || 'Normal',
+              quantity: item.quantity,
+              categories: item.categories || [],
+            });
+          }
+        }
+
+        // Process cards to remove - we need to find them in the current deck
+        if (cards_to_remove) {
+          const removeLines = cards_to_remove.split('\n').filter(l => l.trim());
+
+          for (const line of removeLines) {
+            // Parse line like "2 Sol Ring" or "1x Lightning Bolt"
+            const match = line.match(/^(\d+)x?\s+(.+?)(?:\s+\([\w]+\))?(?:\s+\[.+\])?$/i);
+            if (!match) {
+              unmatchedRemovals.push(line.trim());
+              continue;
+            }
+
+            const qty = parseInt(match[1], 10);
+            const cardName = match[2].trim();
+
+            // Find this card in the current deck
+            const deckCard = currentCards.find(c =>
+              c.card.oracleCard.name.toLowerCase() === cardName.toLowerCase()
+            );
+
+            if (deckCard) {
+              // Never remove more copies than the deck has, so the plan matches what is applied
+              const removeQty = Math.min(qty, deckCard.quantity);
+              cardActions.push(archidekt.createRemoveCardAction({
+                cardId: String(deckCard.card.id),
+                deckRelationId: String(deckCard.id),
+                quantity: removeQty,
+                categories: deckCard.categories || [],
+                modifier: deckCard.modifier || 'Normal',
+              }));
+              changes.push({
+                action: 'remove',
+                name: decklist.getCardName(deckCard),
+                edition: deckCard.card.edition?.editioncode,
+                collectorNumber: deckCard.card.collectorNumber,
+                modifier: deckCard.modifier || 'Normal',
+                quantity: removeQty,
+                categories: deckCard.categories || [],
+              });
+            } else {
+              unmatchedRemovals.push(cardName);
+              server.sendLoggingMessage({ level: 'warning', data: `Card not found in deck: ${cardName}` });
+            }
+          }
+        }
+
+        if (dry_run) {
+          // Count copies of each card before and after the plan
+          const counts = {};
+          for (const c of currentCards) {
+            const key = decklist.getCardName(c).toLowerCase();
+            counts[key] = (counts[key] || 0) + c.quantity;
+          }
+
+          const currentTotal = decklist.countCards(currentCards);
+          let resultingTotal = currentTotal;
+          let output = `# Plan for deck ${deck_id} (${deck.name})\n\n`;
+
+          if (changes.length === 0) {
+            output += 'No valid card changes to make.\n';
+          }
+
+          for (const change of changes) {
+            const key = change.name.toLowerCase();
+            const before = counts[key] || 0;
+            const delta = change.action === 'add' ? change.quantity : -change.quantity;
+            const after = before + delta;
+            counts[key] = after;
+            resultingTotal += delta;
+
+            const sign = change.action === 'add' ? '+' : '-';
+            const printing = change.edition
+              ? ` (${change.edition}${change.collectorNumber ? ` ${change.collectorNumber}` : ''})`
+              : '';
+            const foil = change.modifier !== 'Normal' ? ` *${change.modifier}*` : '';
+            const categories = change.categories.length ? ` [${change.categories.join(', ')}]` : '';
+            output += `${sign} ${change.quantity}x ${change.name}${printing}${foil}${categories}: ${before} → ${after}\n`;
+          }
+
+          output += `\nDeck size: ${currentTotal} → ${resultingTotal} cards\n`;
+
+          if (cardErrors.length > 0) {
+            output += `\nCard errors:\n${cardErrors.map(e => `- ${e}`).join('\n')}\n`;
+          }
+          if (unmatchedRemovals.length > 0) {
+            output += `\nRemovals not matched in deck:\n${unmatchedRemovals.map(n => `- ${n}`).join('\n')}\n`;
+          }
+
+          if (cardActions.length > 0) {
+            const token = plans.savePlan({
+              deckId: Number(deck_id),
+              cardActions,
+              fingerprint: plans.getDeckFingerprint(deck),
+              cardErrors,
+            });
+            output += `\nNothing was changed. To apply this plan, call update_deck with deck_id=${deck_id} and plan_token="${token}" (expires in 30 minutes).`;
+          }
+
+          return {
+            content: [{ type: 'text', text: output.trim() }],
+          };
+        }
+      }
+
+      if (cardActions.length === 0) {
+        return {
+          content: [{ type: 'text', text: 'No valid card changes to make.' }],
+        };
+      }
+
+      server.sendLoggingMessage({ level: 'info', data: `Applying ${cardActions.length} card changes...` });
+
+      // Apply the changes
+      const result = await archidekt.modifyCards(accessToken, deck_id, cardActions);
+      if (plan_token) plans.deletePlan(plan_token);
+
+      const addCount = cardActions.filter(a => a.action === 'add').reduce((sum, a) => sum + a.modifications.quantity, 0);
+      const removeCount = cardActions.filter(a => a.action === 'remove').reduce((sum, a) => sum + a.modifications.quantity, 0);
+      await recordJournal(deck_id, {
+        tool: 'update_deck',
+        summary: `+${addCount} / -${removeCount} cards`,
+        snapshot: journal.snapshotDeck(deck),
+        cardActions,
+      });
+      await notifyDeckChanged(deck_id);
+
+      // Fetch updated deck for card count
+      const updatedDeck = await archidekt.getDeck(accessToken, deck_id);
+      const totalCards = (updatedDeck.cards || []).reduce((sum, c) => sum + c.quantity, 0);
+
+      // Build summary
+      const added = result.add?.length || 0;
+      const removed = cardActions.filter(a => a.action === 'remove').length;
+
+      let summary = `Updated deck ${deck_id}:\n`;
+      if (added > 0) summary += `- Added ${added} card(s)\n`;
+      if (removed > 0) summary += `- Removed ${removed} card(s)\n`;
+      summary += `- Total: ${totalCards} cards`;
+
+      if (cardErrors.length > 0) {
+        summary += `\n\nWarnings:\n${cardErrors.map(e => `- ${e}`).join('\n')}`;
+      }
+
+      return {
+        content: [{ type: 'text', text: summary }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Update deck error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to update deck: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // modify_cards
+  if (name === 'modify_cards') {
+    const { deck_id, changes } = args;
+
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return {
+        content: [{ type: 'text', text: 'Please provide at least one change.' }],
+        isError: true,
+      };
+    }
+
+    try {
+      const { accessToken } = await archidekt.getAuth();
+      server.sendLoggingMessage({ level: 'info', data: `Fetching deck ${deck_id}...` });
+
+      const deck = await archidekt.getDeck(accessToken, deck_id);
+      const currentCards = deck.cards || [];
+
+      const cardActions = [];
+      const descriptions = [];
+      const problems = [];
+
+      for (const change of changes) {
+        const matches = currentCards.filter(c =>
+          decklist.getCardName(c).toLowerCase() === change.name.toLowerCase()
+        );
+
+        if (matches.length === 0) {
+          problems.push(`${change.name}: not found in deck`);
+          continue;
+        }
+        if (change.quantity !== undefined && (!Number.isInteger(change.quantity) || change.quantity < 1)) {
+          problems.push(`${change.name}: quantity must be a whole number of at least 1`);
+          continue;
+        }
+        if (change.quantity !== undefined && matches.length > 1) {
+          problems.push(`${change.name}: ${matches.length} entries in deck, can't set one quantity for all of them`);
+          continue;
+        }
+
+        let label;
+        if (change.label !== undefined) {
+          label = change.label.includes(',') ? change.label : `${change.label},#656565`;
+        }
+
+        for (const deckCard of matches) {
+          const updated = {
+            quantity: change.quantity ?? deckCard.quantity,
+            categories: change.categories ?? deckCard.categories ?? [],
+            modifier: change.modifier ?? deckCard.modifier ?? 'Normal',
+            label: label ?? deckCard.label ?? ',#656565',
+            customCmc: change.custom_cmc !== undefined ? change.custom_cmc : deckCard.customCmc ?? null,
+            companion: change.companion ?? Boolean(deckCard.companion),
+          };
+
+          cardActions.push(archidekt.createModifyCardAction({
+            cardId: String(deckCard.card.id),
+            deckRelationId: String(deckCard.id),
+            ...updated,
+          }));
+
+          // Describe only what actually changes
+          const parts = [];
+          if (updated.quantity !== deckCard.quantity) parts.push(`quantity ${deckCard.quantity} → ${updated.quantity}`);
+          if (updated.categories.join('|') !== (deckCard.categories || []).join('|')) {
+            parts.push(`categories [${(deckCard.categories || []).join(', ')}] → [${updated.categories.join(', ')}]`);
+          }
+          if (updated.modifier !== (deckCard.modifier || 'Normal')) parts.push(`${deckCard.modifier || 'Normal'} → ${updated.modifier}`);
+          if (updated.label !== (deckCard.label ?? ',#656565')) parts.push(`label "${updated.label.split(',')[0]}"`);
+          if (updated.customCmc !== (deckCard.customCmc ?? null)) parts.push(`custom MV ${updated.customCmc ?? 'cleared'}`);
+          if (updated.companion !== Boolean(deckCard.companion)) parts.push(updated.companion ? 'set as companion' : 'no longer companion');
+
+          descriptions.push(`- ${decklist.getCardName(deckCard)}: ${parts.length > 0 ? parts.join(', ') : 'no change'}`);
+        }
+      }
+
+      if (cardActions.length === 0) {
+        return {
+          content: [{ type: 'text', text: `No cards modified:\n${problems.map(p => `- ${p}`).join('\n')}` }],
+          isError: true,
+        };
+      }
+
+      server.sendLoggingMessage({ level: 'info', data: `Modifying ${cardActions.length} card entries...` });
+      await archidekt.modifyCards(accessToken, deck_id, cardActions);
+
+      await recordJournal(deck_id, {
+        tool: 'modify_cards',
+        summary: `Modified ${cardActions.length} card entries`,
+        snapshot: journal.snapshotDeck(deck),
+        cardActions,
+      });
+      await notifyDeckChanged(deck_id);
+
+      let output = `Modified ${cardActions.length} card entries in deck ${deck_id}:\n${descriptions.join('\n')}`;
+      if (problems.length > 0) {
+        output += `\n\nSkipped:\n${problems.map(p => `- ${p}`).join('\n')}`;
+      }
+
+      return {
+        content: [{ type: 'text', text: output }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Modify cards error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to modify cards: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // set_printings
+  if (name === 'set_printings') {
+    const { deck_id, strategy, set_code, currency = 'usd', cards, dry_run = false } = args;
+
+    if (!printings.PRINTING_STRATEGIES.includes(strategy)) {
+      return {
+        content: [{ type: 'text', text: `Unknown strategy "${strategy}". Use one of: ${printings.PRINTING_STRATEGIES.join(', ')}` }],
+        isError: true,
+      };
+    }
+    if (strategy === 'set' && !set_code) {
+      return {
+        content: [{ type: 'text', text: 'The "set" strategy needs a set_code.' }],
+        isError: true,
+      };
+    }
+
+    try {
+      const { accessToken } = await archidekt.getAuth();
+      server.sendLoggingMessage({ level: 'info', data: `Fetching deck ${deck_id}...` });
+
+      const deck = await archidekt.getDeck(accessToken, deck_id);
+      let targets = deck.cards || [];
+      if (cards) {
+        const wanted = new Set(cards.split('\n').map(n => n.trim().toLowerCase()).filter(Boolean));
+        targets = targets.filter(c => wanted.has(decklist.getCardName(c).toLowerCase()));
+      }
+
+      const names = [...new Set(targets.map(decklist.getCardName))];
+      server.sendLoggingMessage({ level: 'info', data: `Looking up printings for ${names.length} cards...` });
+
+      const printsByName = new Map();
+      const problems = [];
+      for (const cardName of names) {
+        try {
+          printsByName.set(cardName, await scryfall.getPrints(cardName));
+        } catch (error) {
+          problems.push(`${cardName}: ${error.message}`);
+        }
+      }
+
+      const switches = [];
+      let unchanged = 0;
+      for (const deckCard of targets) {
+        const prints = printsByName.get(decklist.getCardName(deckCard));
+        if (!prints) continue;
+
+        const modifier = deckCard.modifier || 'Normal';
+        const current = printings.findCurrentPrint(prints, deckCard);
+        const chosen = printings.choosePrinting(prints, strategy, { setCode: set_code, modifier, currency, current });
+
+        if (!chosen) {
+          if (strategy === 'set') problems.push(`${decklist.getCardName(deckCard)}: no ${modifier === 'Normal' ? '' : `${modifier.toLowerCase()} `}printing in ${set_code.toUpperCase()}`);
+          else unchanged++;
+          continue;
+        }
+        if (current && chosen.id === current.id) {
+          unchanged++;
+          continue;
+        }
+        switches.push({ deckCard, print: chosen });
+      }
+
+      const describe = ({ deckCard, print }) => {
+        const from = `${deckCard.card.edition?.editioncode?.toUpperCase() || '?'} ${deckCard.card.collectorNumber || ''}`.trim();
+        return `- ${decklist.getCardName(deckCard)}: ${from} → ${print.set.toUpperCase()} ${print.collector_number}`;
+      };
+      const problemText = problems.length > 0 ? `\n\nSkipped:\n${problems.map(p => `- ${p}`).join('\n')}` : '';
+
+      if (switches.length === 0) {
+        return {
+          content: [{ type: 'text', text: `No printing changes needed for deck ${deck_id} (${unchanged} card entries already match).${problemText}` }],
+        };
+      }
+
+      if (dry_run) {
+        return {
+          content: [{
+            type: 'text',
+            text: `# Printing changes for ${deck.name} (${strategy})\n\n${switches.map(describe).join('\n')}\n\n${unchanged} card entries unchanged. Nothing was changed; run again without dry_run to apply.${problemText}`,
+          }],
+        };
+      }
+
+      // Let Archidekt's parser map each Scryfall printing to its own card ID
+      const lines = [...new Set(switches.map(({ deckCard, print }) =>
+        `1x ${decklist.getCardName(deckCard)} (${print.set}) ${print.collector_number}`
+      ))];
+      const diffResult = await archidekt.computeDiff(accessToken, '', lines.join('\n'));
+      const archidektCards = new Map();
+      for (const item of diffResult.toAdd || []) {
+        const key = `${item.card.edition?.editioncode?.toLowerCase()}:${item.card.collectorNumber}`;
+        archidektCards.set(key, item.card);
+      }
+
+      const cardActions = [];
+      const applied = [];
+      for (const change of switches) {
+        const { deckCard, print } = change;
+        const archidektCard = archidektCards.get(`${print.set}:${print.collector_number}`);
+        if (!archidektCard) {
+          problems.push(`${decklist.getCardName(deckCard)}: Archidekt has no card for ${print.set.toUpperCase()} ${print.collector_number}`);
+          continue;
+        }
+
+        cardActions.push(archidekt.createModifyCardAction({
+          cardId: String(archidektCard.id),
+          deckRelationId: String(deckCard.id),
+          quantity: deckCard.quantity,
+          categories: deckCard.categories || [],
+          modifier: deckCard.modifier || 'Normal',
+          label: deckCard.label ?? ',#656565',
+          customCmc: deckCard.customCmc ?? null,
+          companion: Boolean(deckCard.companion),
+        }));
+        applied.push(change);
+      }
+
+      if (cardActions.length === 0) {
+        return {
+          content: [{ type: 'text', text: `No printings changed.\n\nSkipped:\n${problems.map(p => `- ${p}`).join('\n')}` }],
+          isError: true,
+        };
+      }
+
+      server.sendLoggingMessage({ level: 'info', data: `Switching ${cardActions.length} printings...` });
+      await archidekt.modifyCards(accessToken, deck_id, cardActions);
+
+      await recordJournal(deck_id, {
+        tool: 'set_printings',
+        summary: `Switched ${cardActions.length} printings (${strategy}${strategy === 'set' ? ` ${set_code.toUpperCase()}` : ''})`,
+        snapshot: journal.snapshotDeck(deck),
+        cardActions,
+      });
+      await notifyDeckChanged(deck_id);
+
+      let output = `Switched ${applied.length} printings in deck ${deck_id}:\n${applied.map(describe).join('\n')}`;
+      if (problems.length > 0) {
+        output += `\n\nSkipped:\n${problems.map(p => `- ${p}`).join('\n')}`;
+      }
+
+      return {
+        content: [{ type: 'text', text: output }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Set printings error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to set printings: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // update_deck_settings
+  if (name === 'update_deck_settings') {
+    const { deck_id, name: deckName, format, private: isPrivate, unlisted, theorycrafted, bracket, folder_id } = args;
+
+    if (format !== undefined && !(format.toLowerCase() in FORMAT_IDS)) {
+      return {
+        content: [{ type: 'text', text: `Unknown format "${format}". Use one of: ${Object.keys(FORMAT_IDS).join(', ')}` }],
+        isError: true,
+      };
+    }
+    if (bracket !== undefined && bracket !== null && !(Number.isInteger(bracket) && bracket >= 1 && bracket <= 5)) {
+      return {
+        content: [{ type: 'text', text: 'bracket must be a whole number from 1 to 5, or null.' }],
+        isError: true,
+      };
+    }
+
+    const settings = {
+      name: deckName,
+      deckFormat: format !== undefined ? getFormatId(format) : undefined,
+      private: isPrivate,
+      unlisted,
+      theorycrafted,
+      edhBracket: bracket,
+      parentFolder: folder_id,
+    };
+    if (Object.values(settings).every(value => value === undefined)) {
+      return {
+        content: [{ type: 'text', text: 'Please provide at least one setting to change.' }],
+        isError: true,
+      };
+    }
+
+    try {
+      const { accessToken } = await archidekt.getAuth();
+      server.sendLoggingMessage({ level: 'info', data: `Updating settings for deck ${deck_id}...` });
+
+      const before = await archidekt.getDeck(accessToken, deck_id);
+      await archidekt.updateDeck(accessToken, deck_id, settings);
+      await notifyDeckChanged(deck_id, { listChanged: settings.name !== undefined });
+      const after = await archidekt.getDeck(accessToken, deck_id);
+
+      const rows = [
+        ['Name', d => d.name],
+        ['Format', d => getFormatName(d.deckFormat)],
+        ['Private', d => Boolean(d.private)],
+        ['Unlisted', d => Boolean(d.unlisted)],
+        ['Theorycrafted', d => Boolean(d.theorycrafted)],
+        ['Bracket', d => d.edhBracket ?? 'none'],
+        ['Folder', d => d.parentFolderId ?? d.parentFolder ?? 'unknown'],
+      ];
+
+      let output = `Updated settings for deck ${deck_id}:\n`;
+      const changed = [];
+      for (const [label, read] of rows) {
+        const from = read(before);
+        const to = read(after);
+        output += from === to ? `- ${label}: ${to}\n` : `- ${label}: ${from} → ${to}\n`;
+        if (from !== to) changed.push(`${label} ${from} → ${to}`);
+      }
+
+      await recordJournal(deck_id, {
+        tool: 'update_deck_settings',
+        summary: changed.length > 0 ? `Changed settings: ${changed.join(', ')}` : 'Saved settings without changes',
+        snapshot: journal.snapshotDeck(before),
+      });
+
+      return {
+        content: [{ type: 'text', text: output.trim() }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Update deck settings error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to update deck settings: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // validate_deck
+  if (name === 'validate_deck') {
+    try {
+      server.sendLoggingMessage({ level: 'info', data: `Validating deck ${args.deck_id}...` });
+
+      const deck = await fetchDeck(args.deck_id);
+
+      if (!deck.cards || deck.cards.length === 0) {
+        return {
+          content: [{ type: 'text', text: `Deck "${deck.name}" is empty.` }],
+        };
+      }
+
+      const { cards: cardMap } = await scryfall.lookupCardMap(decklist.getUniqueNames(deck));
+      const { format, violations, unresolved, deckSize } = validation.validateDeck(deck, cardMap);
+
+      if (!format) {
+        return {
+          content: [{ type: 'text', text: `Deck "${deck.name}" has an unsupported format (${deck.deckFormat}).` }],
+          isError: true,
+        };
+      }
+
+      let output = `# ${deck.name} (${format.name}, ${deckSize} cards)\n\n`;
+
+      if (violations.length === 0) {
+        output += `No violations found. Deck is legal in ${format.name}.\n`;
+      } else {
+        output += `Found ${violations.length} violation(s):\n\n`;
+
+        // Group violations by rule
+        const byRule = {};
+        for (const v of violations) {
+          if (!byRule[v.rule]) byRule[v.rule] = [];
+          byRule[v.rule].push(v);
+        }
+
+        for (const [rule, ruleViolations] of Object.entries(byRule)) {
+          output += `## ${rule}\n`;
+          for (const v of ruleViolations) {
+            output += v.card ? `- **${v.card}**: ${v.message}\n` : `- ${v.message}\n`;
+          }
+          output += '\n';
+        }
+      }
+
+      if (unresolved.length > 0) {
+        output += `\n---\nCould not verify (not found on Scryfall): ${unresolved.join(', ')}\n`;
+      }
+
+      return {
+        content: [{ type: 'text', text: output.trim() }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Validate deck error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to validate deck: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // analyze_deck
+  if (name === 'analyze_deck') {
+    try {
+      server.sendLoggingMessage({ level: 'info', data: `Analyzing deck ${args.deck_id}...` });
+
+      const deck = await fetchDeck(args.deck_id);
+
+      if (decklist.getMainboard(deck).length === 0) {
+        return {
+          content: [{ type: 'text', text: `Deck "${deck.name}" is empty.` }],
+        };
+      }
+
+      const { cards: cardMap } = await scryfall.lookupCardMap(decklist.getUniqueNames(deck));
+      const stats = analysis.analyzeDeck(deck, cardMap);
+
+      const landPct = stats.totalCards > 0 ? Math.round((stats.landCount / stats.totalCards) * 100) : 0;
+      let output = `# ${deck.name} (${stats.totalCards} cards)\n`;
+      output += `Lands: ${stats.landCount} (${landPct}%) · Nonlands: ${stats.nonlandCount}\n`;
+      output += `Average MV: ${stats.averageMv.toFixed(2)} (${stats.averageMvNonland.toFixed(2)} excluding lands)\n\n`;
+
+      output += '## Mana Curve (nonland)\n';
+      for (const [mv, count] of Object.entries(stats.curve)) {
+        const label = Number(mv) === stats.curveCap ? `${mv}+` : mv;
+        output += `${label.toString().padStart(2)}: ${'#'.repeat(count)} ${count}\n`;
+      }
+
+      output += '\n## Colors (pips / land sources)\n';
+      for (const color of analysis.COLORS) {
+        if (stats.pips[color] === 0 && stats.landSources[color] === 0) continue;
+        output += `${color}: ${stats.pips[color]} pips / ${stats.landSources[color]} lands\n`;
+      }
+      if (stats.landSources.C > 0) {
+        output += `C: ${stats.landSources.C} colorless lands\n`;
+      }
+
+      output += '\n## Types\n';
+      const types = Object.entries(stats.types).sort((a, b) => b[1] - a[1]);
+      output += types.map(([type, count]) => `${type}: ${count}`).join('\n') + '\n';
+
+      output += '\n## Roles (estimated from oracle text)\n';
+      output += `Ramp: ${stats.roles.ramp}\nCard draw: ${stats.roles.draw}\nInteraction: ${stats.roles.interaction}\n`;
+
+      if (stats.unresolved.length > 0) {
+        output += `\n---\nNot found on Scryfall (excluded): ${stats.unresolved.join(', ')}\n`;
+      }
+
+      return {
+        content: [{ type: 'text', text: output.trim() }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Analyze deck error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to analyze deck: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // simulate_deck
+  if (name === 'simulate_deck') {
+    const {
+      deck_id,
+      games = 10000,
+      turns = 7,
+      on_the_play = true,
+      min_lands = 2,
+      max_lands = 5,
+      max_mulligans = 3,
+      free_mulligan,
+      key_cards,
+      queries = [],
+      seed,
+    } = args;
+
+    const checks = [
+      [Number.isInteger(games) && games >= 1 && games <= 100000, 'games must be a whole number from 1 to 100000'],
+      [Number.isInteger(turns) && turns >= 1 && turns <= 15, 'turns must be a whole number from 1 to 15'],
+      [Number.isInteger(min_lands) && Number.isInteger(max_lands) && min_lands >= 0 && min_lands <= max_lands && max_lands <= 7, 'min_lands and max_lands must be whole numbers with 0 <= min_lands <= max_lands <= 7'],
+      [Number.isInteger(max_mulligans) && max_mulligans >= 0 && max_mulligans <= 6, 'max_mulligans must be a whole number from 0 to 6'],
+    ];
+    const failed = checks.find(([ok]) => !ok);
+    if (failed) {
+      return {
+        content: [{ type: 'text', text: failed[1] }],
+        isError: true,
+      };
+    }
 
-  // create_deck
-  if (name === 'create_deck') {
     try {
-      const { accessToken, rootFolder } = await archidekt.getAuth();
-      server.sendLoggingMessage({ level: 'info', data: `Creating deck: ${args.name}` });
+      server.sendLoggingMessage({ level: 'info', data: `Simulating deck ${deck_id} (${games} games)...` });
 
-      const deck = await archidekt.createDeck(accessToken, {
-        name: args.name,
-        parentFolder: rootFolder,
-        deckFormat: getFormatId(args.format),
-        description: args.description || '',
-        private: args.private !== false,
+      const deck = await fetchDeck(deck_id);
+      const { cards: cardMap } = await scryfall.lookupCardMap(decklist.getUniqueNames(deck));
+      const { library, commanders, unresolved } = simulation.buildLibrary(deck, cardMap);
+
+      if (library.length < simulation.HAND_SIZE + turns) {
+        return {
+          content: [{ type: 'text', text: `Deck "${deck.name}" has only ${library.length} cards in its library, too few to simulate ${turns} turns.` }],
+          isError: true,
+        };
+      }
+
+      const freeMulligan = free_mulligan ?? Boolean(validation.FORMAT_RULES[deck.deckFormat]?.commander);
+      const keyCards = (key_cards || '').split('\n').map(l => l.trim()).filter(l => l);
+      const result = simulation.simulateDeck(library, commanders, {
+        games,
+        turns,
+        onThePlay: on_the_play,
+        minLands: min_lands,
+        maxLands: max_lands,
+        maxMulligans: max_mulligans,
+        freeMulligan,
+        keyCards,
+        seed,
+      });
+
+      const pct = p => `${(p * 100).toFixed(1)}%`;
+      let output = `# Simulation: ${deck.name}\n`;
+      output += `${games} games, on the ${on_the_play ? 'play' : 'draw'}, keeping ${min_lands}-${max_lands} lands${freeMulligan ? ', free first mulligan' : ''}\n`;
+      output += `Library: ${result.librarySize} cards, ${result.landCount} lands (${pct(result.landCount / result.librarySize)})\n`;
+
+      output += '\n## Opening 7: lands\n';
+      result.openingLands.forEach((p, lands) => {
+        if (p > 0) output += `${lands}: ${pct(p)}\n`;
+      });
+
+      output += '\n## Mulligans\n';
+      result.mulligans.forEach((p, count) => {
+        const label = count === 0 ? 'Kept 7' : `${count} mulligan${count === 1 ? '' : 's'}`;
+        output += `${label}: ${pct(p)}\n`;
       });
 
+      output += '\n## By turn\n';
+      output += 'Turn | Hit land drop | Avg lands | Avg mana (lands + ramp)\n';
+      for (let i = 0; i < turns; i++) {
+        output += `${i + 1} | ${pct(result.landDrops[i])} | ${result.averageLands[i].toFixed(2)} | ${result.averageMana[i].toFixed(2)}\n`;
+      }
+
+      if (result.commanders.length > 0) {
+        output += '\n## Commander\n';
+        for (const commander of result.commanders) {
+          const curveTurn = Math.max(commander.cmc, 1);
+          if (curveTurn > turns) {
+            output += `${commander.name} (MV ${commander.cmc}): beyond the ${turns} simulated turns\n`;
+            continue;
+          }
+          output += `${commander.name} (MV ${commander.cmc}): on curve (turn ${curveTurn}) ${pct(commander.byTurn[curveTurn - 1])}`;
+          if (curveTurn < turns) output += ` · by turn ${curveTurn + 1} ${pct(commander.byTurn[curveTurn])}`;
+          if (curveTurn > 1) output += ` · early (turn ${curveTurn - 1}) ${pct(commander.byTurn[curveTurn - 2])}`;
+          output += '\n';
+        }
+      }
+
+      if (result.keyCards.length > 0) {
+        output += '\n## Key cards (drawn by turn)\n';
+        for (const card of result.keyCards) {
+          if (card.copies === 0) {
+            output += `${card.name}: not in the library\n`;
+            continue;
+          }
+          const byTurn = card.byTurn.map((p, i) => `T${i + 1} ${pct(p)}`).join(' · ');
+          output += `${card.name} (${card.copies} ${card.copies === 1 ? 'copy' : 'copies'}): ${byTurn}\n`;
+        }
+      }
+
+      if (queries.length > 0) {
+        output += '\n## Exact odds (hypergeometric, ignoring mulligans)\n';
+        for (const query of queries) {
+          const { at_least = 1, by_turn = 3 } = query;
+          try {
+            const { label, successes } = simulation.countQueryCards(library, {
+              cards: query.cards ? query.cards.split('\n').map(l => l.trim()).filter(l => l) : undefined,
+              category: query.category,
+              role: query.role,
+              count: query.count,
+            });
+            const seen = simulation.cardsSeenByTurn(by_turn, on_the_play);
+            const probability = simulation.hypergeometricAtLeast(result.librarySize, successes, seen, at_least);
+            output += `At least ${at_least} of ${label} (${successes} in library) by turn ${by_turn} (${seen} cards seen): ${pct(probability)}\n`;
+          } catch (error) {
+            output += `Skipped query: ${error.message}\n`;
+          }
+        }
+      }
+
+      if (unresolved.length > 0) {
+        output += `\n---\nNot found on Scryfall (counted as nonland spells): ${unresolved.join(', ')}\n`;
+      }
+
       return {
-        content: [{
-          type: 'text',
-          text: `Created deck "${deck.name}" (ID: ${deck.id})\nURL: https://archidekt.com/decks/${deck.id}`,
-        }],
+        content: [{ type: 'text', text: output.trim() }],
       };
     } catch (error) {
-      server.sendLoggingMessage({ level: 'error', data: `Create deck error: ${error.message}` });
+      server.sendLoggingMessage({ level: 'error', data: `Simulate deck error: ${error.message}` });
       return {
-        content: [{ type: 'text', text: `Failed to create deck: ${error.message}` }],
+        content: [{ type: 'text', text: `Failed to simulate deck: ${error.message}` }],
         isError: true,
       };
     }
   }
 
-  // list_decks
-  if (name === 'list_decks') {
+  // find_combos
+  if (name === 'find_combos') {
+    const { deck_id, include_near_misses = true, limit = 20, refresh = false } = args;
+
     try {
-      const { accessToken } = await archidekt.getAuth();
-      server.sendLoggingMessage({ level: 'info', data: 'Fetching deck list...' });
+      server.sendLoggingMessage({ level: 'info', data: `Finding combos in deck ${deck_id}...` });
+
+      const deck = await fetchDeck(deck_id);
+      const mainboard = decklist.getMainboard(deck);
+      if (mainboard.length === 0) {
+        return {
+          content: [{ type: 'text', text: `Deck "${deck.name}" is empty.` }],
+        };
+      }
 
-      const decks = await archidekt.listDecks(accessToken);
+      // Color identity comes from the commanders, or from the whole deck when it has none
+      const commanderCards = decklist.getCommanders(deck);
+      const identitySource = commanderCards.length > 0 ? commanderCards : mainboard;
+      const { cards: cardMap } = await scryfall.lookupCardMap([...new Set(identitySource.map(decklist.getCardName))]);
+      const identity = new Set(identitySource.flatMap(c => scryfall.findCard(cardMap, decklist.getCardName(c))?.color_identity || []));
+      const identityText = analysis.COLORS.filter(c => identity.has(c)).join('') || 'C';
 
-      if (!decks || decks.length === 0) {
+      const data = await combos.getCombos({ refresh });
+      const { complete, nearMisses } = combos.findCombos(data.combos, mainboard.map(decklist.getCardName), [...identity]);
+
+      const describe = combo => {
+        let line = `${combo.cards.join(' + ')} → ${combo.results.join(', ') || 'see description'}`;
+        if (combo.templates.length > 0) line += ` (also needs: ${combo.templates.join(', ')})`;
+        return `${line} [${combo.id}]`;
+      };
+
+      let output = `# Combos in ${deck.name} (identity ${identityText}${commanderCards.length > 0 ? '' : ', from the deck\'s cards'})\n`;
+      output += `Checked ${data.combos.length} combos from ${data.source}${data.updatedAt ? ` (updated ${data.updatedAt})` : ''}\n`;
+
+      output += `\n## Complete combos (${complete.length})\n`;
+      if (complete.length === 0) {
+        output += 'None\n';
+      } else {
+        output += complete.slice(0, limit).map((combo, i) => `${i + 1}. ${describe(combo)}`).join('\n') + '\n';
+        if (complete.length > limit) output += `...and ${complete.length - limit} more\n`;
+      }
+
+      if (include_near_misses) {
+        const groups = combos.groupByMissingCard(nearMisses);
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        output += `\n## One card away (${plural(nearMisses.length, 'combo')}, ${plural(groups.length, 'missing card')})\n`;
+        if (groups.length === 0) {
+          output += 'None\n';
+        }
+        for (const group of groups.slice(0, limit)) {
+          output += `### ${group.card} (completes ${group.combos.length})\n`;
+          output += group.combos.slice(0, 3).map(combo => `- ${describe(combo)}`).join('\n') + '\n';
+          if (group.combos.length > 3) output += `- ...and ${group.combos.length - 3} more\n`;
+        }
+        if (groups.length > limit) output += `\n...and ${groups.length - limit} more missing cards\n`;
+      }
+
+      return {
+        content: [{ type: 'text', text: output.trim() }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Find combos error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to find combos: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // export_deck
+  if (name === 'export_deck') {
+    const { deck_id, format = 'text', include_maybeboard = false } = args;
+
+    if (!exporter.EXPORT_FORMATS.includes(format)) {
+      return {
+        content: [{ type: 'text', text: `Unknown format "${format}". Use one of: ${exporter.EXPORT_FORMATS.join(', ')}` }],
+        isError: true,
+      };
+    }
+
+    try {
+      server.sendLoggingMessage({ level: 'info', data: `Exporting deck ${deck_id} as ${format}...` });
+
+      const deck = await fetchDeck(deck_id);
+
+      if (!deck.cards || deck.cards.length === 0) {
         return {
-          content: [{ type: 'text', text: 'No decks found.' }],
+          content: [{ type: 'text', text: `Deck "${deck.name}" is empty.` }],
         };
       }
 
-      const formatNames = { 1: 'Standard', 2: 'Modern', 3: 'Commander', 4: 'Legacy', 5: 'Vintage', 6: 'Pauper', 7: 'Pioneer', 8: 'Brawl', 9: 'Historic', 10: 'Oathbreaker' };
+      const output = exporter.exportDeck(deck, format, { includeMaybeboard: include_maybeboard });
 
-      // Fetch details for each deck to get commander and description
-      const deckPreviews = await Promise.all(
-        decks.map(async (d) => {
-          try {
-            const deck = await archidekt.getDeck(accessToken, d.id);
-            const format = formatNames[deck.deckFormat] || 'Unknown';
-            const privacy = deck.private ? '(private)' : '(public)';
+      return {
+        content: [{ type: 'text', text: output }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Export deck error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to export deck: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
 
-            // Extract color identity from deck colors
-            const colorOrder = ['W', 'U', 'B', 'R', 'G'];
-            const colors = d.colors || {};
-            const colorId = colorOrder.filter(c => colors[c] > 0).join('') || 'C';
+  // compare_decks
+  if (name === 'compare_decks') {
+    const { deck_a, deck_b, as_update = false } = args;
 
-            // Find commanders (cards in "Commander" category)
-            const commanders = (deck.cards || [])
-              .filter(c => c.categories?.includes('Commander'))
-              .map(c => c.card.oracleCard.name);
+    try {
+      server.sendLoggingMessage({ level: 'info', data: `Comparing decks ${deck_a} and ${deck_b}...` });
 
-            // Build preview
-            let preview = `**${deck.name}** (ID: ${d.id}) - ${colorId} ${format} ${privacy}`;
-            if (commanders.length > 0) {
-              preview += `\n  Commander: ${commanders.join(' & ')}`;
-            }
-            if (deck.description) {
-              let desc = deck.description;
-              // Parse Quill Delta format if present
-              try {
-                const parsed = JSON.parse(desc);
-                if (parsed.ops && Array.isArray(parsed.ops)) {
-                  desc = parsed.ops
-                    .map(op => (typeof op.insert === 'string' ? op.insert : ''))
-                    .join('')
-                    .trim();
-                }
-              } catch {
-                // Not JSON, use as-is
-              }
-              if (desc) {
-                desc = desc.length > 500 ? desc.slice(0, 500) + '...' : desc;
-                preview += `\n  Description: ${desc}`;
-              }
-            }
-            return preview;
-          } catch {
-            // Fallback if deck details fail
-            const format = formatNames[d.deckFormat] || 'Unknown';
-            const privacy = d.private ? '(private)' : '(public)';
-            const colorOrder = ['W', 'U', 'B', 'R', 'G'];
-            const colors = d.colors || {};
-            const colorId = colorOrder.filter(c => colors[c] > 0).join('') || 'C';
-            return `**${d.name}** (ID: ${d.id}) - ${colorId} ${format} ${privacy}`;
-          }
-        })
-      );
+      const [deckA, deckB] = await Promise.all([fetchDeck(deck_a), fetchDeck(deck_b)]);
+
+      const names = [...new Set([...decklist.getUniqueNames(deckA), ...decklist.getUniqueNames(deckB)])];
+      const { cards: cardMap } = await scryfall.lookupCardMap(names);
+
+      const diff = compare.compareDecks(deckA, deckB);
+      const statsA = analysis.analyzeDeck(deckA, cardMap);
+      const statsB = analysis.analyzeDeck(deckB, cardMap);
+      const priceA = compare.estimatePrice(deckA, cardMap);
+      const priceB = compare.estimatePrice(deckB, cardMap);
+
+      const signed = (n, digits = 0) => `${n >= 0 ? '+' : ''}${n.toFixed(digits)}`;
+      const delta = (a, b, digits = 0) => `${a.toFixed(digits)} → ${b.toFixed(digits)} (${signed(b - a, digits)})`;
+
+      let output = `# A: ${deckA.name} (ID: ${deckA.id}) vs B: ${deckB.name} (ID: ${deckB.id})\n\n`;
+
+      output += '## Summary\n';
+      output += `Cards: ${delta(statsA.totalCards, statsB.totalCards)}\n`;
+      output += `Lands: ${delta(statsA.landCount, statsB.landCount)}\n`;
+      output += `Average MV (nonland): ${delta(statsA.averageMvNonland, statsB.averageMvNonland, 2)}\n`;
+
+      const curveChanges = Object.keys(statsA.curve)
+        .filter(mv => statsA.curve[mv] !== statsB.curve[mv])
+        .map(mv => `${Number(mv) === statsA.curveCap ? `${mv}+` : mv}: ${statsA.curve[mv]} → ${statsB.curve[mv]}`);
+      output += `Curve: ${curveChanges.length > 0 ? curveChanges.join(', ') : 'unchanged'}\n`;
+
+      const pipChanges = analysis.COLORS
+        .filter(c => statsA.pips[c] !== statsB.pips[c])
+        .map(c => `${c} ${statsA.pips[c]} → ${statsB.pips[c]}`);
+      output += `Color pips: ${pipChanges.length > 0 ? pipChanges.join(', ') : 'unchanged'}\n`;
+      output += `Estimated price (USD): ${delta(priceA, priceB, 2)}\n`;
+
+      output += `\n## Only in A (${diff.onlyA.length})\n`;
+      output += diff.onlyA.map(c => `${c.quantity}x ${c.name} [${c.categories.join(', ')}]`).join('\n') || 'None';
+      output += `\n\n## Only in B (${diff.onlyB.length})\n`;
+      output += diff.onlyB.map(c => `${c.quantity}x ${c.name} [${c.categories.join(', ')}]`).join('\n') || 'None';
+
+      if (diff.quantityChanges.length > 0) {
+        output += '\n\n## Quantity differences\n';
+        output += diff.quantityChanges.map(c => `${c.name}: ${c.quantityA} → ${c.quantityB}`).join('\n');
+      }
+
+      if (diff.categoryMoves.length > 0) {
+        output += '\n\n## Category moves\n';
+        output += diff.categoryMoves.map(c => `${c.name}: ${c.categoriesA.join(', ')} → ${c.categoriesB.join(', ')}`).join('\n');
+      }
+
+      output += `\n\n## Shared (${diff.shared.length})\n`;
+      output += diff.shared.map(c => c.name).join(', ') || 'None';
+
+      if (as_update) {
+        const { cardsToAdd, cardsToRemove, categoryChanges } = compare.toUpdateText(diff);
+        output += `\n\n## update_deck for deck ${deckA.id} (A → B)\n`;
+        output += `cards_to_add:\n\`\`\`\n${cardsToAdd}\n\`\`\`\n`;
+        output += `cards_to_remove:\n\`\`\`\n${cardsToRemove}\n\`\`\``;
+        if (categoryChanges.length > 0) {
+          // update_deck only adds and removes cards, so category moves are a separate modify_cards call
+          output += `\n\n## Then modify_cards for deck ${deckA.id} (category moves)\n`;
+          output += `changes:\n\`\`\`json\n${JSON.stringify(categoryChanges, null, 2)}\n\`\`\``;
+        }
+      }
 
       return {
-        content: [{
-          type: 'text',
-          text: `Found ${decks.length} deck(s):\n\n${deckPreviews.join('\n\n')}`,
-        }],
+        content: [{ type: 'text', text: output.trim() }],
       };
     } catch (error) {
-      server.sendLoggingMessage({ level: 'error', data: `List decks error: ${error.message}` });
+      server.sendLoggingMessage({ level: 'error', data: `Compare decks error: ${error.message}` });
       return {
-        content: [{ type: 'text', text: `Failed to list decks: ${error.message}` }],
+        content: [{ type: 'text', text: `Failed to compare decks: ${error.message}` }],
         isError: true,
       };
     }
   }
 
-  // read_deck
-  if (name === 'read_deck') {
+  // price_deck
+  if (name === 'price_deck') {
+    const { deck_id, currency = 'usd', max_price, include_cheapest = true, show_cards = true } = args;
+
+    if (!pricing.CURRENCIES.includes(currency)) {
+      return {
+        content: [{ type: 'text', text: `Unknown currency "${currency}". Use one of: ${pricing.CURRENCIES.join(', ')}` }],
+        isError: true,
+      };
+    }
+
     try {
-      const { accessToken } = await archidekt.getAuth();
-      server.sendLoggingMessage({ level: 'info', data: `Reading deck ${args.deck_id}...` });
+      server.sendLoggingMessage({ level: 'info', data: `Pricing deck ${deck_id}...` });
 
-      const deck = await archidekt.getDeck(accessToken, args.deck_id);
+      const deck = await fetchDeck(deck_id);
       const cards = deck.cards || [];
 
       if (cards.length === 0) {
@@ -299,163 +2645,322 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      // Group cards by category
-      const byCategory = {};
-      for (const c of cards) {
-        const category = c.categories?.[0] || 'Uncategorized';
-        if (!byCategory[category]) byCategory[category] = [];
-        byCategory[category].push(c);
+      const { found } = await scryfall.lookupCollection(cards.map(pricing.getPrintingIdentifier));
+      const report = pricing.priceDeck(deck, pricing.indexPrintings(found), { currency, maxPrice: max_price });
+      const fmt = amount => pricing.formatPrice(amount, currency);
+
+      let output = `# ${deck.name} (${currency.toUpperCase()})\n\n`;
+      output += `Deck total: ${pricing.CURRENCIES.map(c => pricing.formatPrice(report.totals[c], c)).join(' · ')}\n`;
+
+      if (include_cheapest) {
+        server.sendLoggingMessage({ level: 'info', data: 'Looking up cheapest printings...' });
+
+        // Sum per card name so several printings of one card share a lookup
+        const quantities = new Map();
+        const currentPrices = new Map();
+        for (const entry of report.entries.filter(e => e.inDeck)) {
+          quantities.set(entry.name, (quantities.get(entry.name) || 0) + entry.quantity);
+          if (entry.unitPrice !== null) {
+            currentPrices.set(entry.name, Math.min(currentPrices.get(entry.name) ?? Infinity, entry.unitPrice));
+          }
+        }
+
+        let cheapestTotal = 0;
+        const failed = [];
+        for (const [cardName, quantity] of quantities) {
+          let cheapest = null;
+          try {
+            cheapest = await scryfall.findCheapestPrint(cardName, currency);
+          } catch {
+            // Counted below with its current price
+          }
+          const price = Math.min(cheapest?.price ?? Infinity, currentPrices.get(cardName) ?? Infinity);
+          if (price === Infinity) {
+            failed.push(cardName);
+          } else {
+            cheapestTotal += price * quantity;
+          }
+        }
+
+        const savings = report.totals[currency] - cheapestTotal;
+        output += `Cheapest printings total: ${fmt(cheapestTotal)} (saves ${fmt(Math.max(savings, 0))})\n`;
+        if (failed.length > 0) {
+          output += `No price found for: ${failed.join(', ')}\n`;
+        }
+      }
+
+      output += '\n## By category\n';
+      const inDeckCategories = new Set(report.entries.filter(e => e.inDeck).map(e => e.category));
+      for (const [category, total] of Object.entries(report.byCategory).sort((a, b) => b[1] - a[1])) {
+        output += `${category}: ${fmt(total)}${inDeckCategories.has(category) ? '' : ' (not in deck)'}\n`;
+      }
+
+      output += '\n## Most expensive\n';
+      report.mostExpensive.forEach((e, i) => {
+        const finish = e.modifier !== 'Normal' ? `, ${e.modifier}` : '';
+        output += `${i + 1}. ${e.name} (${e.set} ${e.collectorNumber}${finish}): ${fmt(e.unitPrice)}\n`;
+      });
+
+      if (max_price !== undefined) {
+        output += `\n## Over ${fmt(max_price)} (${report.overBudget.length})\n`;
+        output += report.overBudget.length > 0
+          ? report.overBudget.map(e => `- ${e.quantity}x ${e.name}: ${fmt(e.unitPrice)}`).join('\n') + '\n'
+          : 'None\n';
+      }
+
+      if (show_cards) {
+        const byCategory = {};
+        for (const entry of report.entries) {
+          if (!byCategory[entry.category]) byCategory[entry.category] = [];
+          byCategory[entry.category].push(entry);
+        }
+
+        output += '\n## Cards\n';
+        for (const [category, entries] of Object.entries(byCategory)) {
+          output += `### ${category}\n`;
+          for (const e of entries) {
+            const finish = e.modifier !== 'Normal' ? ` *${e.modifier}*` : '';
+            const price = e.unitPrice === null ? 'no price' : fmt(e.unitPrice);
+            output += `${e.quantity}x ${e.name} (${e.set} ${e.collectorNumber})${finish}: ${price}\n`;
+          }
+        }
+      }
+
+      if (report.unresolved.length > 0) {
+        output += `\n---\nNot found on Scryfall: ${report.unresolved.join(', ')}\n`;
+      }
+
+      return {
+        content: [{ type: 'text', text: output.trim() }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Price deck error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to price deck: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // suggest_budget_replacements
+  if (name === 'suggest_budget_replacements') {
+    const { deck_id, max_card_price, total_budget, currency = 'usd', suggestions = 3 } = args;
+
+    if (max_card_price === undefined && total_budget === undefined) {
+      return {
+        content: [{ type: 'text', text: 'Please provide max_card_price and/or total_budget.' }],
+        isError: true,
+      };
+    }
+    if (!pricing.CURRENCIES.includes(currency)) {
+      return {
+        content: [{ type: 'text', text: `Unknown currency "${currency}". Use one of: ${pricing.CURRENCIES.join(', ')}` }],
+        isError: true,
+      };
+    }
+
+    try {
+      server.sendLoggingMessage({ level: 'info', data: `Finding budget replacements for deck ${deck_id}...` });
+
+      const deck = await fetchDeck(deck_id);
+      const { cards: cardMap } = await scryfall.lookupCardMap(decklist.getUniqueNames(deck));
+      const fmt = amount => pricing.formatPrice(amount, currency);
+
+      // Commander color identity, or the deck's own colors when it has no commander
+      const commanders = decklist.joinCardData(decklist.getCommanders(deck), cardMap).entries;
+      const { entries } = decklist.joinCardData(decklist.getMainboard(deck), cardMap);
+      const identitySource = commanders.length > 0 ? commanders : entries;
+      const identity = analysis.COLORS.filter(c => identitySource.some(e => e.card.color_identity?.includes(c)));
+
+      const commanderNames = new Set(commanders.map(e => e.name));
+      const priceOf = card => parseFloat(card.prices?.[currency]);
+
+      let deckTotal = 0;
+      const candidateMap = new Map();
+      for (const entry of entries) {
+        const price = priceOf(entry.card);
+        if (Number.isNaN(price)) continue;
+        deckTotal += price * entry.quantity;
+
+        if (commanderNames.has(entry.name) || entry.card.type_line?.includes('Basic Land')) continue;
+        const existing = candidateMap.get(entry.name);
+        if (existing) {
+          existing.quantity += entry.quantity;
+        } else {
+          candidateMap.set(entry.name, {
+            name: entry.name,
+            price,
+            quantity: entry.quantity,
+            card: entry.card,
+            category: decklist.getPrimaryCategory(entry.deckCard),
+          });
+        }
+      }
+
+      const selected = budget.selectOverBudget([...candidateMap.values()], {
+        maxCardPrice: max_card_price,
+        totalBudget: total_budget,
+        deckTotal,
+      });
+
+      if (selected.length === 0) {
+        return {
+          content: [{ type: 'text', text: `Deck "${deck.name}" (${fmt(deckTotal)}) is already within budget.` }],
+        };
       }
 
-      // Calculate total card count
-      const totalCards = cards.reduce((sum, c) => sum + c.quantity, 0);
+      // With only a total budget, split what's left evenly across the replaced slots
+      const keptTotal = deckTotal - selected.reduce((sum, c) => sum + c.price * c.quantity, 0);
+      const slots = selected.reduce((sum, c) => sum + c.quantity, 0);
+      const perSlot = total_budget !== undefined ? Math.max((total_budget - keptTotal) / slots, 0.25) : Infinity;
+
+      const format = validation.FORMAT_RULES[deck.deckFormat]?.legality;
+      const deckNames = new Set(entries.map(e => e.name.toLowerCase()));
+      const picked = new Set();
+      const toAdd = [];
+      const toRemove = [];
+      let replacedTotal = 0;
+      let replacementTotal = 0;
+
+      let output = `# Budget replacements for ${deck.name}\n`;
+      output += `Current total: ${fmt(deckTotal)} · Cards to replace: ${selected.length}\n`;
+
+      for (const target of selected) {
+        const maxPrice = Math.min(target.price, max_card_price ?? Infinity, perSlot);
+        const query = budget.buildReplacementQuery(target.card, { identity, maxPrice: maxPrice.toFixed(2), currency, format });
+
+        let ranked = [];
+        try {
+          const result = await scryfall.searchPaginated(query, { limit: 30, order: 'edhrec' });
+          const fresh = result.cards.filter(c => !deckNames.has(c.name.toLowerCase()) && !picked.has(c.name));
+          ranked = budget.rankCandidates(fresh, currency).slice(0, suggestions);
+        } catch (error) {
+          server.sendLoggingMessage({ level: 'warning', data: `Search failed for ${target.name}: ${error.message}` });
+        }
 
-      // Format output
-      let output = `# ${deck.name} (${totalCards} cards)\n\n`;
-      for (const [category, categoryCards] of Object.entries(byCategory)) {
-        const categoryCount = categoryCards.reduce((sum, c) => sum + c.quantity, 0);
-        output += `# ${category} (${categoryCount})\n`;
-        for (const c of categoryCards) {
-          const cardName = c.card.oracleCard.name;
-          const qty = c.quantity;
-          output += `${qty}x ${cardName}\n`;
+        output += `\n## ${target.name} (${fmt(target.price)}, ${target.category})\n`;
+        if (ranked.length === 0) {
+          output += 'No cheaper replacements found.\n';
+          continue;
         }
-        output += '\n';
+
+        ranked.forEach(({ card, price }, i) => {
+          const rank = card.edhrec_rank ? `EDHREC #${card.edhrec_rank}` : 'no EDHREC rank';
+          output += `${i + 1}. ${card.name} · ${price === null ? 'no price' : fmt(price)} · ${rank} · ${card.type_line}\n`;
+        });
+
+        const top = ranked[0];
+        picked.add(top.card.name);
+        toAdd.push(`${target.quantity} ${top.card.name} [${target.category}]`);
+        toRemove.push(`${target.quantity} ${target.name}`);
+        replacedTotal += target.price * target.quantity;
+        replacementTotal += (top.price || 0) * target.quantity;
+      }
+
+      if (toAdd.length > 0) {
+        output += `\nWith the top picks: ${fmt(deckTotal)} → ${fmt(deckTotal - replacedTotal + replacementTotal)}\n`;
+        output += `\n## update_deck for deck ${deck.id}\n`;
+        output += `cards_to_add:\n\`\`\`\n${toAdd.join('\n')}\n\`\`\`\n`;
+        output += `cards_to_remove:\n\`\`\`\n${toRemove.join('\n')}\n\`\`\``;
       }
 
       return {
         content: [{ type: 'text', text: output.trim() }],
       };
     } catch (error) {
-      server.sendLoggingMessage({ level: 'error', data: `Read deck error: ${error.message}` });
+      server.sendLoggingMessage({ level: 'error', data: `Budget replacements error: ${error.message}` });
       return {
-        content: [{ type: 'text', text: `Failed to read deck: ${error.message}` }],
+        content: [{ type: 'text', text: `Failed to suggest replacements: ${error.message}` }],
         isError: true,
       };
     }
   }
 
-  // update_deck
-  if (name === 'update_deck') {
-    const { deck_id, cards_to_add, cards_to_remove } = args;
-
-    if (!cards_to_add && !cards_to_remove) {
-      return {
-        content: [{ type: 'text', text: 'Please provide cards_to_add and/or cards_to_remove.' }],
-        isError: true,
-      };
-    }
+  // deck_history
+  if (name === 'deck_history') {
+    const { deck_id, limit = 20 } = args;
 
     try {
-      const { accessToken } = await archidekt.getAuth();
-      server.sendLoggingMessage({ level: 'info', data: `Fetching deck ${deck_id}...` });
-
-      // Get current deck state
-      const deck = await archidekt.getDeck(accessToken, deck_id);
+      const entries = await journal.getHistory(deck_id);
 
-      // Build current deck list string from deck cards
-      const currentCards = deck.cards || [];
-      const currentDeckList = currentCards.map(c => {
-        const card = c.card;
-        const qty = c.quantity;
-        const edition = card.edition?.editioncode || '';
-        const categories = c.categories?.length ? ` [${c.categories.join(', ')}]` : '';
-        return `${qty}x ${card.oracleCard.name} (${edition})${categories}`;
-      }).join('\n');
-
-      // Build edit string: add the new cards
-      let editList = cards_to_add || '';
-
-      server.sendLoggingMessage({ level: 'info', data: 'Computing diff...' });
-
-      // Use diff to figure out what cards to add
-      const diffResult = await archidekt.computeDiff(
-        accessToken,
-        currentDeckList,
-        editList
-      );
+      if (entries.length === 0) {
+        return {
+          content: [{ type: 'text', text: `No recorded changes for deck ${deck_id}.` }],
+        };
+      }
 
-      // Build the card actions array
-      const cardActions = [];
+      const shown = entries.slice(-limit).reverse();
+      let output = `# History for deck ${deck_id} (${entries.length} change(s))\n\n`;
+      for (const entry of shown) {
+        const snapshotSize = entry.snapshot.reduce((sum, c) => sum + c.quantity, 0);
+        output += `#${entry.id} · ${entry.timestamp} · ${entry.tool}: ${entry.summary} (deck had ${snapshotSize} cards before)\n`;
+      }
 
-      // Process cards to add from diff result
-      if (diffResult.toAdd && diffResult.toAdd.length > 0) {
-        for (const item of diffResult.toAdd) {
-          cardActions.push(archidekt.createAddCardAction({
-            cardId: String(item.card.id),
-            quantity: item.quantity,
-            categories: item.categories || [],
-            modifier: item.modifier || 'Normal',
-          }));
-        }
+      if (entries.length > shown.length) {
+        output += `\n${entries.length - shown.length} older entries not shown.`;
       }
 
-      // Process cards to remove - we need to find them in the current deck
-      if (cards_to_remove) {
-        const removeLines = cards_to_remove.split('\n').filter(l => l.trim());
+      return {
+        content: [{ type: 'text', text: output.trim() }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Deck history error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to read deck history: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
 
-        for (const line of removeLines) {
-          // Parse line like "2 Sol Ring" or "1x Lightning Bolt"
-          const match = line.match(/^(\d+)x?\s+(.+?)(?:\s+\([\w]+\))?(?:\s+\[.+\])?$/i);
-          if (!match) continue;
+  // revert_deck
+  if (name === 'revert_deck') {
+    const { deck_id, entry_id } = args;
 
-          const qty = parseInt(match[1], 10);
-          const cardName = match[2].trim();
+    try {
+      const entry = await journal.getEntry(deck_id, entry_id);
+      if (!entry) {
+        return {
+          content: [{ type: 'text', text: `No journal entry #${entry_id} for deck ${deck_id}. Use deck_history to list entries.` }],
+          isError: true,
+        };
+      }
 
-          // Find this card in the current deck
-          const deckCard = currentCards.find(c =>
-            c.card.oracleCard.name.toLowerCase() === cardName.toLowerCase()
-          );
+      const { accessToken } = await archidekt.getAuth();
+      server.sendLoggingMessage({ level: 'info', data: `Reverting deck ${deck_id} to before entry #${entry_id}...` });
 
-          if (deckCard) {
-            cardActions.push(archidekt.createRemoveCardAction({
-              cardId: String(deckCard.card.id),
-              deckRelationId: String(deckCard.id),
-              quantity: qty,
-              categories: deckCard.categories || [],
-              modifier: deckCard.modifier || 'Normal',
-            }));
-          } else {
-            server.sendLoggingMessage({ level: 'warning', data: `Card not found in deck: ${cardName}` });
-          }
-        }
-      }
+      const deck = await archidekt.getDeck(accessToken, deck_id);
+      const cardActions = journal.computeRevertActions(deck, entry.snapshot);
 
       if (cardActions.length === 0) {
         return {
-          content: [{ type: 'text', text: 'No valid card changes to make.' }],
+          content: [{ type: 'text', text: `Deck ${deck_id} already matches its state before entry #${entry_id}.` }],
         };
       }
 
-      server.sendLoggingMessage({ level: 'info', data: `Applying ${cardActions.length} card changes...` });
+      await archidekt.modifyCards(accessToken, deck_id, cardActions);
 
-      // Apply the changes
-      const result = await archidekt.modifyCards(accessToken, deck_id, cardActions);
+      await recordJournal(deck_id, {
+        tool: 'revert_deck',
+        summary: `Reverted to before entry #${entry_id}`,
+        snapshot: journal.snapshotDeck(deck),
+        cardActions,
+      });
+      await notifyDeckChanged(deck_id);
 
-      // Fetch updated deck for card count
       const updatedDeck = await archidekt.getDeck(accessToken, deck_id);
-      const totalCards = (updatedDeck.cards || []).reduce((sum, c) => sum + c.quantity, 0);
-
-      // Build summary
-      const added = result.add?.length || 0;
-      const removed = cardActions.filter(a => a.action === 'remove').length;
-
-      let summary = `Updated deck ${deck_id}:\n`;
-      if (added > 0) summary += `- Added ${added} card(s)\n`;
-      if (removed > 0) summary += `- Removed ${removed} card(s)\n`;
-      summary += `- Total: ${totalCards} cards`;
-
-      if (diffResult.cardErrors?.length > 0) {
-        summary += `\n\nWarnings:\n${diffResult.cardErrors.map(e => `- ${e}`).join('\n')}`;
-      }
+      const totalCards = decklist.countCards(updatedDeck.cards || []);
+      const countAction = action => cardActions.filter(a => a.action === action).length;
 
       return {
-        content: [{ type: 'text', text: summary }],
+        content: [{
+          type: 'text',
+          text: `Reverted deck ${deck_id} to before entry #${entry_id} (${entry.timestamp}):\n- Removed ${countAction('remove')} card entries\n- Restored ${countAction('add')} card entries\n- Modified ${countAction('modify')} card entries\n- Total: ${totalCards} cards`,
+        }],
       };
     } catch (error) {
-      server.sendLoggingMessage({ level: 'error', data: `Update deck error: ${error.message}` });
+      server.sendLoggingMessage({ level: 'error', data: `Revert deck error: ${error.message}` });
       return {
-        content: [{ type: 'text', text: `Failed to update deck: ${error.message}` }],
+        content: [{ type: 'text', text: `Failed to revert deck: ${error.message}` }],
         isError: true,
       };
     }
@@ -528,7 +3033,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
   // search_cards
   if (name === 'search_cards') {
-    const { query, limit = 20, page = 1, order = 'name', include_text = false, format = 'commander' } = args;
+    const { query, limit = 20, page = 1, order = 'name', include_text = false, format = 'commander', owned_only = false } = args;
 
     if (!query || !query.trim()) {
       return {
@@ -549,7 +3054,25 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     try {
       server.sendLoggingMessage({ level: 'info', data: `Searching: ${fullQuery} (page ${page}, offset ${offset}, order: ${order})` });
 
-      const result = await scryfall.searchPaginated(fullQuery, { offset, limit: maxResults, order });
+      let result;
+      let ownership = null;
+      if (owned_only) {
+        const owned = await collection.loadCollection();
+        if (owned.entries.length === 0) {
+          return {
+            content: [{ type: 'text', text: 'Your collection is empty. Import it with import_collection first.' }],
+            isError: true,
+          };
+        }
+        ownership = collection.buildOwnership(owned);
+        result = await searchOwned(fullQuery, ownership, { offset, limit: maxResults, order });
+      } else {
+        result = await scryfall.searchPaginated(fullQuery, { offset, limit: maxResults, order });
+      }
+
+      if (result.localError) {
+        server.sendLoggingMessage({ level: 'info', data: `Local search unavailable (${result.localError}), used Scryfall API` });
+      }
 
       if (!result.cards || result.cards.length === 0) {
         if (offset > 0) {
@@ -568,10 +3091,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const endNum = offset + cards.length;
 
       // Format results
-      let output = `Found ${totalFound} card(s). Showing ${startNum}-${endNum}:\n\n`;
+      let output = ownership
+        ? `Found ${totalFound} owned card(s)${result.scanLimited ? ` in the first ${result.scanned} results` : ''}. Showing ${startNum}-${endNum}:\n\n`
+        : `Found ${totalFound} card(s). Showing ${startNum}-${endNum}:\n\n`;
 
       for (const card of cards) {
-        output += `**${card.name}** · ${card.mana_cost || 'No cost'} · ${card.type_line}\n`;
+        const owned = ownership ? ` · own ${collection.getOwned(ownership, card.name).quantity}` : '';
+        output += `**${card.name}** · ${card.mana_cost || 'No cost'} · ${card.type_line}${owned}\n`;
         if (include_text && card.oracle_text) {
           output += `${card.oracle_text}\n`;
         }
@@ -596,12 +3122,385 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
   }
 
+  // import_collection
+  if (name === 'import_collection') {
+    const { csv, file_path, format, mode = 'merge' } = args || {};
+
+    if (!csv && !file_path) {
+      return {
+        content: [{ type: 'text', text: 'Provide the CSV content (csv) or a path to the file (file_path).' }],
+        isError: true,
+      };
+    }
+    if (format !== undefined && !collection.COLLECTION_FORMATS.includes(format)) {
+      return {
+        content: [{ type: 'text', text: `Unknown format "${format}". Use one of: ${collection.COLLECTION_FORMATS.join(', ')}` }],
+        isError: true,
+      };
+    }
+    if (!['merge', 'replace'].includes(mode)) {
+      return {
+        content: [{ type: 'text', text: `Unknown mode "${mode}". Use merge or replace.` }],
+        isError: true,
+      };
+    }
+
+    try {
+      const text = csv || await readFile(file_path, 'utf8');
+      const parsed = collection.parseCollectionCsv(text, format);
+
+      if (parsed.entries.length === 0) {
+        return {
+          content: [{ type: 'text', text: `No cards found in the ${parsed.format} CSV. Nothing was imported.` }],
+          isError: true,
+        };
+      }
+
+      server.sendLoggingMessage({ level: 'info', data: `Importing ${parsed.entries.length} ${parsed.format} rows (${mode})...` });
+      const saved = await collection.importEntries(parsed.entries, { format: parsed.format, mode });
+      const imported = parsed.entries.reduce((sum, e) => sum + e.quantity, 0);
+      const summary = collection.summarizeCollection(saved);
+
+      let output = `Imported ${imported} cards (${parsed.entries.length} rows) from a ${parsed.format} export${mode === 'replace' ? ', replacing the previous collection' : ''}.\n`;
+      output += `Collection: ${summary.totalCards} cards, ${summary.uniqueCards} unique`;
+      if (parsed.skipped.length > 0) {
+        output += `\n\nSkipped ${parsed.skipped.length} row(s) without a name or quantity:\n`;
+        output += parsed.skipped.slice(0, 10).map(line => `- ${line}`).join('\n');
+        if (parsed.skipped.length > 10) output += `\n- ...and ${parsed.skipped.length - 10} more`;
+      }
+
+      return {
+        content: [{ type: 'text', text: output }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Import collection error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to import collection: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // collection_summary
+  if (name === 'collection_summary') {
+    const { include_value = false, currency = 'usd' } = args || {};
+
+    if (!pricing.CURRENCIES.includes(currency)) {
+      return {
+        content: [{ type: 'text', text: `Unknown currency "${currency}". Use one of: ${pricing.CURRENCIES.join(', ')}` }],
+        isError: true,
+      };
+    }
+
+    try {
+      const owned = await collection.loadCollection();
+      if (owned.entries.length === 0) {
+        return {
+          content: [{ type: 'text', text: 'Your collection is empty. Import it with import_collection.' }],
+        };
+      }
+
+      const summary = collection.summarizeCollection(owned);
+      let output = '# Collection\n\n';
+      output += `Cards: ${summary.totalCards} (${summary.uniqueCards} unique, ${summary.printings} printings/finishes)\n`;
+      output += `Finishes: ${summary.byFinish.nonfoil} nonfoil, ${summary.byFinish.foil} foil, ${summary.byFinish.etched} etched\n`;
+
+      if (summary.topSets.length > 0) {
+        output += '\n## Top sets\n';
+        output += summary.topSets.map(([set, count]) => `- ${set.toUpperCase()}: ${count}`).join('\n') + '\n';
+      }
+
+      if (include_value) {
+        server.sendLoggingMessage({ level: 'info', data: `Pricing ${owned.entries.length} collection entries...` });
+        const { found } = await scryfall.lookupCollection(owned.entries.map(collection.getIdentifier));
+        const value = collection.valueCollection(owned.entries, found, currency);
+        const fmt = amount => pricing.formatPrice(amount, currency);
+
+        output += `\n## Value: ${fmt(value.total)}\n`;
+        value.mostValuable.forEach(({ entry, unitPrice }, i) => {
+          const finish = entry.finish !== 'nonfoil' ? `, ${entry.finish}` : '';
+          const printing = entry.set ? ` (${entry.set.toUpperCase()}${entry.collectorNumber ? ` ${entry.collectorNumber}` : ''}${finish})` : '';
+          output += `${i + 1}. ${entry.quantity}x ${entry.name}${printing}: ${fmt(unitPrice)}\n`;
+        });
+        if (value.unpriced.length > 0) {
+          output += `No price for ${value.unpriced.length} entries\n`;
+        }
+      }
+
+      output += '\n## Imports\n';
+      output += owned.imports.slice(-5).map(i => `- ${i.importedAt}: ${i.cards} cards from ${i.format} (${i.mode})`).join('\n');
+
+      return {
+        content: [{ type: 'text', text: output.trim() }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Collection summary error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to summarize collection: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // missing_cards
+  if (name === 'missing_cards') {
+    const { deck_id, currency = 'usd', include_cheapest = true, ignore_basics = true } = args;
+
+    if (!pricing.CURRENCIES.includes(currency)) {
+      return {
+        content: [{ type: 'text', text: `Unknown currency "${currency}". Use one of: ${pricing.CURRENCIES.join(', ')}` }],
+        isError: true,
+      };
+    }
+
+    try {
+      const owned = await collection.loadCollection();
+      if (owned.entries.length === 0) {
+        return {
+          content: [{ type: 'text', text: 'Your collection is empty. Import it with import_collection first.' }],
+          isError: true,
+        };
+      }
+
+      server.sendLoggingMessage({ level: 'info', data: `Checking deck ${deck_id} against your collection...` });
+      const deck = await fetchDeck(deck_id);
+      const missing = collection.findMissingCards(deck, collection.buildOwnership(owned), { ignoreBasics: ignore_basics });
+
+      if (missing.length === 0) {
+        return {
+          content: [{ type: 'text', text: `You own every card in "${deck.name}".` }],
+        };
+      }
+
+      const { found } = await scryfall.lookupCollection(missing.map(m => pricing.getPrintingIdentifier(m.deckCard)));
+      const printingIndex = pricing.indexPrintings(found);
+      const fmt = amount => pricing.formatPrice(amount, currency);
+
+      let deckPrintingTotal = 0;
+      let cheapestTotal = 0;
+      const lines = [];
+      for (const entry of missing) {
+        const card = entry.deckCard.card;
+        const modifier = entry.deckCard.modifier || 'Normal';
+        const printing = pricing.findPrinting(printingIndex, entry.deckCard);
+        const unitPrice = printing ? pricing.getPrice(printing, currency, modifier) : null;
+        if (unitPrice !== null) deckPrintingTotal += unitPrice * entry.missing;
+
+        const finish = modifier !== 'Normal' ? `, ${modifier}` : '';
+        let line = `- ${entry.missing}x ${entry.name} (own ${entry.owned}/${entry.needed})`;
+        line += ` · deck printing ${card.edition?.editioncode?.toUpperCase() || '?'} ${card.collectorNumber || ''}${finish}: ${unitPrice === null ? 'no price' : fmt(unitPrice)}`;
+
+        if (include_cheapest) {
+          let cheapest = null;
+          try {
+            cheapest = await scryfall.findCheapestPrint(entry.name, currency);
+          } catch {
+            // Reported as missing a cheapest price
+          }
+          const cheapestPrice = Math.min(cheapest?.price ?? Infinity, unitPrice ?? Infinity);
+          if (cheapestPrice !== Infinity) cheapestTotal += cheapestPrice * entry.missing;
+          if (cheapest && cheapest.price < (unitPrice ?? Infinity)) {
+            line += ` · cheapest ${cheapest.card.set.toUpperCase()} ${cheapest.card.collector_number}: ${fmt(cheapest.price)}`;
+          }
+        }
+
+        if (entry.ownedPrintings.length > 0) {
+          const ownedPrintings = entry.ownedPrintings.map(p => `${p.quantity}x ${p.set ? p.set.toUpperCase() : '?'}${p.collectorNumber ? ` ${p.collectorNumber}` : ''}${p.finish !== 'nonfoil' ? ` ${p.finish}` : ''}`);
+          line += ` · you own: ${ownedPrintings.join(', ')}`;
+        }
+        lines.push(line);
+      }
+
+      const missingCount = missing.reduce((sum, m) => sum + m.missing, 0);
+      let output = `# Missing from "${deck.name}": ${missingCount} card${missingCount === 1 ? '' : 's'} (${missing.length} unique)\n\n`;
+      output += `Cost in the deck's printings: ${fmt(deckPrintingTotal)}\n`;
+      if (include_cheapest) output += `Cost in the cheapest printings: ${fmt(cheapestTotal)}\n`;
+      output += `\n${lines.join('\n')}`;
+      if (ignore_basics) output += '\n\nBasic lands are not counted.';
+
+      return {
+        content: [{ type: 'text', text: output }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Missing cards error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to check missing cards: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // cache_stats
+  if (name === 'cache_stats') {
+    try {
+      const stats = await cardcache.getStats();
+      const hours = ms => `${+(ms / 3600000).toFixed(2)}h`;
+
+      if (!stats.enabled) {
+        return {
+          content: [{ type: 'text', text: 'The card cache is disabled (CARD_CACHE=false).' }],
+        };
+      }
+
+      const lookups = stats.hits + stats.misses;
+      const hitRate = lookups > 0 ? `${Math.round((stats.hits / lookups) * 100)}%` : 'n/a';
+      let output = '# Card cache\n\n';
+      output += `File: ${stats.path} (${(stats.fileSize / 1024).toFixed(1)} KB)\n`;
+      output += `Cards: ${stats.cards} / ${stats.maxCards} (TTL ${hours(stats.cardTtlMs)})\n`;
+      output += `Searches: ${stats.searches} / ${stats.maxSearches} (TTL ${hours(stats.searchTtlMs)})\n`;
+      output += `This session: ${stats.hits} hits, ${stats.misses} misses (hit rate ${hitRate})`;
+
+      return {
+        content: [{ type: 'text', text: output }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Cache stats error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to read cache stats: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
+  // clear_cache
+  if (name === 'clear_cache') {
+    const { scope = 'all' } = args || {};
+
+    if (!['all', 'cards', 'searches'].includes(scope)) {
+      return {
+        content: [{ type: 'text', text: `Unknown scope "${scope}". Use all, cards or searches.` }],
+        isError: true,
+      };
+    }
+
+    try {
+      const removed = await cardcache.clear(scope);
+      return {
+        content: [{ type: 'text', text: `Cleared ${removed.cards} cached cards and ${removed.searches} cached searches.` }],
+      };
+    } catch (error) {
+      server.sendLoggingMessage({ level: 'error', data: `Clear cache error: ${error.message}` });
+      return {
+        content: [{ type: 'text', text: `Failed to clear cache: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+
   return {
     content: [{ type: 'text', text: `Unknown tool: ${name}` }],
     isError: true,
   };
 });
 
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  // Without credentials there are no "own" decks; public decks are still readable through the templates
+  if (!archidekt.hasCredentials()) {
+    return { resources: [] };
+  }
+
+  const list = [{
+    uri: resources.DECK_LIST_URI,
+    name: 'My Archidekt decks',
+    description: 'Names, IDs and resource URIs of your decks',
+    mimeType: 'text/markdown',
+  }];
+
+  try {
+    const { accessToken } = await archidekt.getAuth();
+    const decks = await archidekt.listDecks(accessToken);
+    for (const deck of decks || []) {
+      list.push({
+        uri: resources.deckUri(deck.id),
+        name: deck.name,
+        description: `Archidekt deck ${deck.id}`,
+        mimeType: 'text/plain',
+      });
+    }
+  } catch (error) {
+    server.sendLoggingMessage({ level: 'warning', data: `Failed to list decks as resources: ${error.message}` });
+  }
+
+  return { resources: list };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return { resourceTemplates: resources.RESOURCE_TEMPLATES };
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  const resource = resources.parseResourceUri(uri);
+
+  if (!resource) {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+
+  if (resource.type === 'decks') {
+    const { accessToken } = await archidekt.getAuth();
+    const decks = await archidekt.listDecks(accessToken);
+    return {
+      contents: [{ uri, mimeType: 'text/markdown', text: resources.formatDeckList(decks || []) }],
+    };
+  }
+
+  if (resource.type === 'deck') {
+    const deck = await fetchDeck(resource.deckId);
+    if (resource.json) {
+      return {
+        contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(deck, null, 2) }],
+      };
+    }
+    return {
+      contents: [{ uri, mimeType: 'text/plain', text: resources.formatDeck(deck) }],
+    };
+  }
+
+  const card = await scryfall.getCardByName(resource.name);
+  if (!card) {
+    throw new Error(`Card not found: ${resource.name}`);
+  }
+  return {
+    contents: [{ uri, mimeType: 'text/markdown', text: resources.formatCard(card) }],
+  };
+});
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  const { uri } = request.params;
+  const resource = resources.parseResourceUri(uri);
+
+  // Cards don't change, so only the deck list and decks can be subscribed to
+  if (!resource || resource.type === 'card') {
+    throw new Error(`Cannot subscribe to ${uri}`);
+  }
+
+  subscriptions.add(resources.canonicalUri(resource));
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  const resource = resources.parseResourceUri(request.params.uri);
+  if (resource) subscriptions.delete(resources.canonicalUri(resource));
+  return {};
+});
+
+server.setRequestHandler(ListPromptsRequestSchema, async () => {
+  return { prompts: prompts.PROMPTS };
+});
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: args = {} } = request.params;
+  const prompt = prompts.findPrompt(name);
+
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+  prompts.checkArguments(prompt, args);
+
+  const deck = prompts.takesDeck(prompt) ? await fetchDeck(args.deck_id) : null;
+  return prompts.buildPrompt(name, args, deck);
+});
+
 async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectOverBudget, buildReplacementQuery, rankCandidates } from '../utils/budget.js';
+import { scryfallCard } from './fixtures.js';
+
+const candidates = [
+  { name: 'Mana Crypt', price: 150, quantity: 1 },
+  { name: 'Cyclonic Rift', price: 30, quantity: 1 },
+  { name: 'Arcane Signet', price: 1, quantity: 1 },
+  { name: 'Smothering Tithe', price: 20, quantity: 1 },
+];
+const names = list => list.map(c => c.name);
+
+test('selectOverBudget picks every card over the per-card limit, most expensive first', () => {
+  assert.deepEqual(names(selectOverBudget(candidates, { maxCardPrice: 10 })), ['Mana Crypt', 'Cyclonic Rift', 'Smothering Tithe']);
+  assert.deepEqual(selectOverBudget(candidates, { maxCardPrice: 500 }), []);
+});
+
+test('selectOverBudget adds the most expensive cards until the deck fits the total budget', () => {
+  assert.deepEqual(names(selectOverBudget(candidates, { totalBudget: 100, deckTotal: 250 })), ['Mana Crypt']);
+  assert.deepEqual(names(selectOverBudget(candidates, { totalBudget: 60, deckTotal: 250 })), ['Mana Crypt', 'Cyclonic Rift', 'Smothering Tithe']);
+  assert.deepEqual(selectOverBudget(candidates, { totalBudget: 300, deckTotal: 250 }), []);
+});
+
+test('selectOverBudget counts quantities and combines both limits', () => {
+  const basics = [{ name: 'Snow-Covered Island', price: 2, quantity: 20 }, { name: 'Opt', price: 5, quantity: 1 }];
+  assert.deepEqual(names(selectOverBudget(basics, { totalBudget: 10, deckTotal: 45 })), ['Opt', 'Snow-Covered Island']);
+  assert.deepEqual(names(selectOverBudget(candidates, { maxCardPrice: 100, totalBudget: 50, deckTotal: 201 })), ['Mana Crypt', 'Cyclonic Rift']);
+});
+
+test('buildReplacementQuery keeps colors, type, mana value and role', () => {
+  const card = scryfallCard('Rampant Growth', {
+    type_line: 'Sorcery', cmc: 2,
+    oracle_text: 'Search your library for a basic land card, put that card onto the battlefield tapped, then shuffle.',
+  });
+  assert.equal(
+    buildReplacementQuery(card, { identity: ['G'], maxPrice: 1.5, format: 'commander' }),
+    'id<=G t:sorcery mv>=1 mv<=3 (otag:ramp) usd<1.5 f:commander -!"Rampant Growth"',
+  );
+});
+
+test('buildReplacementQuery matches lands by the colors they produce and colorless decks by c', () => {
+  const land = scryfallCard('Hallowed Fountain', {
+    type_line: 'Land — Plains Island', cmc: 0, produced_mana: ['W', 'U'],
+    oracle_text: '({T}: Add {W} or {U}.)\nAs Hallowed Fountain enters, you may pay 2 life.',
+  });
+  assert.equal(
+    buildReplacementQuery(land, { identity: ['W', 'U'], maxPrice: 5, currency: 'eur' }),
+    'id<=WU t:land (produces:w or produces:u) eur<5 -!"Hallowed Fountain"',
+  );
+  const rock = scryfallCard('Mind Stone', { type_line: 'Artifact', cmc: 2, oracle_text: '{T}: Add {C}.' });
+  assert.match(buildReplacementQuery(rock, { identity: [], maxPrice: 1 }), /^id<=c t:artifact /);
+});
+
+test('rankCandidates treats a $0 price as cheapest and missing prices as last', () => {
+  const cards = [
+    scryfallCard('Unpriced', { prices: {}, edhrec_rank: 2 }),
+    scryfallCard('Pricey', { prices: { usd: '3.00' }, edhrec_rank: 3 }),
+    scryfallCard('Free', { prices: { usd: '0.00' }, edhrec_rank: 1 }),
+  ];
+  const ranked = rankCandidates(cards);
+  assert.deepEqual(ranked.map(r => [r.card.name, r.price]), [['Free', 0], ['Unpriced', null], ['Pricey', 3]]);
+});
+
+test('rankCandidates balances price against EDHREC rank and sorts missing ranks last', () => {
+  const cards = [
+    scryfallCard('Cheap but obscure', { prices: { usd: '0.20' } }),
+    scryfallCard('Popular', { prices: { usd: '0.50' }, edhrec_rank: 10 }),
+    scryfallCard('Popular and cheap', { prices: { usd: '0.10' }, edhrec_rank: 20 }),
+  ];
+  assert.deepEqual(rankCandidates(cards).map(r => r.card.name), ['Popular and cheap', 'Popular', 'Cheap but obscure']);
+});
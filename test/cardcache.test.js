@@ -0,0 +1,137 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import * as cardcache from '../utils/cardcache.js';
+import { scryfallCard } from './fixtures.js';
+
+const ENV = ['COMMAND_TOWER_DATA_DIR', 'CARD_CACHE', 'CARD_CACHE_TTL_HOURS', 'SEARCH_CACHE_TTL_HOURS', 'CARD_CACHE_MAX_CARDS', 'SEARCH_CACHE_MAX_ENTRIES'];
+const saved = {};
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'cardcache-test-'));
+  for (const name of ENV) saved[name] = process.env[name];
+});
+
+beforeEach(async () => {
+  for (const name of ENV) delete process.env[name];
+  process.env.COMMAND_TOWER_DATA_DIR = dir;
+  await cardcache.clear();
+});
+
+after(async () => {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  await rm(dir, { recursive: true, force: true });
+});
+
+function printing(name, id, set, collectorNumber, fields = {}) {
+  return scryfallCard(name, { id, oracle_id: `oracle-${name}`, set, collector_number: collectorNumber, ...fields });
+}
+
+test('cards are found by ID and by set and collector number', async () => {
+  await cardcache.storeCards([printing('Sol Ring', 'sol-cmm', 'cmm', '410')]);
+  assert.equal((await cardcache.findCard({ id: 'sol-cmm' })).name, 'Sol Ring');
+  assert.equal((await cardcache.findCard({ set: 'CMM', collector_number: '410' })).id, 'sol-cmm');
+  assert.equal(await cardcache.findCard({ id: 'missing' }), null);
+});
+
+test('only default printings are found by name and oracle ID', async () => {
+  await cardcache.storeCards([printing('Sol Ring', 'sol-c21', 'c21', '263')]);
+  assert.equal(await cardcache.findCard({ name: 'Sol Ring' }), null);
+
+  await cardcache.storeCards([printing('Delver of Secrets // Insectile Aberration', 'delver', 'isd', '51', {
+    card_faces: [{ name: 'Delver of Secrets' }, { name: 'Insectile Aberration' }],
+  })], { defaultPrinting: true });
+  for (const name of ['delver of secrets // insectile aberration', 'Delver of Secrets', 'Insectile Aberration']) {
+    assert.equal((await cardcache.findCard({ name }))?.id, 'delver', name);
+  }
+  assert.equal((await cardcache.findCard({ oracle_id: 'oracle-Delver of Secrets // Insectile Aberration' })).id, 'delver');
+});
+
+test('stored cards drop image and API links', async () => {
+  await cardcache.storeCards([printing('Opt', 'opt', 'xln', '65', {
+    image_uris: { normal: 'x' }, purchase_uris: { tcgplayer: 'x' }, prices: { usd: '0.10' },
+  })]);
+  const card = await cardcache.findCard({ id: 'opt' });
+  assert.equal(card.image_uris, undefined);
+  assert.equal(card.purchase_uris, undefined);
+  assert.deepEqual(card.prices, { usd: '0.10' });
+});
+
+test('cards and searches expire after their TTL', async () => {
+  await cardcache.storeCards([printing('Opt', 'opt', 'xln', '65')]);
+  await cardcache.storeSearch('t:instant|name', { cards: [], totalCards: 0, fullyLoaded: true });
+  process.env.CARD_CACHE_TTL_HOURS = '-1';
+  process.env.SEARCH_CACHE_TTL_HOURS = '-1';
+  assert.equal(await cardcache.findCard({ id: 'opt' }), null);
+  assert.equal(await cardcache.getSearch('t:instant|name'), null);
+  assert.deepEqual(await cardcache.getStats().then(s => [s.cards, s.searches]), [0, 0]);
+});
+
+test('the least recently used card is evicted first', async () => {
+  process.env.CARD_CACHE_MAX_CARDS = '2';
+  await cardcache.storeCards([printing('Opt', 'opt', 'xln', '65'), printing('Ponder', 'ponder', 'lrw', '79')]);
+  await cardcache.findCard({ id: 'opt' });
+  await cardcache.storeCards([printing('Preordain', 'preordain', 'm11', '70')]);
+
+  assert.equal((await cardcache.findCard({ id: 'opt' }))?.id, 'opt');
+  assert.equal(await cardcache.findCard({ id: 'ponder' }), null);
+  assert.equal((await cardcache.findCard({ set: 'm11', collector_number: '70' }))?.id, 'preordain');
+});
+
+test('the least recently used search is evicted first and extending a search keeps its age', async () => {
+  process.env.SEARCH_CACHE_MAX_ENTRIES = '2';
+  const page = name => ({ cards: [scryfallCard(name)], totalCards: 2, fullyLoaded: false });
+  await cardcache.storeSearch('a|name', page('Opt'));
+  await cardcache.storeSearch('b|name', page('Ponder'));
+  await cardcache.getSearch('a|name');
+  await cardcache.storeSearch('c|name', page('Preordain'));
+
+  assert.equal(await cardcache.getSearch('b|name'), null);
+  assert.deepEqual((await cardcache.getSearch('a|name')).cards.map(c => c.name), ['Opt']);
+
+  await cardcache.storeSearch('a|name', { cards: [scryfallCard('Opt'), scryfallCard('Brainstorm')], totalCards: 2, fullyLoaded: true }, false);
+  assert.deepEqual(await cardcache.getSearch('a|name').then(s => [s.cards.length, s.fullyLoaded]), [2, true]);
+});
+
+test('stats count hits and misses and clear empties one scope or both', async () => {
+  await cardcache.storeCards([printing('Opt', 'opt', 'xln', '65')]);
+  await cardcache.storeSearch('t:instant|name', { cards: [], totalCards: 0, fullyLoaded: true });
+  const before = await cardcache.getStats();
+  await cardcache.findCard({ id: 'opt' });
+  await cardcache.findCard({ id: 'ponder' });
+
+  const stats = await cardcache.getStats();
+  assert.equal(stats.enabled, true);
+  assert.equal(stats.path, path.join(dir, 'card-cache.json'));
+  assert.deepEqual([stats.cards, stats.searches, stats.maxCards, stats.maxSearches], [1, 1, 10000, 100]);
+  assert.deepEqual([stats.hits - before.hits, stats.misses - before.misses], [1, 1]);
+
+  assert.deepEqual(await cardcache.clear('searches'), { cards: 0, searches: 1 });
+  assert.equal((await cardcache.findCard({ id: 'opt' }))?.id, 'opt');
+  assert.deepEqual(await cardcache.clear('cards'), { cards: 1, searches: 0 });
+  assert.equal(await cardcache.findCard({ set: 'xln', collector_number: '65' }), null);
+});
+
+test('clearing writes the cache file', async () => {
+  await cardcache.storeCards([printing('Opt', 'opt', 'xln', '65')], { defaultPrinting: true });
+  await cardcache.clear('searches');
+  const file = JSON.parse(await readFile(path.join(dir, 'card-cache.json'), 'utf8'));
+  assert.deepEqual(file.cards.map(([id]) => id), ['opt']);
+  assert.deepEqual(file.names, [['opt', 'opt']]);
+  assert.deepEqual(file.searches, []);
+});
+
+test('a disabled cache stores nothing and reports itself disabled', async () => {
+  process.env.CARD_CACHE = 'false';
+  await cardcache.storeCards([printing('Opt', 'opt', 'xln', '65')]);
+  assert.equal(await cardcache.findCard({ id: 'opt' }), null);
+  assert.equal((await cardcache.getStats()).enabled, false);
+  delete process.env.CARD_CACHE;
+  assert.equal(await cardcache.findCard({ id: 'opt' }), null);
+});
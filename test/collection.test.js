@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCollectionCsv, detectFormat, buildOwnership, getOwned, isBasicLand, findMissingCards,
+  getIdentifier, valueCollection, summarizeCollection,
+} from '../utils/collection.js';
+import { deckCard, makeDeck, scryfallCard } from './fixtures.js';
+
+test('detectFormat recognises each site by its header', () => {
+  assert.equal(detectFormat(['Quantity', 'Name', 'Finish', 'Edition Code', 'Scryfall ID']), 'archidekt');
+  assert.equal(detectFormat(['Count', 'Tradelist Count', 'Name', 'Edition', 'Foil']), 'moxfield');
+  assert.equal(detectFormat(['Count', 'Tradelist Count', 'Name', 'Edition', 'Card Number']), 'deckbox');
+  assert.equal(detectFormat(['Name', 'Set code', 'Foil', 'Quantity', 'ManaBox ID']), 'manabox');
+  assert.equal(detectFormat(['Quantity', 'Simple Name', 'Set Code', 'Printing']), 'tcgplayer');
+  assert.equal(detectFormat(['Card', 'Amount']), null);
+});
+
+test('quoted fields, doubled quotes, CRLF line endings and a BOM are handled', () => {
+  const csv = '\uFEFFCount,Tradelist Count,Name,Edition,Foil\r\n'
+    + '1,0,"Borrowing 100,000 Arrows",c18,\r\n'
+    + '2,0,"Kongming, ""Sleeping Dragon""",ptk,foil\r\n'
+    + '\r\n';
+  const { format, entries, skipped } = parseCollectionCsv(csv);
+  assert.equal(format, 'moxfield');
+  assert.deepEqual(entries.map(e => [e.quantity, e.name, e.set, e.finish]), [
+    [1, 'Borrowing 100,000 Arrows', 'c18', 'nonfoil'],
+    [2, 'Kongming, "Sleeping Dragon"', 'ptk', 'foil'],
+  ]);
+  assert.deepEqual(skipped, []);
+});
+
+test('each format reads its own set, number, finish and Scryfall ID columns', () => {
+  const archidekt = parseCollectionCsv([
+    'Quantity,Name,Finish,Edition Name,Edition Code,Collector Number,Scryfall ID',
+    '1,Sol Ring,Etched,Commander Masters,CMM,410,abc-123',
+  ].join('\n'));
+  assert.deepEqual(archidekt.entries, [
+    { name: 'Sol Ring', quantity: 1, set: 'cmm', collectorNumber: '410', finish: 'etched', scryfallId: 'abc-123' },
+  ]);
+
+  const manabox = parseCollectionCsv([
+    'Name,Set code,Set name,Collector number,Foil,Quantity,ManaBox ID,Scryfall ID',
+    'Arcane Signet,CMM,Commander Masters,371,foil,3,1,def-456',
+  ].join('\n'));
+  assert.deepEqual(manabox.entries[0], {
+    name: 'Arcane Signet', quantity: 3, set: 'cmm', collectorNumber: '371', finish: 'foil', scryfallId: 'def-456',
+  });
+
+  const tcgplayer = parseCollectionCsv([
+    'Quantity,Name,Simple Name,Set,Card Number,Set Code,Printing',
+    '2,Sol Ring (Foil Etched),Sol Ring,Commander Masters,410,CMM,Foil Etched',
+    '1,Command Tower,Command Tower,Commander Masters,1001,CMM,Normal',
+  ].join('\n'));
+  assert.deepEqual(tcgplayer.entries.map(e => [e.name, e.set, e.collectorNumber, e.finish]), [
+    ['Sol Ring', 'cmm', '410', 'etched'],
+    ['Command Tower', 'cmm', '1001', 'nonfoil'],
+  ]);
+});
+
+test('finish values normalise to nonfoil, foil or etched', () => {
+  const csv = ['Quantity,Name,Finish', '1,A,Normal', '1,B,Foil', '1,C,etched', '1,D,Non-foil', '1,E,true', '1,F,'].join('\n');
+  const { entries } = parseCollectionCsv(csv, 'archidekt');
+  assert.deepEqual(entries.map(e => e.finish), ['nonfoil', 'foil', 'etched', 'nonfoil', 'foil', 'nonfoil']);
+});
+
+test('rows without a name or a positive quantity are skipped with their line number', () => {
+  const csv = ['Quantity,Name,Finish', '1,Sol Ring,Normal', '0,Opt,Normal', 'x,Negate,Normal', '2,,Foil'].join('\n');
+  const { entries, skipped } = parseCollectionCsv(csv);
+  assert.deepEqual(entries.map(e => e.name), ['Sol Ring']);
+  assert.deepEqual(skipped, ['Line 3: 0,Opt,Normal', 'Line 4: x,Negate,Normal', 'Line 5: 2,,Foil']);
+});
+
+test('unknown headers, unknown formats and empty files are rejected', () => {
+  assert.throws(() => parseCollectionCsv('Card,Amount\nSol Ring,1'), /Couldn't tell which site/);
+  assert.throws(() => parseCollectionCsv('Name\nSol Ring', 'cardkingdom'), /Unknown collection format "cardkingdom"/);
+  assert.throws(() => parseCollectionCsv('Quantity,Finish\n1,Foil', 'archidekt'), /No card name column/);
+  assert.throws(() => parseCollectionCsv(''), /The CSV is empty/);
+});
+
+test('ownership adds up printings and matches double-faced cards by front face', () => {
+  const ownership = buildOwnership({
+    entries: [
+      { name: 'Sol Ring', quantity: 1, set: 'cmm', finish: 'foil' },
+      { name: 'Sol Ring', quantity: 2, set: 'c21', finish: 'nonfoil' },
+      { name: 'Delver of Secrets // Insectile Aberration', quantity: 1, finish: 'nonfoil' },
+    ],
+  });
+  assert.equal(getOwned(ownership, 'sol ring').quantity, 3);
+  assert.equal(getOwned(ownership, 'Sol Ring').printings.length, 2);
+  assert.equal(getOwned(ownership, 'Delver of Secrets').quantity, 1);
+  assert.deepEqual(getOwned(ownership, 'Mana Crypt'), { quantity: 0, printings: [] });
+});
+
+test('isBasicLand covers basics, snow basics and Wastes only', () => {
+  for (const name of ['Island', 'Snow-Covered Forest', 'Wastes', 'forest']) assert.equal(isBasicLand(name), true, name);
+  for (const name of ['Snow-Covered Dual', 'Dryad Arbor', 'Islandwalk']) assert.equal(isBasicLand(name), false, name);
+});
+
+test('findMissingCards reports the shortfall per card and skips basics unless asked', () => {
+  const deck = makeDeck([
+    deckCard('Sol Ring', { categories: ['Ramp'] }),
+    deckCard('Lightning Bolt', { quantity: 2, categories: ['Removal'] }),
+    deckCard('Mountain', { quantity: 10, categories: ['Land'] }),
+    deckCard('Mana Crypt', { categories: ['Maybeboard'] }),
+  ]);
+  const ownership = buildOwnership({ entries: [
+    { name: 'Sol Ring', quantity: 1, finish: 'nonfoil' },
+    { name: 'Lightning Bolt', quantity: 1, finish: 'foil' },
+  ] });
+
+  const missing = findMissingCards(deck, ownership);
+  assert.deepEqual(missing.map(m => [m.name, m.needed, m.owned, m.missing]), [['Lightning Bolt', 2, 1, 1]]);
+  assert.equal(missing[0].ownedPrintings[0].finish, 'foil');
+
+  const withBasics = findMissingCards(deck, ownership, { ignoreBasics: false });
+  assert.deepEqual(withBasics.map(m => m.name), ['Lightning Bolt', 'Mountain']);
+});
+
+test('getIdentifier prefers the Scryfall ID, then set and number, then the name', () => {
+  assert.deepEqual(getIdentifier({ name: 'Sol Ring', scryfallId: 'abc', set: 'cmm', collectorNumber: '410' }), { id: 'abc' });
+  assert.deepEqual(getIdentifier({ name: 'Sol Ring', set: 'cmm', collectorNumber: '410' }), { set: 'cmm', collector_number: '410' });
+  assert.deepEqual(getIdentifier({ name: 'Sol Ring', set: 'cmm' }), { name: 'Sol Ring' });
+});
+
+test('valueCollection prices each finish and lists unpriced cards', () => {
+  const entries = [
+    { name: 'Sol Ring', quantity: 2, set: 'cmm', collectorNumber: '410', finish: 'etched', scryfallId: null },
+    { name: 'Arcane Signet', quantity: 1, set: null, collectorNumber: null, finish: 'foil', scryfallId: 'sig' },
+    { name: 'Opt', quantity: 4, set: null, collectorNumber: null, finish: 'nonfoil', scryfallId: null },
+  ];
+  const cards = [
+    scryfallCard('Sol Ring', { id: 'sol', set: 'cmm', collector_number: '410', prices: { usd: '1.00', usd_etched: '5.00' } }),
+    scryfallCard('Arcane Signet', { id: 'sig', set: 'cmm', collector_number: '371', prices: { usd: '0.50', usd_foil: '2.00' } }),
+    scryfallCard('Opt', { id: 'opt', set: 'xln', collector_number: '65', prices: {} }),
+  ];
+  const { total, unpriced, mostValuable } = valueCollection(entries, cards);
+  assert.equal(total, 12);
+  assert.deepEqual(unpriced, ['Opt']);
+  assert.deepEqual(mostValuable.map(v => [v.entry.name, v.unitPrice]), [['Sol Ring', 5], ['Arcane Signet', 2]]);
+});
+
+test('summarizeCollection counts cards, finishes and top sets', () => {
+  const summary = summarizeCollection({ entries: [
+    { name: 'Sol Ring', quantity: 2, set: 'cmm', finish: 'nonfoil' },
+    { name: 'Sol Ring', quantity: 1, set: 'c21', finish: 'etched' },
+    { name: 'Arcane Signet', quantity: 3, set: 'cmm', finish: 'foil' },
+    { name: 'Opt', quantity: 1, set: null, finish: 'nonfoil' },
+  ] });
+  assert.deepEqual(summary, {
+    totalCards: 7,
+    uniqueCards: 3,
+    printings: 4,
+    byFinish: { nonfoil: 3, foil: 3, etched: 1 },
+    topSets: [['cmm', 5], ['c21', 1]],
+  });
+});
@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { normalizeCombo, readComboFile, findCombos, groupByMissingCard, getCombos } from '../utils/combos.js';
+
+const variant = (id, cards, identity, fields = {}) => ({
+  id,
+  status: 'OK',
+  identity,
+  uses: cards.map(name => ({ card: { name } })),
+  requires: [],
+  produces: [{ feature: { name: 'Infinite mana' } }],
+  ...fields,
+});
+
+const variants = [
+  variant('1', ['Basalt Monolith', 'Rings of Brighthearth'], 'C'),
+  variant('2', ['Dramatic Reversal', 'Isochron Scepter'], 'U', { manaNeeded: '{2}' }),
+  variant('3', ['Kiki-Jiki, Mirror Breaker', 'Zealous Conscripts'], 'R'),
+  variant('4', ['Basalt Monolith', 'Power Artifact'], 'U'),
+  variant('5', ['Isochron Scepter', 'Dramatic Reversal'], 'U', { status: 'NW' }),
+];
+
+let dir;
+const saved = {};
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'combos-test-'));
+  for (const name of ['COMMAND_TOWER_DATA_DIR', 'COMBO_DATA', 'COMBO_DATA_URL']) saved[name] = process.env[name];
+});
+after(async () => {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('normalizeCombo reduces Commander Spellbook variants and skips unapproved ones', () => {
+  assert.deepEqual(normalizeCombo(variants[1]), {
+    id: '2',
+    cards: ['Dramatic Reversal', 'Isochron Scepter'],
+    templates: [],
+    results: ['Infinite mana'],
+    identity: 'U',
+    prerequisites: 'Mana needed: {2}',
+    description: '',
+  });
+  assert.equal(normalizeCombo(variants[4]), null);
+  assert.equal(normalizeCombo({ id: 9, uses: [] }), null);
+});
+
+test('readComboFile reads the export and its timestamp', async () => {
+  const filePath = path.join(dir, 'variants.json');
+  await writeFile(filePath, JSON.stringify({ timestamp: '2024-06-01T00:00:00Z', variants }));
+  const { timestamp, combos } = await readComboFile(filePath);
+  assert.equal(timestamp, '2024-06-01T00:00:00Z');
+  assert.deepEqual(combos.map(c => c.id), ['1', '2', '3', '4']);
+});
+
+test('findCombos finds complete combos and near misses within the color identity', async () => {
+  const combos = variants.map(normalizeCombo).filter(Boolean);
+  const deck = ['Basalt Monolith', 'Isochron Scepter', 'Dramatic Reversal', 'Kiki-Jiki, Mirror Breaker'];
+
+  const { complete, nearMisses } = findCombos(combos, deck, 'U');
+  assert.deepEqual(complete.map(c => c.id), ['2']);
+  assert.deepEqual(nearMisses.map(m => [m.combo.id, m.missing]), [['1', 'Rings of Brighthearth'], ['4', 'Power Artifact']]);
+  assert.deepEqual(findCombos(combos, deck, ['U', 'R']).nearMisses.map(m => m.combo.id), ['1', '3', '4']);
+
+  const grouped = groupByMissingCard([...nearMisses, { combo: combos[3], missing: 'Power Artifact' }]);
+  assert.deepEqual(grouped.map(g => [g.card, g.combos.length]), [['Power Artifact', 2], ['Rings of Brighthearth', 1]]);
+});
+
+test('a failed refresh of a stale copy keeps the copy and waits before downloading again', async t => {
+  process.env.COMMAND_TOWER_DATA_DIR = dir;
+  delete process.env.COMBO_DATA;
+  process.env.COMBO_DATA_URL = 'https://combos.example/variants.json';
+  const stale = {
+    source: process.env.COMBO_DATA_URL,
+    updatedAt: '2024-01-01T00:00:00Z',
+    downloadedAt: '2024-01-01T00:00:00Z',
+    combos: [normalizeCombo(variants[0])],
+  };
+  await writeFile(path.join(dir, 'combos.json'), JSON.stringify(stale));
+
+  const realFetch = globalThis.fetch;
+  let downloads = 0;
+  globalThis.fetch = async () => {
+    downloads++;
+    return new Response('Not found', { status: 404 });
+  };
+  t.after(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  assert.deepEqual(await getCombos(), stale);
+  assert.equal(downloads, 1);
+  assert.deepEqual(await getCombos(), stale);
+  assert.equal(downloads, 1, 'no new download right after a failure');
+  assert.deepEqual(await getCombos({ refresh: true }), stale);
+  assert.equal(downloads, 2, 'an explicit refresh still downloads');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareDecks, toUpdateText, estimatePrice } from '../utils/compare.js';
+import { deckCard, makeDeck, cardMap, scryfallCard } from './fixtures.js';
+
+const deckA = makeDeck([
+  deckCard('Sol Ring', { categories: ['Ramp'] }),
+  deckCard('Opt', { categories: ['Draw'] }),
+  deckCard('Island', { quantity: 10, categories: ['Land'] }),
+  deckCard('Negate', { categories: ['Sideboard'] }),
+]);
+const deckB = makeDeck([
+  deckCard('Sol Ring', { categories: ['Artifact'] }),
+  deckCard('Lightning Bolt', { quantity: 2, categories: ['Removal'] }),
+  deckCard('Island', { quantity: 8, categories: ['Land'] }),
+]);
+
+test('compareDecks splits cards into only-A, only-B, shared, quantity changes and category moves', () => {
+  const diff = compareDecks(deckA, deckB);
+  const names = list => list.map(c => c.name);
+
+  assert.deepEqual(names(diff.onlyA), ['Opt']);
+  assert.deepEqual(names(diff.onlyB), ['Lightning Bolt']);
+  assert.deepEqual(names(diff.shared), ['Island', 'Sol Ring']);
+  assert.deepEqual(diff.quantityChanges, [{ name: 'Island', quantityA: 10, quantityB: 8 }]);
+  assert.deepEqual(diff.categoryMoves, [{ name: 'Sol Ring', categoriesA: ['Ramp'], categoriesB: ['Artifact'] }]);
+});
+
+test('sideboard cards are left out of the comparison', () => {
+  const diff = compareDecks(deckA, deckB);
+  assert.ok(![...diff.onlyA, ...diff.shared].some(c => c.name === 'Negate'));
+});
+
+test('toUpdateText covers additions, removals, quantity changes and category moves', () => {
+  const { cardsToAdd, cardsToRemove, categoryChanges } = toUpdateText(compareDecks(deckA, deckB));
+  assert.equal(cardsToAdd, '2 Lightning Bolt [Removal]');
+  assert.deepEqual(cardsToRemove.split('\n'), ['1 Opt', '2 Island']);
+  assert.deepEqual(categoryChanges, [{ name: 'Sol Ring', categories: ['Artifact'] }]);
+});
+
+test('quantity increases are added without a category', () => {
+  const more = makeDeck([deckCard('Island', { quantity: 12, categories: ['Land'] })]);
+  const fewer = makeDeck([deckCard('Island', { quantity: 10, categories: ['Land'] })]);
+  assert.equal(toUpdateText(compareDecks(fewer, more)).cardsToAdd, '2 Island');
+});
+
+test('estimatePrice totals default printing prices and skips unpriced cards', () => {
+  const map = cardMap([
+    scryfallCard('Sol Ring', { prices: { usd: '1.50' } }),
+    scryfallCard('Island', { prices: { usd: '0.10' } }),
+    scryfallCard('Opt', { prices: {} }),
+  ]);
+  assert.equal(estimatePrice(deckA, map).toFixed(2), '2.50');
+});
+
+test('cards keep every category, primary first, in the comparison and the update text', () => {
+  const a = makeDeck([deckCard('Sol Ring', { categories: ['Ramp', 'Artifact'] })]);
+  const b = makeDeck([
+    deckCard('Sol Ring', { categories: ['Artifact', 'Ramp'] }),
+    deckCard('Arcane Signet', { categories: ['Ramp', 'Artifact', 'Fixing'] }),
+  ]);
+  const diff = compareDecks(a, b);
+  assert.deepEqual(diff.categoryMoves, [{ name: 'Sol Ring', categoriesA: ['Ramp', 'Artifact'], categoriesB: ['Artifact', 'Ramp'] }]);
+
+  const { cardsToAdd, categoryChanges } = toUpdateText(diff);
+  assert.equal(cardsToAdd, '1 Arcane Signet [Ramp, Artifact, Fixing]');
+  assert.deepEqual(categoryChanges, [{ name: 'Sol Ring', categories: ['Artifact', 'Ramp'] }]);
+});
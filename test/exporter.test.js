@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportDeck, getSections, toArchidektLine } from '../utils/exporter.js';
+import { parseDecklistLine } from '../utils/decklist.js';
+import { deckCard, makeDeck } from './fixtures.js';
+
+function sampleDeck() {
+  return makeDeck([
+    deckCard('Atraxa, Praetors\' Voice', { categories: ['Commander'], edition: '2x2', collectorNumber: '190' }),
+    deckCard('Sol Ring', { categories: ['Ramp', 'Artifact'], edition: 'cmm', collectorNumber: '410', modifier: 'Foil' }),
+    deckCard('Delver of Secrets // Insectile Aberration', { categories: ['Creature'], layout: 'transform' }),
+    deckCard('Fire // Ice', { categories: ['Removal'], layout: 'split' }),
+    deckCard('Negate', { categories: ['Sideboard'] }),
+    deckCard('Opt', { categories: ['Maybeboard'] }),
+  ]);
+}
+
+test('getSections splits commanders, main deck, sideboard and maybeboard', () => {
+  const sections = getSections(sampleDeck());
+  const names = cards => cards.map(c => c.card.oracleCard.name);
+  assert.deepEqual(names(sections.commanders), ['Atraxa, Praetors\' Voice']);
+  assert.equal(sections.main.length, 3);
+  assert.deepEqual(names(sections.sideboard), ['Negate']);
+  assert.deepEqual(names(sections.maybeboard), ['Opt']);
+});
+
+test('arena export uses front faces for double-faced cards and full names for split cards', () => {
+  const text = exportDeck(sampleDeck(), 'arena');
+  assert.equal(text, [
+    'Commander',
+    '1 Atraxa, Praetors\' Voice (2X2) 190',
+    '',
+    'Deck',
+    '1 Sol Ring (CMM) 410',
+    '1 Delver of Secrets',
+    '1 Fire // Ice',
+    '',
+    'Sideboard',
+    '1 Negate',
+  ].join('\n'));
+});
+
+test('the maybeboard is only exported when asked for', () => {
+  assert.ok(!exportDeck(sampleDeck(), 'text').includes('Opt'));
+  assert.match(exportDeck(sampleDeck(), 'text', { includeMaybeboard: true }), /Maybeboard\n1 Opt/);
+});
+
+test('mtgo export puts commanders in the sideboard and escapes names', () => {
+  const deck = makeDeck([
+    deckCard('Atraxa, Praetors\' Voice', { categories: ['Commander'] }),
+    deckCard('Ach! Hans, Run!', { categories: ['Other'] }),
+  ]);
+  const xml = exportDeck(deck, 'mtgo');
+  assert.match(xml, /Quantity="1" Sideboard="true" Name="Atraxa, Praetors' Voice"/);
+  assert.match(xml, /Sideboard="false" Name="Ach! Hans, Run!"/);
+  assert.ok(xml.startsWith('<?xml'));
+});
+
+test('csv export quotes fields with commas and writes the finish', () => {
+  const deck = makeDeck([deckCard('Sol Ring', { categories: ['Ramp'], modifier: 'Etched', edition: 'cmm', collectorNumber: '410' })]);
+  const deckWithComma = makeDeck([deckCard('Atraxa, Praetors\' Voice', { categories: ['Commander'] })]);
+  assert.equal(exportDeck(deck, 'csv').split('\n')[1], '1,Sol Ring,cmm,410,etched,Ramp');
+  assert.equal(exportDeck(deckWithComma, 'csv').split('\n')[1], '1,"Atraxa, Praetors\' Voice",,,,Commander');
+});
+
+test('archidekt lines keep foil and etched finishes through a parse round trip', () => {
+  for (const modifier of ['Normal', 'Foil', 'Etched']) {
+    const card = deckCard('Sol Ring', { quantity: 2, categories: ['Ramp'], edition: 'cmm', collectorNumber: '410', modifier });
+    const parsed = parseDecklistLine(toArchidektLine(card));
+    assert.deepEqual(parsed, { quantity: 2, name: 'Sol Ring', set: 'cmm', collectorNumber: '410', modifier });
+  }
+});
+
+test('unknown formats are rejected', () => {
+  assert.throws(() => exportDeck(sampleDeck(), 'cockatrice'), /Unknown export format: cockatrice/);
+});
@@ -0,0 +1,84 @@
+// Builders for the deck and card objects the utils work with, shaped like the Archidekt and Scryfall APIs
+
+let nextId = 1;
+
+/**
+ * Build a deck card as it appears in deck.cards from archidekt.getDeck
+ * @param {string} name
+ * @param {object} [options]
+ * @returns {object}
+ */
+export function deckCard(name, options = {}) {
+  const id = options.id ?? nextId++;
+  return {
+    id,
+    quantity: options.quantity ?? 1,
+    categories: options.categories ?? [],
+    modifier: options.modifier ?? 'Normal',
+    label: options.label,
+    card: {
+      id: options.cardId ?? id + 1000,
+      collectorNumber: options.collectorNumber,
+      edition: options.edition ? { editioncode: options.edition } : undefined,
+      oracleCard: { name, layout: options.layout ?? 'normal' },
+    },
+  };
+}
+
+/**
+ * Build a deck as returned by archidekt.getDeck
+ * @param {Array<object>} cards - From deckCard
+ * @param {object} [options]
+ * @param {number} [options.deckFormat=3] - Archidekt format ID (3 = Commander)
+ * @param {Array<object>} [options.categories]
+ * @returns {object}
+ */
+export function makeDeck(cards, options = {}) {
+  return {
+    id: options.id ?? 1,
+    name: options.name ?? 'Test deck',
+    deckFormat: options.deckFormat ?? 3,
+    categories: options.categories ?? [
+      { name: 'Commander', isPremier: true, includedInDeck: true },
+      { name: 'Sideboard', includedInDeck: false },
+      { name: 'Maybeboard', includedInDeck: false },
+    ],
+    cards,
+  };
+}
+
+/**
+ * Build a card map like scryfall.lookupCardMap returns
+ * @param {Array<object>} cards - Scryfall cards
+ * @returns {Map<string, object>}
+ */
+export function cardMap(cards) {
+  const map = new Map();
+  for (const card of cards) {
+    map.set(card.name.toLowerCase(), card);
+    map.set(card.name.split(' // ')[0].toLowerCase(), card);
+  }
+  return map;
+}
+
+/**
+ * Build a Scryfall card legal in every format, with sensible defaults
+ * @param {string} name
+ * @param {object} [fields] - Scryfall fields to set
+ * @returns {object}
+ */
+export function scryfallCard(name, fields = {}) {
+  return {
+    name,
+    type_line: 'Instant',
+    mana_cost: '{1}',
+    cmc: 1,
+    oracle_text: '',
+    colors: [],
+    color_identity: [],
+    keywords: [],
+    legalities: { commander: 'legal', modern: 'legal', standard: 'legal', legacy: 'legal', brawl: 'legal', oathbreaker: 'legal' },
+    prices: {},
+    ...fields,
+  };
+}
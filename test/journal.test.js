@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { computeRevertActions, snapshotDeck, recordChange, getHistory, getEntry } from '../utils/journal.js';
+import { deckCard, makeDeck } from './fixtures.js';
+
+const summarize = actions => actions.map(a => `${a.action} ${a.cardid}${a.deckRelationId ? `#${a.deckRelationId}` : ''} ${a.categories.join('/')} x${a.modifications.quantity}`);
+
+test('an unchanged deck needs no revert actions', () => {
+  const deck = makeDeck([deckCard('Sol Ring', { id: 1, cardId: 10, categories: ['Ramp'] })]);
+  assert.deepEqual(computeRevertActions(deck, snapshotDeck(deck)), []);
+});
+
+test('added cards are removed, removed cards are restored and changed cards are modified', () => {
+  const before = makeDeck([
+    deckCard('Sol Ring', { id: 1, cardId: 10, categories: ['Ramp'] }),
+    deckCard('Opt', { id: 2, cardId: 20, categories: ['Draw'] }),
+    deckCard('Forest', { id: 3, cardId: 30, quantity: 10, categories: ['Land'] }),
+  ]);
+  const after = makeDeck([
+    deckCard('Sol Ring', { id: 1, cardId: 10, categories: ['Artifact'] }),
+    deckCard('Forest', { id: 3, cardId: 30, quantity: 8, categories: ['Land'] }),
+    deckCard('Bolt', { id: 4, cardId: 40, categories: ['Removal'] }),
+  ]);
+
+  assert.deepEqual(summarize(computeRevertActions(after, snapshotDeck(before))).sort(), [
+    'add 20 Draw x1',
+    'modify 10#1 Ramp x1',
+    'modify 30#3 Land x10',
+    'remove 40#4 Removal x1',
+  ]);
+});
+
+test('copies of one printing in different categories are reverted separately', () => {
+  const before = makeDeck([
+    deckCard('Island', { id: 1, cardId: 10, quantity: 30, categories: ['Land'] }),
+    deckCard('Island', { id: 2, cardId: 10, quantity: 5, categories: ['Sideboard'] }),
+  ]);
+  const after = makeDeck([
+    deckCard('Island', { id: 1, cardId: 10, quantity: 28, categories: ['Land'] }),
+  ]);
+
+  assert.deepEqual(summarize(computeRevertActions(after, snapshotDeck(before))).sort(), [
+    'add 10 Sideboard x5',
+    'modify 10#1 Land x30',
+  ]);
+});
+
+test('a card re-added under a new deck relation matches its old entry', () => {
+  const before = makeDeck([deckCard('Sol Ring', { id: 1, cardId: 10, categories: ['Ramp'] })]);
+  const after = makeDeck([deckCard('Sol Ring', { id: 9, cardId: 10, categories: ['Ramp'] })]);
+  assert.deepEqual(computeRevertActions(after, snapshotDeck(before)), []);
+});
+
+test('a different finish of the same card is a different entry', () => {
+  const before = makeDeck([deckCard('Sol Ring', { id: 1, cardId: 10, modifier: 'Foil' })]);
+  const after = makeDeck([deckCard('Sol Ring', { id: 1, cardId: 10, modifier: 'Normal' })]);
+  const actions = computeRevertActions(after, snapshotDeck(before));
+  assert.deepEqual(actions.map(a => `${a.action} ${a.modifications.modifier}`).sort(), ['add Foil', 'remove Normal']);
+});
+
+test('recorded changes get increasing IDs and can be read back', async t => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'journal-test-'));
+  const previous = process.env.COMMAND_TOWER_DATA_DIR;
+  process.env.COMMAND_TOWER_DATA_DIR = dir;
+  t.after(async () => {
+    if (previous === undefined) delete process.env.COMMAND_TOWER_DATA_DIR;
+    else process.env.COMMAND_TOWER_DATA_DIR = previous;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  assert.deepEqual(await getHistory(7), []);
+  await recordChange(7, { tool: 'update_deck', summary: 'first', snapshot: [] });
+  await recordChange(7, { tool: 'modify_cards', summary: 'second', snapshot: [] });
+
+  const history = await getHistory(7);
+  assert.deepEqual(history.map(e => [e.id, e.tool, e.summary]), [[1, 'update_deck', 'first'], [2, 'modify_cards', 'second']]);
+  assert.equal((await getEntry(7, 2)).summary, 'second');
+  assert.equal(await getEntry(7, 3), null);
+});
+
+test('changes recorded at the same time all keep their entries', async t => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'journal-test-'));
+  const previous = process.env.COMMAND_TOWER_DATA_DIR;
+  process.env.COMMAND_TOWER_DATA_DIR = dir;
+  t.after(async () => {
+    if (previous === undefined) delete process.env.COMMAND_TOWER_DATA_DIR;
+    else process.env.COMMAND_TOWER_DATA_DIR = previous;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const tools = ['update_deck', 'set_printings', 'modify_cards', 'update_deck_settings', 'move_deck'];
+  const entries = await Promise.all(tools.map(tool => recordChange(7, { tool, summary: tool, snapshot: [] })));
+  assert.deepEqual(entries.map(e => e.id), [1, 2, 3, 4, 5]);
+  assert.deepEqual((await getHistory(7)).map(e => e.tool), tools);
+});
@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { readJsonArray } from '../utils/jsonstream.js';
+
+let dir;
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'jsonstream-test-'));
+});
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+async function read(text, options) {
+  const filePath = path.join(dir, 'data.json');
+  await writeFile(filePath, text);
+  const items = [];
+  const fields = await readJsonArray(filePath, item => items.push(item), options);
+  return { items, fields };
+}
+
+// Strings with brackets, braces, commas, escaped quotes and multi-byte characters
+const tricky = [
+  { name: 'Fire // Ice', text: 'Deal 2 damage, [then] {T}: "quoted" \\ done' },
+  { name: 'Lim-Dûl\'s Vault 🐉', nested: { list: [1, [2, { three: 3 }]], empty: {} } },
+  42,
+  'plain string',
+  null,
+  [],
+];
+
+test('reads the items of a root array', async () => {
+  for (const text of [JSON.stringify(tricky), JSON.stringify(tricky, null, 2)]) {
+    const { items, fields } = await read(text);
+    assert.deepEqual(items, tricky);
+    assert.deepEqual(fields, {});
+  }
+});
+
+test('reads an array under a top-level key and returns the scalar fields', async () => {
+  const doc = { timestamp: '2024-06-01', count: 6, ok: true, missing: null, meta: { variants: [1] }, skipped: [9], variants: tricky };
+  const { items, fields } = await read(JSON.stringify(doc, null, 1), { keys: ['variants'] });
+  assert.deepEqual(items, tricky);
+  assert.deepEqual(fields, { timestamp: '2024-06-01', count: 6, ok: true, missing: null });
+});
+
+test('handles empty arrays', async () => {
+  assert.deepEqual((await read('[]')).items, []);
+  assert.deepEqual((await read('{"variants": [ ]}', { keys: ['variants'] })).items, []);
+});
+
+test('reads items that span many stream chunks', async () => {
+  const cards = Array.from({ length: 20000 }, (_, i) => ({ id: i, name: `Card ${i} — “${'x'.repeat(i % 50)}”` }));
+  const { items } = await read(JSON.stringify(cards));
+  assert.equal(items.length, cards.length);
+  assert.deepEqual(items[12345], cards[12345]);
+});
+
+test('rejects truncated documents', async () => {
+  await assert.rejects(read('[{"a": 1}, {"b"'), /Unexpected end of JSON/);
+});
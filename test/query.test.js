@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runQuery, compileQuery, sortCards, UnsupportedQueryError } from '../utils/query.js';
+import { scryfallCard } from './fixtures.js';
+
+const cards = [
+  scryfallCard('Llanowar Elves', {
+    type_line: 'Creature — Elf Druid', cmc: 1, colors: ['G'], color_identity: ['G'],
+    oracle_text: '{T}: Add {G}.', power: '1', toughness: '1', rarity: 'common', set: 'dom', prices: { usd: '0.25' },
+  }),
+  scryfallCard('Lightning Bolt', {
+    type_line: 'Instant', cmc: 1, colors: ['R'], color_identity: ['R'],
+    oracle_text: 'Lightning Bolt deals 3 damage to any target.', rarity: 'common', set: 'm11', prices: { usd: '1.00' },
+  }),
+  scryfallCard('Atraxa, Praetors\' Voice', {
+    type_line: 'Legendary Creature — Phyrexian Angel Horror', cmc: 4, colors: ['W', 'U', 'B', 'G'],
+    color_identity: ['W', 'U', 'B', 'G'], oracle_text: 'Flying, vigilance, deathtouch, lifelink\nAt the beginning of your end step, proliferate.',
+    power: '4', toughness: '4', rarity: 'mythic', set: '2x2', prices: { usd: '10.00' },
+  }),
+  scryfallCard('Sol Ring', {
+    type_line: 'Artifact', cmc: 1, oracle_text: '{T}: Add {C}{C}.', rarity: 'uncommon', set: 'cmm',
+    prices: { usd: '0' }, legalities: { commander: 'legal', vintage: 'restricted', modern: 'not_legal' },
+  }),
+  scryfallCard('Azorius Signet', {
+    type_line: 'Artifact', cmc: 2, colors: [], color_identity: ['W', 'U'],
+    oracle_text: '{1}, {T}: Add {W}{U}.', rarity: 'uncommon', set: 'cmm', prices: {},
+  }),
+];
+
+const names = query => runQuery(cards, query).map(c => c.name);
+
+test('bare words search names and quoted phrases keep spaces', () => {
+  assert.deepEqual(names('bolt'), ['Lightning Bolt']);
+  assert.deepEqual(names('"sol ring"'), ['Sol Ring']);
+  assert.deepEqual(names('!"Sol Ring"'), ['Sol Ring']);
+});
+
+test('color operators: c: is "at least", id: is "within", c:c is colorless', () => {
+  assert.deepEqual(names('c:g'), ['Atraxa, Praetors\' Voice', 'Llanowar Elves']);
+  assert.deepEqual(names('c=g'), ['Llanowar Elves']);
+  assert.deepEqual(names('id<=azorius'), ['Azorius Signet', 'Sol Ring']);
+  assert.deepEqual(names('id:esper'), ['Azorius Signet', 'Sol Ring']);
+  assert.deepEqual(names('c:c'), ['Azorius Signet', 'Sol Ring']);
+  assert.deepEqual(names('c:m'), ['Atraxa, Praetors\' Voice']);
+  assert.deepEqual(names('id>wu'), ['Atraxa, Praetors\' Voice']);
+});
+
+test('type, oracle text, regex and ~ as the card name', () => {
+  assert.deepEqual(names('t:legendary t:creature'), ['Atraxa, Praetors\' Voice']);
+  assert.deepEqual(names('o:"add {c}"'), ['Sol Ring']);
+  assert.deepEqual(names('o:/add \\{[wubrg]\\}/'), ['Azorius Signet', 'Llanowar Elves']);
+  assert.deepEqual(names('o:"~ deals"'), ['Lightning Bolt']);
+});
+
+test('numeric comparisons, rarity, set and formats', () => {
+  assert.deepEqual(names('mv>=2'), ['Atraxa, Praetors\' Voice', 'Azorius Signet']);
+  assert.deepEqual(names('mv:even'), ['Atraxa, Praetors\' Voice', 'Azorius Signet']);
+  assert.deepEqual(names('pow>1'), ['Atraxa, Praetors\' Voice']);
+  assert.deepEqual(names('r>=u'), ['Atraxa, Praetors\' Voice', 'Azorius Signet', 'Sol Ring']);
+  assert.deepEqual(names('s:cmm'), ['Azorius Signet', 'Sol Ring']);
+  assert.deepEqual(names('restricted:vintage'), ['Sol Ring']);
+  assert.deepEqual(names('t:artifact -f:modern'), ['Sol Ring']);
+  assert.deepEqual(names('is:commander'), ['Atraxa, Praetors\' Voice']);
+});
+
+test('or binds looser than and; parentheses and negated groups', () => {
+  assert.deepEqual(names('t:instant or t:elf c:g'), ['Lightning Bolt', 'Llanowar Elves']);
+  assert.deepEqual(names('(t:instant or t:elf) mv=1'), ['Lightning Bolt', 'Llanowar Elves']);
+  assert.deepEqual(names('t:artifact -(mv=1)'), ['Azorius Signet']);
+  assert.deepEqual(names('t:artifact and -s:dom'), ['Azorius Signet', 'Sol Ring']);
+});
+
+test('order: and dir: sort results, also inside groups', () => {
+  assert.deepEqual(names('t:artifact order:cmc dir:desc'), ['Azorius Signet', 'Sol Ring']);
+  assert.deepEqual(names('(order:cmc) mv<=1'), ['Lightning Bolt', 'Llanowar Elves', 'Sol Ring']);
+  assert.deepEqual(names('t:creature or (dir:desc order:cmc)'), ['Atraxa, Praetors\' Voice', 'Llanowar Elves']);
+  assert.equal(compileQuery('order:usd').matches(cards[0]), true);
+});
+
+test('free cards sort before priced ones and unpriced cards sort last', () => {
+  assert.deepEqual(names('order:usd'), ['Sol Ring', 'Llanowar Elves', 'Lightning Bolt', 'Atraxa, Praetors\' Voice', 'Azorius Signet']);
+  assert.equal(sortCards(cards, 'usd', 'desc').map(c => c.name)[0], 'Azorius Signet');
+});
+
+test('unsupported or malformed queries throw UnsupportedQueryError', () => {
+  for (const query of ['otag:ramp', 'dir:sideways', 'order:hype', '()', '(t:elf', 't:elf)', 'c:purple', 'mv>x', 'o:/[/']) {
+    assert.throws(() => compileQuery(query), UnsupportedQueryError, query);
+  }
+});
+
+test('printing terms are rejected when only one printing per card is stored', () => {
+  for (const query of ['s:cmm', 'set:cmm', 'e:cmm', 'r:common', 't:elf or -rarity>=u']) {
+    assert.throws(() => runQuery(cards, query, { onePrinting: true }), UnsupportedQueryError, query);
+  }
+  assert.deepEqual(runQuery(cards, 't:artifact order:set', { onePrinting: true }).map(c => c.name), ['Azorius Signet', 'Sol Ring']);
+});
+
+test('an empty query matches everything, sorted by name', () => {
+  assert.deepEqual(names(''), [...cards.map(c => c.name)].sort((a, b) => a.localeCompare(b)));
+});
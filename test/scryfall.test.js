@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { searchPaginated, lookupCollection, getCardById, getCardByName } from '../utils/scryfall.js';
+import * as cardcache from '../utils/cardcache.js';
+import { scryfallCard } from './fixtures.js';
+
+// Scryfall responses are served from `routes` by URL path; every request is recorded
+const requests = [];
+const routes = new Map();
+const realFetch = globalThis.fetch;
+const saved = {};
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'scryfall-test-'));
+  for (const name of ['COMMAND_TOWER_DATA_DIR', 'SCRYFALL_BULK_DATA', 'CARD_CACHE']) saved[name] = process.env[name];
+  process.env.COMMAND_TOWER_DATA_DIR = dir;
+  delete process.env.SCRYFALL_BULK_DATA;
+  delete process.env.CARD_CACHE;
+
+  globalThis.fetch = async (url, options = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    requests.push({ pathname, searchParams, method: options.method || 'GET' });
+    const handler = routes.get(pathname);
+    if (!handler) return new Response(JSON.stringify({ details: 'Not found' }), { status: 404 });
+    return new Response(JSON.stringify(handler(searchParams, options)), { status: 200 });
+  };
+});
+
+after(async () => {
+  globalThis.fetch = realFetch;
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  await cardcache.clear();
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('live searches are cached without image and API links', async () => {
+  const cards = ['Opt', 'Ponder', 'Preordain'].map(name => scryfallCard(name, {
+    id: name.toLowerCase(),
+    image_uris: { normal: `https://img.example/${name}.jpg` },
+    card_faces: [{ name, image_uris: { small: 'x' } }],
+    uri: `https://api.example/${name}`,
+  }));
+  routes.set('/cards/search', () => ({ data: cards, has_more: false, total_cards: cards.length }));
+
+  const first = await searchPaginated('t:instant mv=1', { limit: 2 });
+  assert.deepEqual(first.cards.map(c => c.name), ['Opt', 'Ponder']);
+  assert.equal(first.totalCards, 3);
+  assert.equal(first.hasMore, true);
+  assert.equal(first.source, 'api');
+
+  const cached = await cardcache.getSearch('t:instant mv=1|name');
+  assert.equal(cached.cards.length, 3);
+  assert.ok(cached.cards.every(c => !c.image_uris && !c.uri && !c.card_faces[0].image_uris));
+
+  const searchesBefore = requests.length;
+  const second = await searchPaginated('t:instant mv=1', { offset: 2, limit: 2 });
+  assert.deepEqual(second.cards.map(c => c.name), ['Preordain']);
+  assert.equal(requests.length, searchesBefore, 'a fully loaded cached search makes no request');
+});
+
+test('searches with no results are cached as empty', async () => {
+  routes.delete('/cards/search');
+  const result = await searchPaginated('t:nothing', {});
+  assert.deepEqual(result.cards, []);
+  assert.equal(result.totalCards, 0);
+  assert.deepEqual(await cardcache.getSearch('t:nothing|name'), { cards: [], totalCards: 0, fullyLoaded: true });
+});
+
+test('printings missing from an oracle bulk file are fetched from the API', async t => {
+  const bulkPath = path.join(dir, 'oracle-cards.json');
+  const defaultPrinting = scryfallCard('Sol Ring', { id: 'sol-c21', oracle_id: 'sol', set: 'c21', collector_number: '263' });
+  const etched = scryfallCard('Sol Ring', { id: 'sol-cmm', oracle_id: 'sol', set: 'cmm', collector_number: '410' });
+  await writeFile(bulkPath, JSON.stringify([defaultPrinting]));
+  await writeFile(`${bulkPath}.meta.json`, JSON.stringify({ type: 'oracle_cards', updated_at: '2024-01-01' }));
+  process.env.SCRYFALL_BULK_DATA = bulkPath;
+  t.after(() => {
+    delete process.env.SCRYFALL_BULK_DATA;
+  });
+
+  const asked = [];
+  routes.set('/cards/collection', (params, options) => {
+    const { identifiers } = JSON.parse(options.body);
+    asked.push(...identifiers);
+    const matches = identifiers.filter(id => id.id === 'sol-cmm' || id.set === 'cmm');
+    return { data: matches.map(() => etched), not_found: identifiers.filter(id => !matches.includes(id)) };
+  });
+  routes.set('/cards/sol-cmm', () => etched);
+
+  const { found, notFound } = await lookupCollection([
+    'Sol Ring',
+    { id: 'sol-c21' },
+    { set: 'cmm', collector_number: '410' },
+    { id: 'missing' },
+  ]);
+  assert.deepEqual(found.map(c => c.id), ['sol-c21', 'sol-c21', 'sol-cmm']);
+  assert.deepEqual(notFound, ['missing']);
+  assert.deepEqual(asked, [{ set: 'cmm', collector_number: '410' }, { id: 'missing' }]);
+
+  assert.equal((await getCardById('sol-c21')).id, 'sol-c21');
+  assert.equal((await getCardById('sol-cmm')).id, 'sol-cmm');
+  assert.equal((await getCardByName('Sol Ring')).id, 'sol-c21');
+});
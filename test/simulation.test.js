@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildLibrary, createRandom, simulateDeck, hypergeometricAtLeast, cardsSeenByTurn, countQueryCards, HAND_SIZE,
+} from '../utils/simulation.js';
+import { deckCard, makeDeck, cardMap, scryfallCard } from './fixtures.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message ?? `${actual} != ${expected}`);
+
+test('hypergeometricAtLeast matches known odds', () => {
+  // 10 wanted cards in 99, seen by turn 3 on the play
+  close(hypergeometricAtLeast(99, 10, 9), 1 - [...Array(9).keys()].reduce((p, i) => p * (89 - i) / (99 - i), 1));
+  assert.equal(hypergeometricAtLeast(99, 10, 9).toFixed(4), '0.6328');
+  // Exactly one of two: 2 * (2/4 * 2/3)
+  close(hypergeometricAtLeast(4, 2, 2, 1) - hypergeometricAtLeast(4, 2, 2, 2), 2 / 3);
+});
+
+test('hypergeometricAtLeast edge cases', () => {
+  assert.equal(hypergeometricAtLeast(99, 0, 7), 0);
+  assert.equal(hypergeometricAtLeast(10, 10, 3, 3), 1);
+  assert.equal(hypergeometricAtLeast(10, 2, 50, 2), 1, 'draws beyond the library see every card');
+  assert.equal(hypergeometricAtLeast(99, 3, 7, 4), 0, 'cannot draw more copies than exist');
+  close(hypergeometricAtLeast(99, 36, 7, 0), 1);
+});
+
+test('hypergeometricAtLeast rejects success counts outside the library', () => {
+  for (const successes of [120, -1, 2.5, NaN]) {
+    assert.throws(() => hypergeometricAtLeast(99, successes, 7), /whole number from 0 to 99/, String(successes));
+  }
+});
+
+test('cardsSeenByTurn counts the opening hand and one draw a turn', () => {
+  assert.equal(cardsSeenByTurn(1, true), HAND_SIZE);
+  assert.equal(cardsSeenByTurn(1, false), HAND_SIZE + 1);
+  assert.equal(cardsSeenByTurn(4, true), 10);
+});
+
+const library = [
+  ...Array(36).fill({ name: 'Forest', land: true, cmc: 0, ramp: false, categories: ['Land'] }),
+  ...Array(10).fill({ name: 'Llanowar Elves', land: false, cmc: 1, ramp: true, categories: ['Ramp'] }),
+  ...Array(53).fill({ name: 'Grizzly Bears', land: false, cmc: 2, ramp: false, categories: ['Creature'] }),
+];
+
+test('countQueryCards counts by name, category, role or a given count', () => {
+  assert.deepEqual(countQueryCards(library, { cards: ['llanowar elves', 'Forest'] }), { label: 'llanowar elves, Forest', successes: 46 });
+  assert.deepEqual(countQueryCards(library, { category: 'ramp' }), { label: 'category "ramp"', successes: 10 });
+  assert.deepEqual(countQueryCards(library, { role: 'land' }), { label: 'land cards', successes: 36 });
+  assert.deepEqual(countQueryCards(library, { count: 5 }), { label: '5 cards', successes: 5 });
+  assert.throws(() => countQueryCards(library, {}), /needs cards, category, role or count/);
+});
+
+test('countQueryCards rejects counts that are not whole numbers within the library', () => {
+  for (const count of [-1, 100, 1.5]) {
+    assert.throws(() => countQueryCards(library, { count }), /count must be a whole number from 0 to 99/, String(count));
+  }
+  assert.equal(countQueryCards(library, { count: 99 }).successes, 99);
+});
+
+test('createRandom repeats its sequence for a seed', () => {
+  const take = random => Array.from({ length: 5 }, random);
+  assert.deepEqual(take(createRandom(42)), take(createRandom(42)));
+  assert.notDeepEqual(take(createRandom(42)), take(createRandom(43)));
+  assert.ok(take(createRandom(7)).every(n => n >= 0 && n < 1));
+});
+
+test('simulateDeck is repeatable with a seed and its rates add up', () => {
+  const commanders = [{ name: 'Multani', cmc: 6 }];
+  const options = { games: 300, seed: 1, keyCards: ['Llanowar Elves'] };
+  const result = simulateDeck(library, commanders, options);
+
+  assert.deepEqual(simulateDeck(library, commanders, options), result);
+  close(result.mulligans.reduce((a, b) => a + b, 0), 1);
+  close(result.openingLands.reduce((a, b) => a + b, 0), 1);
+  assert.equal(result.landCount, 36);
+  assert.equal(result.keyCards[0].name, 'Llanowar Elves');
+  assert.equal(result.keyCards[0].copies, 10);
+  for (const byTurn of [result.commanders[0].byTurn, result.keyCards[0].byTurn]) {
+    assert.equal(byTurn.length, 7);
+    assert.ok(byTurn.every((rate, i) => i === 0 || rate >= byTurn[i - 1]), 'cumulative rates never drop');
+  }
+});
+
+test('an all-land library hits every land drop and never mulligans', () => {
+  const lands = Array(60).fill({ name: 'Island', land: true, cmc: 0, ramp: false, categories: [] });
+  const result = simulateDeck(lands, [{ name: 'Commander', cmc: 3 }], { games: 50, seed: 5, turns: 4, maxLands: 7 });
+  assert.deepEqual(result.landDrops, [1, 1, 1, 1]);
+  assert.deepEqual(result.averageMana, [1, 2, 3, 4]);
+  assert.equal(result.mulligans[0], 1);
+  assert.deepEqual(result.commanders[0].byTurn, [0, 0, 1, 1]);
+});
+
+test('buildLibrary expands copies, leaves out commanders and keeps unresolved cards as spells', () => {
+  const deck = makeDeck([
+    deckCard('Multani, Yavimaya\'s Avatar', { categories: ['Commander'] }),
+    deckCard('Forest', { quantity: 3, categories: ['Land'] }),
+    deckCard('Llanowar Elves', { categories: ['Ramp'] }),
+    deckCard('Mystery Card', { quantity: 2, categories: ['Other'] }),
+    deckCard('Opt', { categories: ['Maybeboard'] }),
+  ]);
+  const map = cardMap([
+    scryfallCard('Multani, Yavimaya\'s Avatar', { type_line: 'Legendary Creature — Elemental Avatar', cmc: 6 }),
+    scryfallCard('Forest', { type_line: 'Basic Land — Forest', cmc: 0, oracle_text: '({T}: Add {G}.)' }),
+    scryfallCard('Llanowar Elves', { type_line: 'Creature — Elf Druid', cmc: 1, oracle_text: '{T}: Add {G}.' }),
+  ]);
+
+  const { library: built, commanders, unresolved } = buildLibrary(deck, map);
+  assert.deepEqual(built.map(c => c.name), ['Forest', 'Forest', 'Forest', 'Llanowar Elves', 'Mystery Card', 'Mystery Card']);
+  assert.deepEqual(built.map(c => [c.land, c.ramp]), [[true, false], [true, false], [true, false], [false, true], [false, false], [false, false]]);
+  assert.deepEqual(commanders, [{ name: 'Multani, Yavimaya\'s Avatar', cmc: 6 }]);
+  assert.deepEqual(unresolved, ['Mystery Card']);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDeck } from '../utils/validation.js';
+import { deckCard, makeDeck, cardMap, scryfallCard } from './fixtures.js';
+
+const COMMANDER = 3;
+const MODERN = 2;
+
+const atraxa = scryfallCard('Atraxa, Praetors\' Voice', {
+  type_line: 'Legendary Creature — Phyrexian Angel Horror',
+  color_identity: ['W', 'U', 'B', 'G'],
+});
+const forest = scryfallCard('Forest', { type_line: 'Basic Land — Forest', cmc: 0, mana_cost: '' });
+
+// A legal 100-card Commander deck: the commander, 60 Forests and 39 singleton spells
+function commanderDeck(extraCards = [], extraScryfall = []) {
+  const spells = Array.from({ length: 39 }, (_, i) => scryfallCard(`Spell ${i}`));
+  const cards = [
+    deckCard(atraxa.name, { categories: ['Commander'] }),
+    deckCard('Forest', { quantity: 60, categories: ['Land'] }),
+    ...spells.map(s => deckCard(s.name, { categories: ['Other'] })),
+    ...extraCards,
+  ];
+  return { deck: makeDeck(cards, { deckFormat: COMMANDER }), map: cardMap([atraxa, forest, ...spells, ...extraScryfall]) };
+}
+
+test('a legal Commander deck has no violations', () => {
+  const { deck, map } = commanderDeck();
+  const result = validateDeck(deck, map);
+  assert.equal(result.format.name, 'Commander');
+  assert.equal(result.deckSize, 100);
+  assert.deepEqual(result.violations, []);
+});
+
+test('deck size, singleton and color identity violations are reported', () => {
+  const bolt = scryfallCard('Lightning Bolt', { color_identity: ['R'] });
+  const { deck, map } = commanderDeck([
+    deckCard('Lightning Bolt', { quantity: 2, categories: ['Removal'] }),
+  ], [bolt]);
+
+  const rules = validateDeck(deck, map).violations.map(v => `${v.rule}: ${v.card ?? 'deck'}`);
+  assert.deepEqual(rules.sort(), [
+    'Color identity: Lightning Bolt',
+    'Deck size: deck',
+    'Singleton: Lightning Bolt',
+  ]);
+});
+
+test('basic lands and "any number" cards ignore the copy limit', () => {
+  const rats = scryfallCard('Relentless Rats', {
+    oracle_text: 'A deck can have any number of cards named Relentless Rats.',
+    color_identity: ['B'],
+  });
+  const { deck, map } = commanderDeck([deckCard(rats.name, { quantity: 5 })], [rats]);
+  deck.cards.find(c => c.card.oracleCard.name === 'Forest').quantity = 55;
+
+  assert.deepEqual(validateDeck(deck, map).violations, []);
+});
+
+test('"up to seven" cards get their own copy limit', () => {
+  const dwarves = scryfallCard('Seven Dwarves', {
+    oracle_text: 'A deck can have up to seven cards named Seven Dwarves.',
+  });
+  const deck = makeDeck([
+    deckCard('Forest', { quantity: 52 }),
+    deckCard(dwarves.name, { quantity: 8 }),
+  ], { deckFormat: MODERN });
+
+  const violations = validateDeck(deck, cardMap([forest, dwarves])).violations;
+  assert.deepEqual(violations.map(v => v.message), ['8 copies (max 7)']);
+});
+
+test('banned and not-legal cards are flagged, including in the sideboard', () => {
+  const banned = scryfallCard('Banned Card', { legalities: { modern: 'banned' } });
+  const unknown = scryfallCard('Not Legal', { legalities: { modern: 'not_legal' } });
+  const deck = makeDeck([
+    deckCard('Forest', { quantity: 59 }),
+    deckCard(banned.name),
+    deckCard(unknown.name, { categories: ['Sideboard'] }),
+  ], { deckFormat: MODERN });
+
+  const violations = validateDeck(deck, cardMap([forest, banned, unknown])).violations;
+  assert.deepEqual(violations.map(v => `${v.card}: ${v.message}`), [
+    'Banned Card: Banned in Modern',
+    'Not Legal: Not legal in Modern',
+  ]);
+});
+
+test('commanders must be able to pair', () => {
+  const partnerA = scryfallCard('Partner A', { type_line: 'Legendary Creature — Human', oracle_text: 'Partner' });
+  const partnerB = scryfallCard('Partner B', { type_line: 'Legendary Creature — Elf', oracle_text: 'Partner' });
+  const loner = scryfallCard('Loner', { type_line: 'Legendary Creature — Elf' });
+  const base = [deckCard('Forest', { quantity: 98, categories: ['Land'] })];
+
+  const paired = makeDeck([...base, deckCard('Partner A', { categories: ['Commander'] }), deckCard('Partner B', { categories: ['Commander'] })]);
+  assert.deepEqual(validateDeck(paired, cardMap([forest, partnerA, partnerB])).violations, []);
+
+  const unpaired = makeDeck([...base, deckCard('Partner A', { categories: ['Commander'] }), deckCard('Loner', { categories: ['Commander'] })]);
+  const violations = validateDeck(unpaired, cardMap([forest, partnerA, loner])).violations;
+  assert.deepEqual(violations.map(v => v.message), ['These commanders cannot be paired']);
+});
+
+test('cards Scryfall does not know are listed as unresolved', () => {
+  const deck = makeDeck([deckCard('Forest', { quantity: 59 }), deckCard('Mystery Card')], { deckFormat: MODERN });
+  const result = validateDeck(deck, cardMap([forest]));
+  assert.deepEqual(result.unresolved, ['Mystery Card']);
+});
+
+test('unknown formats return no format', () => {
+  const result = validateDeck(makeDeck([], { deckFormat: 999 }), new Map());
+  assert.equal(result.format, null);
+});
@@ -0,0 +1,132 @@
+import { getMainboard, joinCardData } from './decklist.js';
+import { getOracleText, getManaCost, getFrontTypeLine, isLand } from './cards.js';
+
+export const COLORS = ['W', 'U', 'B', 'R', 'G'];
+const CARD_TYPES = ['Creature', 'Instant', 'Sorcery', 'Artifact', 'Enchantment', 'Planeswalker', 'Battle', 'Land'];
+
+// Mana values at or above this are grouped into one "N+" bucket
+const CURVE_CAP = 7;
+
+// Oracle text patterns used to tag card roles
+const ROLE_PATTERNS = {
+  ramp: [
+    /\{T\}[^.\n]*: Add \{/i,
+    /\badd \{[WUBRGC]\}/i,
+    /\badd (one|two|three) mana\b/i,
+    /search your library for (up to \w+ )?(a |an )?(basic )?(land|forest|plains|island|swamp|mountain)/i,
+    /put (a|up to \w+) land cards? from your hand onto the battlefield/i,
+  ],
+  draw: [
+    /\bdraws? (a|an|one|two|three|four|five|six|seven|x|that many) cards?\b/i,
+    /\bdraw cards equal to\b/i,
+    /\binvestigate\b/i,
+    /\bexile the top [^.]* cards? of your library[^.]*\. (until|you may play|you may cast)/i,
+  ],
+  interaction: [
+    /\b(destroy|exile) (target|each|all)\b/i,
+    /\bcounter target\b/i,
+    /\breturn (target|each|all) [^.]*to (its|their) owners?'? hands?\b/i,
+    /\bdeals? (\d+|x) damage to (any target|target|each)\b/i,
+    /\btarget [^.]*gets -\d+\/-\d+/i,
+    /\bfights?\b/i,
+    /\b(each|target) (player|opponent) sacrifices\b/i,
+  ],
+};
+
+/**
+ * Count colored mana symbols in a mana cost (hybrid and Phyrexian symbols count for each color)
+ * @param {string} manaCost - e.g. "{2}{W}{U/B}"
+ * @returns {object} - { W: n, U: n, ... }
+ */
+export function countPips(manaCost) {
+  const pips = Object.fromEntries(COLORS.map(c => [c, 0]));
+  for (const symbol of manaCost.match(/\{[^}]+\}/g) || []) {
+    for (const color of COLORS) {
+      if (symbol.includes(color)) pips[color]++;
+    }
+  }
+  return pips;
+}
+
+/**
+ * Tag a card with the roles its oracle text suggests
+ * @param {object} card - Scryfall card
+ * @returns {Array<string>} - Subset of 'ramp', 'draw', 'interaction'
+ */
+export function getRoles(card) {
+  const text = getOracleText(card);
+  return Object.entries(ROLE_PATTERNS)
+    .filter(([role, patterns]) => !(role === 'ramp' && isLand(card)) && patterns.some(p => p.test(text)))
+    .map(([role]) => role);
+}
+
+/**
+ * Analyze a deck's curve, colors, types and roles
+ * Sideboard and maybeboard cards are left out
+ * @param {object} deck - Deck from archidekt.getDeck
+ * @param {Map<string, object>} cardMap - Scryfall cards from scryfall.lookupCardMap
+ * @returns {object}
+ */
+export function analyzeDeck(deck, cardMap) {
+  const { entries, unresolved } = joinCardData(getMainboard(deck), cardMap);
+
+  const curve = {};
+  for (let mv = 0; mv <= CURVE_CAP; mv++) curve[mv] = 0;
+
+  const pips = Object.fromEntries(COLORS.map(c => [c, 0]));
+  const landSources = Object.fromEntries([...COLORS, 'C'].map(c => [c, 0]));
+  const types = {};
+  const roles = { ramp: 0, draw: 0, interaction: 0 };
+
+  let totalCards = 0;
+  let landCount = 0;
+  let mvSum = 0;
+  let nonlandMvSum = 0;
+
+  for (const { card, deckCard, quantity } of entries) {
+    const mv = deckCard.customCmc ?? card.cmc ?? 0;
+    const land = isLand(card);
+
+    totalCards += quantity;
+    mvSum += mv * quantity;
+
+    if (land) {
+      landCount += quantity;
+      for (const color of card.produced_mana || []) {
+        if (color in landSources) landSources[color] += quantity;
+      }
+    } else {
+      nonlandMvSum += mv * quantity;
+      curve[Math.min(Math.floor(mv), CURVE_CAP)] += quantity;
+
+      const cardPips = countPips(getManaCost(card));
+      for (const color of COLORS) pips[color] += cardPips[color] * quantity;
+    }
+
+    const typeLine = getFrontTypeLine(card);
+    for (const type of CARD_TYPES) {
+      if (typeLine.includes(type)) types[type] = (types[type] || 0) + quantity;
+    }
+
+    for (const role of getRoles(card)) {
+      roles[role] += quantity;
+    }
+  }
+
+  const nonlandCount = totalCards - landCount;
+
+  return {
+    totalCards,
+    landCount,
+    nonlandCount,
+    curve,
+    curveCap: CURVE_CAP,
+    pips,
+    landSources,
+    types,
+    roles,
+    averageMv: totalCards > 0 ? mvSum / totalCards : 0,
+    averageMvNonland: nonlandCount > 0 ? nonlandMvSum / nonlandCount : 0,
+    unresolved,
+  };
+}
@@ -1,25 +1,89 @@
+import { dataPath, readJson, writeJson } from './storage.js';
+import { request, responseError, errorForStatus, AuthError } from './http.js';
+
 const BASE_URL = 'https://archidekt.com/api';
 const USER_AGENT = 'CommandTowerMCP/0.1.0';
 
+// Refresh tokens this long before they expire
+const EXPIRY_BUFFER_MS = 5 * 60 * 1000;
+// Used when a token has no readable exp claim
+const DEFAULT_TOKEN_LIFETIME_MS = 60 * 60 * 1000;
+
 // Cached auth state
 let authCache = {
+  username: null,
   accessToken: null,
   refreshToken: null,
   rootFolder: null,
   expiresAt: null,
 };
+// Token replaced after a 401, so calls still holding it use the new one
+let replacedToken = null;
+// In-flight getAuth, shared by concurrent callers
+let authenticating = null;
+let loadedPersisted = false;
 
 /**
- * Get valid access token, logging in if needed
+ * Whether Archidekt credentials are configured
+ * @returns {boolean}
+ */
+export function hasCredentials() {
+  return Boolean(process.env.ARCHIDEKT_USERNAME && process.env.ARCHIDEKT_PASSWORD);
+}
+
+/**
+ * Read the expiry time from a JWT's exp claim
+ * @param {string} token
+ * @returns {number|null} - Milliseconds since the epoch, or null if the token has no exp
+ */
+export function getTokenExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+function isFresh(token) {
+  const expiresAt = token ? getTokenExpiry(token) : null;
+  return Boolean(token) && (expiresAt === null || Date.now() < expiresAt - EXPIRY_BUFFER_MS);
+}
+
+// Tokens are only written to disk when ARCHIDEKT_PERSIST_TOKENS=true
+function persistenceEnabled() {
+  return process.env.ARCHIDEKT_PERSIST_TOKENS === 'true';
+}
+
+function tokenPath() {
+  return dataPath('archidekt-auth.json');
+}
+
+async function saveAuth(auth) {
+  authCache = auth;
+  if (!persistenceEnabled()) return;
+  try {
+    await writeJson(tokenPath(), auth, { mode: 0o600 });
+  } catch {
+    // Persistence is best effort; the in-memory token still works
+  }
+}
+
+/**
+ * Get valid access token, refreshing or logging in if needed
  * Uses ARCHIDEKT_USERNAME and ARCHIDEKT_PASSWORD env vars
  * @returns {Promise<{accessToken: string, rootFolder: number}>}
  */
 export async function getAuth() {
-  // Check if we have a valid cached token (with 5 min buffer)
-  if (authCache.accessToken && authCache.expiresAt && Date.now() < authCache.expiresAt - 300000) {
-    return { accessToken: authCache.accessToken, rootFolder: authCache.rootFolder };
+  if (!authenticating) {
+    authenticating = authenticate().finally(() => {
+      authenticating = null;
+    });
   }
+  return authenticating;
+}
 
+async function authenticate() {
   const username = process.env.ARCHIDEKT_USERNAME;
   const password = process.env.ARCHIDEKT_PASSWORD;
 
@@ -27,19 +91,80 @@ export async function getAuth() {
     throw new Error('ARCHIDEKT_USERNAME and ARCHIDEKT_PASSWORD environment variables are required');
   }
 
-  const result = await login(username, password);
+  // Pick up tokens from an earlier run, as long as they belong to this user
+  if (!loadedPersisted && persistenceEnabled()) {
+    loadedPersisted = true;
+    const saved = await readJson(tokenPath(), null);
+    if (saved?.username === username && !authCache.accessToken) authCache = saved;
+  }
+  if (authCache.username !== username) {
+    authCache = { username, accessToken: null, refreshToken: null, rootFolder: null, expiresAt: null };
+  }
+
+  if (authCache.accessToken && authCache.expiresAt && Date.now() < authCache.expiresAt - EXPIRY_BUFFER_MS) {
+    return { accessToken: authCache.accessToken, rootFolder: authCache.rootFolder };
+  }
+
+  if (isFresh(authCache.refreshToken) && authCache.rootFolder) {
+    try {
+      const refreshed = await refreshAccessToken(authCache.refreshToken);
+      await saveAuth({
+        ...authCache,
+        accessToken: refreshed.accessToken,
+        refreshToken: refreshed.refreshToken || authCache.refreshToken,
+        expiresAt: getTokenExpiry(refreshed.accessToken) || Date.now() + DEFAULT_TOKEN_LIFETIME_MS,
+      });
+      return { accessToken: authCache.accessToken, rootFolder: authCache.rootFolder };
+    } catch {
+      // Refresh token rejected: fall through to a password login
+    }
+  }
 
-  // Cache the token (JWT typically expires in 1 hour, we'll assume 1 hour)
-  authCache = {
+  const result = await login(username, password);
+  await saveAuth({
+    username,
     accessToken: result.accessToken,
     refreshToken: result.refreshToken,
     rootFolder: result.rootFolder,
-    expiresAt: Date.now() + 3600000, // 1 hour
-  };
+    expiresAt: getTokenExpiry(result.accessToken) || Date.now() + DEFAULT_TOKEN_LIFETIME_MS,
+  });
 
   return { accessToken: authCache.accessToken, rootFolder: authCache.rootFolder };
 }
 
+/**
+ * Fetch an Archidekt endpoint with the JWT header
+ * On a 401 the cached token is dropped and the request is retried once with a new one
+ * @param {string} url
+ * @param {object} [options] - fetch options
+ * @param {string|null} [accessToken] - Null for public endpoints
+ * @returns {Promise<Response>}
+ */
+async function authorizedFetch(url, options = {}, accessToken = null) {
+  const send = token => request(url, {
+    ...options,
+    headers: {
+      'Accept': 'application/json',
+      'User-Agent': USER_AGENT,
+      ...options.headers,
+      ...(token ? { 'Authorization': `JWT ${token}` } : {}),
+    },
+  });
+
+  let token = accessToken && accessToken === replacedToken ? authCache.accessToken : accessToken;
+  const response = await send(token);
+  if (response.status !== 401 || !token) {
+    return response;
+  }
+
+  if (authCache.accessToken === token) {
+    replacedToken = token;
+    authCache = { ...authCache, accessToken: null, expiresAt: null };
+  }
+  ({ accessToken: token } = await getAuth());
+  return send(token);
+}
+
 // Deck format constants
 export const DECK_FORMATS = {
   STANDARD: 1,
@@ -61,7 +186,7 @@ export const DECK_FORMATS = {
  * @returns {Promise<{accessToken: string, refreshToken: string, rootFolder: number, user: object}>}
  */
 export async function login(username, password) {
-  const response = await fetch(`${BASE_URL}/rest-auth/login/`, {
+  const response = await request(`${BASE_URL}/rest-auth/login/`, {
     method: 'POST',
     headers: {
       'Accept': 'application/json',
@@ -72,8 +197,11 @@ export async function login(username, password) {
   });
 
   if (!response.ok) {
+    if (response.status >= 500) {
+      throw await responseError(response, 'Login failed');
+    }
     const error = await response.json().catch(() => ({}));
-    throw new Error(error.non_field_errors?.[0] || `Login failed: ${response.status}`);
+    throw new AuthError(error.non_field_errors?.[0] || `Login failed: ${response.status}`, { status: response.status, url: response.url });
   }
   const data = await response.json();
   return {
@@ -85,44 +213,133 @@ export async function login(username, password) {
 }
 
 /**
- * List user's decks
- * @param {string} accessToken
- * @returns {Promise<Array>}
+ * Get a new access token from a refresh token
+ * @param {string} refreshToken
+ * @returns {Promise<{accessToken: string, refreshToken: string|null}>}
  */
-export async function listDecks(accessToken) {
-  const response = await fetch(`${BASE_URL}/decks/curated/self/`, {
+export async function refreshAccessToken(refreshToken) {
+  const response = await request(`${BASE_URL}/rest-auth/token/refresh/`, {
+    method: 'POST',
     headers: {
       'Accept': 'application/json',
-      'Authorization': `JWT ${accessToken}`,
+      'Content-Type': 'application/json',
       'User-Agent': USER_AGENT,
     },
+    body: JSON.stringify({ refresh: refreshToken }),
   });
 
   if (!response.ok) {
-    throw new Error(`Failed to list decks: ${response.status}`);
+    throw await responseError(response, 'Token refresh failed');
+  }
+  const data = await response.json();
+  return {
+    accessToken: data.access || data.access_token,
+    refreshToken: data.refresh || data.refresh_token || null,
+  };
+}
+
+/**
+ * List user's decks
+ * @param {string} accessToken
+ * @returns {Promise<Array>}
+ */
+export async function listDecks(accessToken) {
+  const response = await authorizedFetch(`${BASE_URL}/decks/curated/self/`, {}, accessToken);
+
+  if (!response.ok) {
+    throw await responseError(response, 'Failed to list decks');
   }
 
   const data = await response.json();
   return data.results;
 }
 
+/**
+ * Get the deck ID from an ID or an archidekt.com deck URL
+ * @param {number|string} ref - e.g. 123456, "123456" or "https://archidekt.com/decks/123456/my_deck"
+ * @returns {number}
+ */
+export function parseDeckId(ref) {
+  if (typeof ref === 'number') return ref;
+
+  const text = String(ref ?? '').trim();
+  if (/^\d+$/.test(text)) return Number(text);
+
+  const match = text.match(/archidekt\.com\/(?:api\/)?decks\/(\d+)/i);
+  if (match) return Number(match[1]);
+
+  throw new Error(`Not an Archidekt deck ID or URL: ${ref}`);
+}
+
 /**
  * Get a deck by ID
- * @param {string} accessToken
+ * Public decks can be read without logging in; pass null as the access token
+ * @param {string|null} accessToken
  * @param {number} deckId
  * @returns {Promise<object>}
  */
 export async function getDeck(accessToken, deckId) {
-  const response = await fetch(`${BASE_URL}/decks/${deckId}/`, {
+  const response = await authorizedFetch(`${BASE_URL}/decks/${deckId}/`, {}, accessToken);
+
+  if (!response.ok) {
+    if (!accessToken && (response.status === 401 || response.status === 403 || response.status === 404)) {
+      throw errorForStatus(response.status, `Failed to get deck: ${response.status} (deck ${deckId} is private or doesn't exist; private decks need ARCHIDEKT_USERNAME and ARCHIDEKT_PASSWORD)`, { url: response.url });
+    }
+    throw await responseError(response, 'Failed to get deck');
+  }
+
+  return response.json();
+}
+
+// Archidekt's deck search takes full color names
+const COLOR_NAMES = { W: 'White', U: 'Blue', B: 'Black', R: 'Red', G: 'Green', C: 'Colorless' };
+
+/**
+ * Search public decks (no login needed)
+ * @param {object} [options]
+ * @param {string} [options.name] - Deck name contains
+ * @param {string} [options.commander] - Commander name
+ * @param {Array<string>} [options.cards=[]] - Card names the deck must contain
+ * @param {number} [options.deckFormat]
+ * @param {string} [options.colors] - Color letters, e.g. "WU"
+ * @param {string} [options.owner] - Owner username
+ * @param {string} [options.orderBy='-viewCount'] - e.g. '-viewCount', '-updatedAt', '-createdAt'
+ * @param {number} [options.page=1]
+ * @param {number} [options.pageSize=20]
+ * @returns {Promise<{count: number, results: Array, next: string|null}>}
+ */
+export async function searchDecks(options = {}) {
+  const {
+    name,
+    commander,
+    cards = [],
+    deckFormat,
+    colors,
+    owner,
+    orderBy = '-viewCount',
+    page = 1,
+    pageSize = 20,
+  } = options;
+
+  const params = new URLSearchParams({ orderBy, page, pageSize });
+  if (name) params.set('name', name);
+  if (commander) params.set('commanders', `"${commander}"`);
+  if (cards.length > 0) params.set('cardName', cards.join(','));
+  if (deckFormat) params.set('deckFormat', deckFormat);
+  if (colors) {
+    params.set('colors', [...colors.toUpperCase()].map(c => COLOR_NAMES[c]).filter(Boolean).join(','));
+  }
+  if (owner) params.set('owner', owner);
+
+  const response = await request(`${BASE_URL}/decks/v3/?${params}`, {
     headers: {
       'Accept': 'application/json',
-      'Authorization': `JWT ${accessToken}`,
       'User-Agent': USER_AGENT,
     },
   });
 
   if (!response.ok) {
-    throw new Error(`Failed to get deck: ${response.status}`);
+    throw await responseError(response, 'Failed to search decks');
   }
 
   return response.json();
@@ -138,6 +355,9 @@ export async function getDeck(accessToken, deckId) {
  * @param {string} [options.description='']
  * @param {boolean} [options.private=true]
  * @param {boolean} [options.unlisted=false]
+ * @param {boolean} [options.theorycrafted=false]
+ * @param {number|null} [options.edhBracket=null] - Commander bracket 1-5
+ * @param {Array<number>} [options.commanders=[]] - Archidekt card IDs to add as commanders
  * @returns {Promise<object>}
  */
 export async function createDeck(accessToken, options) {
@@ -148,41 +368,176 @@ export async function createDeck(accessToken, options) {
     description = '',
     private: isPrivate = true,
     unlisted = false,
+    theorycrafted = false,
+    edhBracket = null,
+    commanders = [],
   } = options;
 
-  const response = await fetch(`${BASE_URL}/decks/v2/`, {
+  const response = await authorizedFetch(`${BASE_URL}/decks/v2/`, {
     method: 'POST',
-    headers: {
-      'Accept': 'application/json',
-      'Content-Type': 'application/json',
-      'Authorization': `JWT ${accessToken}`,
-      'User-Agent': USER_AGENT,
-    },
+    headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
       name,
       deckFormat,
-      edhBracket: null,
+      edhBracket,
       description,
       featured: '',
       playmat: '',
       private: isPrivate,
       unlisted,
-      theorycrafted: false,
+      theorycrafted,
       game: null,
       parent_folder: parentFolder,
       cardPackage: null,
       extras: {
         decksToInclude: [],
-        commandersToAdd: [],
+        commandersToAdd: commanders,
         forceCardsToSingleton: false,
         ignoreCardsOutOfCommanderIdentity: true,
       },
     }),
-  });
+  }, accessToken);
+
+  if (!response.ok) {
+    throw await responseError(response, 'Failed to create deck');
+  }
+
+  return response.json();
+}
+
+/**
+ * Update a deck's settings
+ * Only the fields that are set are sent
+ * @param {string} accessToken
+ * @param {number} deckId
+ * @param {object} settings
+ * @param {string} [settings.name]
+ * @param {number} [settings.deckFormat]
+ * @param {boolean} [settings.private]
+ * @param {boolean} [settings.unlisted]
+ * @param {boolean} [settings.theorycrafted]
+ * @param {number|null} [settings.edhBracket] - Commander bracket 1-5, or null to clear
+ * @param {number} [settings.parentFolder] - Folder ID to move the deck into
+ * @returns {Promise<object>}
+ */
+export async function updateDeck(accessToken, deckId, settings) {
+  const { parentFolder, ...fields } = settings;
+  const body = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  if (parentFolder !== undefined) body.parent_folder = parentFolder;
+
+  const response = await authorizedFetch(`${BASE_URL}/decks/${deckId}/update/`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }, accessToken);
+
+  if (!response.ok) {
+    throw await responseError(response, 'Failed to update deck');
+  }
+
+  return response.json();
+}
+
+/**
+ * Delete a deck
+ * @param {string} accessToken
+ * @param {number} deckId
+ * @returns {Promise<void>}
+ */
+export async function deleteDeck(accessToken, deckId) {
+  const response = await authorizedFetch(`${BASE_URL}/decks/${deckId}/`, {
+    method: 'DELETE',
+  }, accessToken);
+
+  if (!response.ok) {
+    throw await responseError(response, 'Failed to delete deck');
+  }
+}
+
+/**
+ * Get a folder with its decks and direct subfolders
+ * @param {string} accessToken
+ * @param {number} folderId
+ * @returns {Promise<{id: number, name: string, decks: Array, subfolders: Array}>}
+ */
+export async function getFolder(accessToken, folderId) {
+  const response = await authorizedFetch(`${BASE_URL}/decks/folders/${folderId}/`, {}, accessToken);
+
+  if (!response.ok) {
+    throw await responseError(response, 'Failed to get folder');
+  }
+
+  return response.json();
+}
+
+/**
+ * Get a folder and all of its subfolders, recursively
+ * @param {string} accessToken
+ * @param {number} folderId - Usually rootFolder from login
+ * @returns {Promise<{id: number, name: string, decks: Array, subfolders: Array}>} - Subfolders are full trees
+ */
+export async function getFolderTree(accessToken, folderId) {
+  const folder = await getFolder(accessToken, folderId);
+
+  // One folder at a time to stay gentle on the API
+  const subfolders = [];
+  for (const sub of folder.subfolders || []) {
+    subfolders.push(await getFolderTree(accessToken, sub.id));
+  }
+
+  return {
+    id: folder.id,
+    name: folder.name,
+    decks: folder.decks || [],
+    subfolders,
+  };
+}
+
+/**
+ * Create a folder
+ * @param {string} accessToken
+ * @param {object} options
+ * @param {string} options.name
+ * @param {number} options.parentFolder - Parent folder ID (use rootFolder from login)
+ * @param {boolean} [options.private=false]
+ * @returns {Promise<object>}
+ */
+export async function createFolder(accessToken, options) {
+  const { name, parentFolder, private: isPrivate = false } = options;
+
+  const response = await authorizedFetch(`${BASE_URL}/decks/folders/`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name, parentFolder, private: isPrivate }),
+  }, accessToken);
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Failed to create deck: ${response.status} - ${error}`);
+    throw await responseError(response, 'Failed to create folder');
+  }
+
+  return response.json();
+}
+
+/**
+ * Rename or move a folder
+ * @param {string} accessToken
+ * @param {number} folderId
+ * @param {object} changes
+ * @param {string} [changes.name]
+ * @param {number} [changes.parentFolder]
+ * @returns {Promise<object>}
+ */
+export async function updateFolder(accessToken, folderId, changes) {
+  const body = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+
+  const response = await authorizedFetch(`${BASE_URL}/decks/folders/${folderId}/`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }, accessToken);
+
+  if (!response.ok) {
+    throw await responseError(response, 'Failed to update folder');
   }
 
   return response.json();
@@ -197,24 +552,20 @@ export async function createDeck(accessToken, options) {
  * @returns {Promise<{toAdd: Array, toRemove: Array, cardErrors: Array, syntaxErrors: Array, categories: object}>}
  */
 export async function computeDiff(accessToken, currentDeckList, editDeckList, parser = 'archidekt') {
-  const response = await fetch(`${BASE_URL}/cards/massDeckEdit/`, {
+  const response = await authorizedFetch(`${BASE_URL}/cards/massDeckEdit/`, {
     method: 'POST',
-    headers: {
-      'Accept': 'application/json',
-      'Content-Type': 'application/json',
-      'Authorization': `JWT ${accessToken}`,
-      'User-Agent': USER_AGENT,
-    },
+    headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
       parser,
       current: currentDeckList,
       edit: editDeckList,
     }),
-  });
+    // Read-only: only computes the diff
+    idempotent: true,
+  }, accessToken);
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Failed to compute diff: ${response.status} - ${error}`);
+    throw await responseError(response, 'Failed to compute diff');
   }
 
   return response.json();
@@ -228,20 +579,14 @@ export async function computeDiff(accessToken, currentDeckList, editDeckList, pa
  * @returns {Promise<{add: Array, createdCategories: Array}>}
  */
 export async function modifyCards(accessToken, deckId, cards) {
-  const response = await fetch(`${BASE_URL}/decks/${deckId}/modifyCards/v2/`, {
+  const response = await authorizedFetch(`${BASE_URL}/decks/${deckId}/modifyCards/v2/`, {
     method: 'PATCH',
-    headers: {
-      'Accept': 'application/json',
-      'Content-Type': 'application/json',
-      'Authorization': `JWT ${accessToken}`,
-      'User-Agent': USER_AGENT,
-    },
+    headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ cards }),
-  });
+  }, accessToken);
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Failed to modify cards: ${response.status} - ${error}`);
+    throw await responseError(response, 'Failed to modify cards');
   }
 
   return response.json();
@@ -253,8 +598,10 @@ export async function modifyCards(accessToken, deckId, cards) {
  * @param {string} options.cardId - Archidekt card ID
  * @param {number} [options.quantity=1]
  * @param {Array<string>} [options.categories=[]]
- * @param {string} [options.modifier='Normal'] - 'Normal' or 'Foil'
+ * @param {string} [options.modifier='Normal'] - 'Normal', 'Foil' or 'Etched'
  * @param {string} [options.label=',#656565'] - Label and color
+ * @param {number|null} [options.customCmc=null]
+ * @param {boolean} [options.companion=false]
  * @returns {object}
  */
 export function createAddCardAction(options) {
@@ -264,6 +611,8 @@ export function createAddCardAction(options) {
     categories = [],
     modifier = 'Normal',
     label = ',#656565',
+    customCmc = null,
+    companion = false,
   } = options;
 
   return {
@@ -275,8 +624,8 @@ export function createAddCardAction(options) {
     modifications: {
       quantity,
       modifier,
-      customCmc: null,
-      companion: false,
+      customCmc,
+      companion,
       flippedDefault: false,
       label,
     },
@@ -322,6 +671,50 @@ export function createRemoveCardAction(options) {
   };
 }
 
+/**
+ * Helper to create a "modify" card action
+ * Archidekt replaces the entry's fields with these values, so pass the current value for anything unchanged
+ * @param {object} options
+ * @param {string} options.cardId - Archidekt card ID
+ * @param {string} options.deckRelationId - The deck relation ID from the deck
+ * @param {number} [options.quantity=1]
+ * @param {Array<string>} [options.categories=[]]
+ * @param {string} [options.modifier='Normal'] - 'Normal', 'Foil' or 'Etched'
+ * @param {string} [options.label=',#656565']
+ * @param {number|null} [options.customCmc=null]
+ * @param {boolean} [options.companion=false]
+ * @returns {object}
+ */
+export function createModifyCardAction(options) {
+  const {
+    cardId,
+    deckRelationId,
+    quantity = 1,
+    categories = [],
+    modifier = 'Normal',
+    label = ',#656565',
+    customCmc = null,
+    companion = false,
+  } = options;
+
+  return {
+    action: 'modify',
+    cardid: cardId,
+    customCardId: null,
+    categories,
+    patchId: generatePatchId(),
+    modifications: {
+      quantity,
+      modifier,
+      customCmc,
+      companion,
+      flippedDefault: false,
+      label,
+    },
+    deckRelationId,
+  };
+}
+
 /**
  * Generate a random patch ID for card operations
  * @returns {string}
@@ -0,0 +1,15 @@
+import { dataPath, writeJson } from './storage.js';
+
+// Full copies of decks saved before they're deleted, under <data dir>/backups/
+
+/**
+ * Save a deck as it came from archidekt.getDeck
+ * @param {object} deck
+ * @returns {Promise<string>} - Path of the backup file
+ */
+export async function saveDeckBackup(deck) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filePath = dataPath('backups', `deck-${Number(deck.id)}-${timestamp}.json`);
+  await writeJson(filePath, deck);
+  return filePath;
+}
@@ -0,0 +1,110 @@
+import { getRoles } from './analysis.js';
+import { getFrontTypeLine } from './cards.js';
+
+// Scryfall oracle tags that describe each role from analysis.getRoles
+const ROLE_TAGS = {
+  ramp: ['ramp'],
+  draw: ['draw', 'card-advantage'],
+  interaction: ['removal', 'counterspell', 'board-wipe'],
+};
+
+// Main card types in the order we pick one for the replacement search
+const MAIN_TYPES = ['Land', 'Creature', 'Planeswalker', 'Battle', 'Instant', 'Sorcery', 'Artifact', 'Enchantment'];
+
+/**
+ * Pick the cards to replace: everything over the per-card limit, then the most expensive
+ * remaining cards until the deck fits the total budget
+ * @param {Array<{name: string, price: number, quantity: number}>} candidates - Replaceable cards with prices
+ * @param {object} options
+ * @param {number} [options.maxCardPrice]
+ * @param {number} [options.totalBudget]
+ * @param {number} [options.deckTotal=0] - Current total of the whole deck
+ * @returns {Array<object>} - Selected candidates, most expensive first
+ */
+export function selectOverBudget(candidates, options) {
+  const { maxCardPrice, totalBudget, deckTotal = 0 } = options;
+  const sorted = [...candidates].sort((a, b) => b.price - a.price);
+  const selected = new Set();
+
+  if (maxCardPrice !== undefined) {
+    for (const c of sorted) {
+      if (c.price > maxCardPrice) selected.add(c);
+    }
+  }
+
+  if (totalBudget !== undefined) {
+    // Assume replacements are close to free when deciding how many cards to swap
+    let projected = deckTotal - [...selected].reduce((sum, c) => sum + c.price * c.quantity, 0);
+    for (const c of sorted) {
+      if (projected <= totalBudget) break;
+      if (selected.has(c)) continue;
+      selected.add(c);
+      projected -= c.price * c.quantity;
+    }
+  }
+
+  return sorted.filter(c => selected.has(c));
+}
+
+/**
+ * Build a Scryfall query for cheaper cards filling a similar role
+ * @param {object} card - Scryfall card being replaced
+ * @param {object} options
+ * @param {Array<string>} options.identity - Color identity to stay within (e.g. ['W', 'U'])
+ * @param {number} options.maxPrice - Replacement must cost less than this
+ * @param {string} [options.currency='usd']
+ * @param {string} [options.format] - Scryfall legality key (e.g. 'commander')
+ * @returns {string}
+ */
+export function buildReplacementQuery(card, options) {
+  const { identity, maxPrice, currency = 'usd', format } = options;
+  const terms = [];
+
+  terms.push(`id<=${identity.length > 0 ? identity.join('') : 'c'}`);
+
+  const typeLine = getFrontTypeLine(card);
+  const mainType = MAIN_TYPES.find(t => typeLine.includes(t));
+  if (mainType) terms.push(`t:${mainType.toLowerCase()}`);
+
+  if (mainType !== 'Land') {
+    const mv = Math.floor(card.cmc || 0);
+    terms.push(`mv>=${Math.max(0, mv - 1)}`, `mv<=${mv + 1}`);
+  }
+
+  const tags = getRoles(card).flatMap(role => ROLE_TAGS[role]);
+  if (tags.length > 0) {
+    terms.push(`(${tags.map(t => `otag:${t}`).join(' or ')})`);
+  } else if (mainType === 'Land') {
+    // Keep lands that tap for at least one of the same colors
+    const colors = (card.produced_mana || []).filter(c => c !== 'C');
+    if (colors.length > 0) terms.push(`(${colors.map(c => `produces:${c.toLowerCase()}`).join(' or ')})`);
+  }
+
+  terms.push(`${currency}<${maxPrice}`);
+  if (format) terms.push(`f:${format}`);
+  terms.push(`-!"${card.name.replace(/"/g, '')}"`);
+
+  return terms.join(' ');
+}
+
+/**
+ * Rank replacement candidates by combined price and EDHREC rank positions
+ * @param {Array<object>} cards - Scryfall cards
+ * @param {string} [currency='usd']
+ * @returns {Array<{card: object, price: number|null}>} - Best first
+ */
+export function rankCandidates(cards, currency = 'usd') {
+  const withPrice = cards.map(card => {
+    const price = parseFloat(card.prices?.[currency]);
+    return { card, price: Number.isNaN(price) ? null : price };
+  });
+  // Missing prices and ranks sort last; a $0.00 price is the cheapest, not missing
+  const ascending = (x, y) => (x === y ? 0 : x < y ? -1 : 1);
+  const byPrice = [...withPrice].sort((a, b) => ascending(a.price ?? Infinity, b.price ?? Infinity));
+  const byRank = [...withPrice].sort((a, b) => ascending(a.card.edhrec_rank ?? Infinity, b.card.edhrec_rank ?? Infinity));
+
+  const score = entry => byPrice.indexOf(entry) + byRank.indexOf(entry);
+  return withPrice
+    .sort((a, b) => score(a) - score(b))
+    .map(entry => ({ card: entry.card, price: entry.price }));
+}
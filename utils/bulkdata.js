@@ -0,0 +1,218 @@
+import { createWriteStream } from 'node:fs';
+import { access, rename, mkdir } from 'node:fs/promises';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import path from 'node:path';
+import { readJson, writeJson } from './storage.js';
+import { runQuery } from './query.js';
+import { readJsonArray } from './jsonstream.js';
+import { stripCard } from './cardcache.js';
+import { request, responseError } from './http.js';
+
+// Optional offline backend for Scryfall lookups, backed by a bulk data file
+// Configure with SCRYFALL_BULK_DATA=/path/to/oracle-cards.json
+// The file is downloaded only when it doesn't exist yet, or on request:
+// SCRYFALL_BULK_TYPE picks which file to download (oracle_cards or default_cards)
+// SCRYFALL_BULK_AUTO_UPDATE=true re-downloads when Scryfall's updated_at changes (checked at most daily)
+// The file is read incrementally, so default_cards works too, but its store takes far more memory
+
+const BULK_METADATA_URL = 'https://api.scryfall.com/bulk-data';
+const USER_AGENT = 'CommandTowerMCP/0.1.0';
+const UPDATE_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000; // 1 day
+const NON_SEARCHABLE_LAYOUTS = ['token', 'double_faced_token', 'emblem', 'art_series', 'planar', 'scheme', 'vanguard'];
+
+// Loaded store and in-flight load, shared by all callers
+let store = null;
+let loading = null;
+let lastUpdateCheck = 0;
+
+/**
+ * Whether a bulk data file is configured
+ * @returns {boolean}
+ */
+export function isConfigured() {
+  return Boolean(process.env.SCRYFALL_BULK_DATA);
+}
+
+function getFilePath() {
+  return path.resolve(process.env.SCRYFALL_BULK_DATA);
+}
+
+function getMetaPath() {
+  return `${getFilePath()}.meta.json`;
+}
+
+function getBulkType() {
+  return process.env.SCRYFALL_BULK_TYPE || 'oracle_cards';
+}
+
+function autoUpdateEnabled() {
+  return process.env.SCRYFALL_BULK_AUTO_UPDATE === 'true';
+}
+
+async function fileExists(filePath) {
+  try {
+    await access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Download the bulk file if Scryfall's metadata reports a newer updated_at than ours
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Download even if the local file is current
+ * @returns {Promise<boolean>} - Whether a new file was downloaded
+ */
+export async function refresh(options = {}) {
+  const { force = false } = options;
+
+  const metaResponse = await request(`${BULK_METADATA_URL}/${getBulkType()}`, {
+    headers: { 'Accept': 'application/json', 'User-Agent': USER_AGENT },
+  });
+  if (!metaResponse.ok) {
+    throw await responseError(metaResponse, 'Scryfall bulk metadata error');
+  }
+  const metadata = await metaResponse.json();
+
+  const localMeta = await readJson(getMetaPath(), {});
+  const isCurrent = localMeta.updated_at && new Date(localMeta.updated_at) >= new Date(metadata.updated_at);
+  if (isCurrent && !force) {
+    return false;
+  }
+
+  const download = await request(metadata.download_uri, {
+    headers: { 'User-Agent': USER_AGENT },
+  });
+  if (!download.ok) {
+    throw await responseError(download, 'Scryfall bulk download error');
+  }
+
+  // Stream to a temp file so a failed download never clobbers the current file
+  const filePath = getFilePath();
+  const tempPath = `${filePath}.download`;
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await pipeline(Readable.fromWeb(download.body), createWriteStream(tempPath));
+  await rename(tempPath, filePath);
+
+  await writeJson(getMetaPath(), { type: metadata.type, updated_at: metadata.updated_at });
+  store = null;
+  return true;
+}
+
+// When a name has several printings (default_cards), prefer paper cards, then the newest
+function isPreferredPrinting(candidate, existing) {
+  if (Boolean(candidate.digital) !== Boolean(existing.digital)) return !candidate.digital;
+  return (candidate.released_at || '') > (existing.released_at || '');
+}
+
+function indexName(byName, name, card) {
+  const key = name.toLowerCase();
+  const existing = byName.get(key);
+  if (!existing || isPreferredPrinting(card, existing)) {
+    byName.set(key, card);
+  }
+}
+
+/**
+ * Read the bulk file and build lookup indexes over its cards
+ * @param {string} filePath
+ * @param {string|null} updatedAt
+ * @returns {Promise<object>}
+ */
+async function buildStore(filePath, updatedAt) {
+  const byName = new Map();
+  const byId = new Map();
+  const byOracleId = new Map();
+  const bySetNumber = new Map();
+
+  await readJsonArray(filePath, item => {
+    const card = stripCard(item);
+    byId.set(card.id, card);
+    bySetNumber.set(`${card.set}:${card.collector_number}`, card);
+
+    const oracleId = card.oracle_id || card.card_faces?.[0]?.oracle_id;
+    if (oracleId) {
+      const existing = byOracleId.get(oracleId);
+      if (!existing || isPreferredPrinting(card, existing)) byOracleId.set(oracleId, card);
+    }
+
+    indexName(byName, card.name, card);
+    for (const face of card.card_faces || []) {
+      indexName(byName, face.name, card);
+    }
+  });
+
+  // One card per oracle ID for searches, leaving out tokens and other non-game objects
+  // (Scryfall's search skips these by default too)
+  const uniqueCards = [...byOracleId.values()].filter(c => !NON_SEARCHABLE_LAYOUTS.includes(c.layout));
+
+  return { cards: uniqueCards, byName, byId, byOracleId, bySetNumber, updatedAt };
+}
+
+async function loadStore() {
+  if (!(await fileExists(getFilePath()))) {
+    lastUpdateCheck = Date.now();
+    await refresh({ force: true });
+  } else if (autoUpdateEnabled() && Date.now() - lastUpdateCheck > UPDATE_CHECK_INTERVAL_MS) {
+    lastUpdateCheck = Date.now();
+    try {
+      await refresh();
+    } catch {
+      // Offline or Scryfall unavailable: keep using the local file
+    }
+  }
+
+  if (store) return store;
+
+  const meta = await readJson(getMetaPath(), {});
+  store = await buildStore(getFilePath(), meta.updated_at || null);
+  return store;
+}
+
+/**
+ * Get the loaded bulk data store, loading on first use (downloading the file if it's missing)
+ * @returns {Promise<{cards: Array, byName: Map, byId: Map, byOracleId: Map, bySetNumber: Map, updatedAt: string|null}>}
+ */
+export async function getStore() {
+  if (!loading) {
+    loading = loadStore().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+/**
+ * Find a card by a Scryfall collection identifier
+ * @param {object} store - From getStore
+ * @param {object} identifier - { name } | { id } | { oracle_id } | { set, collector_number }
+ * @returns {object|null}
+ */
+export function findCard(store, identifier) {
+  if (identifier.id) return store.byId.get(identifier.id) || null;
+  if (identifier.oracle_id) return store.byOracleId.get(identifier.oracle_id) || null;
+  if (identifier.set && identifier.collector_number) {
+    return store.bySetNumber.get(`${identifier.set.toLowerCase()}:${identifier.collector_number}`) || null;
+  }
+  if (identifier.name) {
+    const key = identifier.name.toLowerCase();
+    return store.byName.get(key) || store.byName.get(key.split(' // ')[0]) || null;
+  }
+  return null;
+}
+
+/**
+ * Run a Scryfall query against the store
+ * @param {object} store - From getStore
+ * @param {string} query
+ * @param {string} [order='name']
+ * @returns {Array<object>}
+ * @throws {UnsupportedQueryError} - When the query uses syntax the local evaluator doesn't support,
+ *   or printing terms such as r: and s:
+ */
+export function search(store, query, order = 'name') {
+  // Searches run over one printing per oracle ID, so printing terms go to the live API
+  return runQuery(store.cards, query, { order, onePrinting: true });
+}
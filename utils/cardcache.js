@@ -0,0 +1,298 @@
+import { stat } from 'node:fs/promises';
+import { dataPath, readJson, writeJson } from './storage.js';
+
+// Persistent cache of Scryfall cards and search results, stored in <data dir>/card-cache.json
+// Cards are keyed by Scryfall ID with name, oracle ID and set/collector number indexes.
+// Both cards and searches are evicted least-recently-used first once over their size limit.
+//
+// Configure with:
+// CARD_CACHE=false disables the cache
+// CARD_CACHE_TTL_HOURS (default 24) - prices change daily, so cards don't live much longer
+// SEARCH_CACHE_TTL_HOURS (default 24)
+// CARD_CACHE_MAX_CARDS (default 10000)
+// SEARCH_CACHE_MAX_ENTRIES (default 100)
+
+const SAVE_DELAY_MS = 1000;
+
+// Fields no tool reads; dropped to keep the cache file (and the bulk data store) small
+const STRIPPED_FIELDS = ['image_uris', 'purchase_uris', 'related_uris', 'uri', 'rulings_uri', 'prints_search_uri', 'scryfall_set_uri', 'set_uri', 'set_search_uri'];
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function getConfig() {
+  return {
+    cardTtlMs: envNumber('CARD_CACHE_TTL_HOURS', 24) * 60 * 60 * 1000,
+    searchTtlMs: envNumber('SEARCH_CACHE_TTL_HOURS', 24) * 60 * 60 * 1000,
+    maxCards: envNumber('CARD_CACHE_MAX_CARDS', 10000),
+    maxSearches: envNumber('SEARCH_CACHE_MAX_ENTRIES', 100),
+  };
+}
+
+/**
+ * Whether the persistent cache is enabled
+ * @returns {boolean}
+ */
+export function isEnabled() {
+  return process.env.CARD_CACHE !== 'false';
+}
+
+function cachePath() {
+  return dataPath('card-cache.json');
+}
+
+// Loaded cache, shared by all callers. Map insertion order is recency order (oldest first).
+// cards: id -> { card, storedAt }, searches: key -> { cards, totalCards, fullyLoaded, storedAt }
+let cache = null;
+let loading = null;
+let saveTimer = null;
+const counters = { hits: 0, misses: 0 };
+
+function emptyCache() {
+  return { cards: new Map(), names: new Map(), oracleIds: new Map(), prints: new Map(), searches: new Map() };
+}
+
+async function load() {
+  if (cache) return cache;
+  if (!loading) {
+    loading = readJson(cachePath(), null).then(data => {
+      cache = emptyCache();
+      if (data) {
+        cache.cards = new Map(data.cards || []);
+        cache.names = new Map(data.names || []);
+        cache.oracleIds = new Map(data.oracleIds || []);
+        cache.prints = new Map(data.prints || []);
+        cache.searches = new Map(data.searches || []);
+      }
+      return cache;
+    }).finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    save().catch(() => {
+      // Cache persistence is best effort
+    });
+  }, SAVE_DELAY_MS);
+  saveTimer.unref?.();
+}
+
+async function save() {
+  if (!cache) return;
+
+  // Drop index entries that point at evicted cards
+  for (const index of [cache.names, cache.oracleIds, cache.prints]) {
+    for (const [key, id] of index) {
+      if (!cache.cards.has(id)) index.delete(key);
+    }
+  }
+
+  await writeJson(cachePath(), {
+    cards: [...cache.cards],
+    names: [...cache.names],
+    oracleIds: [...cache.oracleIds],
+    prints: [...cache.prints],
+    searches: [...cache.searches],
+  });
+}
+
+// Move an entry to the most recently used end
+function touch(map, key, value) {
+  map.delete(key);
+  map.set(key, value);
+}
+
+function evict(map, max) {
+  while (map.size > max) {
+    map.delete(map.keys().next().value);
+  }
+}
+
+/**
+ * Copy a Scryfall card without the fields no tool reads (image and API links)
+ * @param {object} card
+ * @returns {object}
+ */
+export function stripCard(card) {
+  const copy = { ...card };
+  for (const field of STRIPPED_FIELDS) delete copy[field];
+  if (copy.card_faces) {
+    copy.card_faces = copy.card_faces.map(face => {
+      const { image_uris, ...rest } = face;
+      return rest;
+    });
+  }
+  return copy;
+}
+
+function printKey(set, collectorNumber) {
+  return `${set.toLowerCase()}:${collectorNumber}`;
+}
+
+function getFresh(id) {
+  const entry = cache.cards.get(id);
+  if (!entry) return null;
+  if (Date.now() - entry.storedAt > getConfig().cardTtlMs) {
+    cache.cards.delete(id);
+    return null;
+  }
+  touch(cache.cards, id, entry);
+  return entry.card;
+}
+
+/**
+ * Find a cached card by a Scryfall collection identifier
+ * @param {object} identifier - { name } | { id } | { oracle_id } | { set, collector_number }
+ * @returns {Promise<object|null>}
+ */
+export async function findCard(identifier) {
+  if (!isEnabled()) return null;
+  await load();
+
+  let id = null;
+  if (identifier.id) id = identifier.id;
+  else if (identifier.oracle_id) id = cache.oracleIds.get(identifier.oracle_id);
+  else if (identifier.set && identifier.collector_number) id = cache.prints.get(printKey(identifier.set, identifier.collector_number));
+  else if (identifier.name) {
+    const key = identifier.name.toLowerCase();
+    id = cache.names.get(key) || cache.names.get(key.split(' // ')[0]);
+  }
+
+  const card = id ? getFresh(id) : null;
+  if (card) counters.hits++;
+  else counters.misses++;
+  return card;
+}
+
+/**
+ * Add cards to the cache
+ * @param {Array<object>} cards - Scryfall cards
+ * @param {object} [options]
+ * @param {boolean} [options.defaultPrinting=false] - The cards came from a name or oracle ID lookup, so they
+ *   are the printing Scryfall returns for that name; only these are indexed by name and oracle ID
+ */
+export async function storeCards(cards, options = {}) {
+  if (!isEnabled() || cards.length === 0) return;
+  const { defaultPrinting = false } = options;
+  await load();
+
+  const now = Date.now();
+  for (const card of cards) {
+    touch(cache.cards, card.id, { card: stripCard(card), storedAt: now });
+    cache.prints.set(printKey(card.set, card.collector_number), card.id);
+
+    if (defaultPrinting) {
+      cache.names.set(card.name.toLowerCase(), card.id);
+      cache.names.set(card.name.split(' // ')[0].toLowerCase(), card.id);
+      for (const face of card.card_faces || []) {
+        cache.names.set(face.name.toLowerCase(), card.id);
+      }
+      const oracleId = card.oracle_id || card.card_faces?.[0]?.oracle_id;
+      if (oracleId) cache.oracleIds.set(oracleId, card.id);
+    }
+  }
+
+  evict(cache.cards, getConfig().maxCards);
+  scheduleSave();
+}
+
+/**
+ * Get a cached search
+ * @param {string} key - e.g. "query|order"
+ * @returns {Promise<{cards: Array, totalCards: number, fullyLoaded: boolean}|null>}
+ */
+export async function getSearch(key) {
+  if (!isEnabled()) return null;
+  await load();
+
+  const entry = cache.searches.get(key);
+  if (!entry || Date.now() - entry.storedAt > getConfig().searchTtlMs) {
+    if (entry) cache.searches.delete(key);
+    counters.misses++;
+    return null;
+  }
+
+  counters.hits++;
+  touch(cache.searches, key, entry);
+  return { cards: entry.cards, totalCards: entry.totalCards, fullyLoaded: entry.fullyLoaded };
+}
+
+/**
+ * Store (or extend) a cached search
+ * @param {string} key
+ * @param {object} search
+ * @param {Array<object>} search.cards - Every result loaded so far
+ * @param {number} search.totalCards
+ * @param {boolean} search.fullyLoaded
+ * @param {boolean} [isNew=true] - Whether this starts a new entry; false keeps the original storedAt
+ */
+export async function storeSearch(key, search, isNew = true) {
+  if (!isEnabled()) return;
+  await load();
+
+  const storedAt = !isNew && cache.searches.get(key)?.storedAt || Date.now();
+  touch(cache.searches, key, {
+    cards: search.cards.map(stripCard),
+    totalCards: search.totalCards,
+    fullyLoaded: search.fullyLoaded,
+    storedAt,
+  });
+
+  evict(cache.searches, getConfig().maxSearches);
+  scheduleSave();
+}
+
+/**
+ * Describe the cache for the cache_stats tool
+ * @returns {Promise<object>}
+ */
+export async function getStats() {
+  const config = getConfig();
+  if (!isEnabled()) return { enabled: false, ...config };
+  await load();
+
+  const fileSize = await stat(cachePath()).then(s => s.size).catch(() => 0);
+  return {
+    enabled: true,
+    path: cachePath(),
+    fileSize,
+    cards: cache.cards.size,
+    searches: cache.searches.size,
+    hits: counters.hits,
+    misses: counters.misses,
+    ...config,
+  };
+}
+
+/**
+ * Empty the cache
+ * @param {string} [scope='all'] - 'cards', 'searches' or 'all'
+ * @returns {Promise<{cards: number, searches: number}>} - Number of entries removed
+ */
+export async function clear(scope = 'all') {
+  await load();
+  const removed = { cards: 0, searches: 0 };
+
+  if (scope === 'cards' || scope === 'all') {
+    removed.cards = cache.cards.size;
+    cache.cards.clear();
+    cache.names.clear();
+    cache.oracleIds.clear();
+    cache.prints.clear();
+  }
+  if (scope === 'searches' || scope === 'all') {
+    removed.searches = cache.searches.size;
+    cache.searches.clear();
+  }
+
+  await save();
+  return removed;
+}
@@ -0,0 +1,62 @@
+// Helpers for reading Scryfall card objects
+
+/**
+ * Get the full oracle text of a card, joining faces for multi-faced cards
+ * @param {object} card - Scryfall card object
+ * @returns {string}
+ */
+export function getOracleText(card) {
+  if (card.oracle_text !== undefined) return card.oracle_text;
+  return (card.card_faces || []).map(f => f.oracle_text || '').join('\n');
+}
+
+/**
+ * Get the mana cost of a card, using the front face for multi-faced cards
+ * @param {object} card - Scryfall card object
+ * @returns {string}
+ */
+export function getManaCost(card) {
+  if (card.mana_cost !== undefined) return card.mana_cost;
+  return card.card_faces?.[0]?.mana_cost || '';
+}
+
+/**
+ * Get the type line of a card's front face
+ * @param {object} card - Scryfall card object
+ * @returns {string}
+ */
+export function getFrontTypeLine(card) {
+  return (card.type_line || '').split(' // ')[0];
+}
+
+/**
+ * Whether a card is a land (by its front face)
+ * @param {object} card - Scryfall card object
+ * @returns {boolean}
+ */
+export function isLand(card) {
+  return getFrontTypeLine(card).includes('Land');
+}
+
+const PERMANENT_TYPES = ['Artifact', 'Battle', 'Creature', 'Enchantment', 'Land', 'Planeswalker'];
+
+/**
+ * Whether a card is a permanent card (by its front face)
+ * @param {object} card - Scryfall card object
+ * @returns {boolean}
+ */
+export function isPermanent(card) {
+  const typeLine = getFrontTypeLine(card);
+  return PERMANENT_TYPES.some(t => typeLine.includes(t));
+}
+
+/**
+ * Whether a card can be a commander on its own (legendary creature or "can be your commander")
+ * @param {object} card - Scryfall card object
+ * @returns {boolean}
+ */
+export function isCommanderEligible(card) {
+  const typeLine = getFrontTypeLine(card);
+  if (typeLine.includes('Legendary') && typeLine.includes('Creature')) return true;
+  return /can be your commander/i.test(getOracleText(card));
+}
@@ -0,0 +1,372 @@
+import { dataPath, readJson, writeJson } from './storage.js';
+import { getCardName, getMainboard } from './decklist.js';
+import { getPrice } from './pricing.js';
+
+// Local store of the cards you own, in <data dir>/collection.json
+// Filled from CSV exports of Archidekt, Moxfield, Deckbox, ManaBox and TCGplayer collections.
+// Each entry is one printing and finish: { name, quantity, set, collectorNumber, finish, scryfallId }
+
+export const COLLECTION_FORMATS = ['archidekt', 'moxfield', 'deckbox', 'manabox', 'tcgplayer'];
+
+// Column names (lowercased) for each field, in order of preference
+// Some sites use "Edition"/"Set" for the set name and others for the code, hence the per-format lists
+const COLUMNS = {
+  archidekt: {
+    quantity: ['quantity', 'count'],
+    name: ['name', 'card name'],
+    set: ['edition code', 'set code'],
+    collectorNumber: ['collector number', 'card number'],
+    finish: ['finish', 'foil'],
+    scryfallId: ['scryfall id', 'scryfall uuid'],
+  },
+  moxfield: {
+    quantity: ['count', 'quantity'],
+    name: ['name'],
+    set: ['edition', 'set code'],
+    collectorNumber: ['collector number'],
+    finish: ['foil', 'finish'],
+    scryfallId: ['scryfall id'],
+  },
+  deckbox: {
+    quantity: ['count', 'quantity'],
+    name: ['name'],
+    set: ['edition code', 'set code'],
+    collectorNumber: ['card number', 'collector number'],
+    finish: ['foil'],
+    scryfallId: ['scryfall id'],
+  },
+  manabox: {
+    quantity: ['quantity', 'count'],
+    name: ['name'],
+    set: ['set code'],
+    collectorNumber: ['collector number'],
+    finish: ['foil', 'finish'],
+    scryfallId: ['scryfall id'],
+  },
+  tcgplayer: {
+    quantity: ['quantity', 'total quantity', 'count'],
+    name: ['simple name', 'name', 'product name'],
+    set: ['set code'],
+    collectorNumber: ['card number', 'number', 'collector number'],
+    finish: ['printing', 'foil'],
+    scryfallId: [],
+  },
+};
+
+const BASIC_LAND = /^(snow-covered )?(plains|island|swamp|mountain|forest|wastes)$/i;
+
+function collectionPath() {
+  return dataPath('collection.json');
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields, doubled quotes, CRLF)
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * Guess which site a CSV export came from by its header
+ * @param {Array<string>} header - Column names
+ * @returns {string|null} - One of COLLECTION_FORMATS
+ */
+export function detectFormat(header) {
+  const columns = new Set(header.map(h => h.trim().toLowerCase()));
+  if (columns.has('manabox id')) return 'manabox';
+  if (columns.has('tradelist count') && columns.has('card number')) return 'deckbox';
+  if (columns.has('tradelist count')) return 'moxfield';
+  if (['simple name', 'product id', 'tcgplayer id', 'printing'].some(c => columns.has(c))) return 'tcgplayer';
+  if (columns.has('edition code') || columns.has('finish')) return 'archidekt';
+  return null;
+}
+
+function normalizeFinish(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (text.includes('etched')) return 'etched';
+  if (text === 'true' || text === 'yes' || (text.includes('foil') && !text.includes('non'))) return 'foil';
+  return 'nonfoil';
+}
+
+/**
+ * Parse a collection CSV export
+ * @param {string} text - CSV content including the header row
+ * @param {string} [format] - One of COLLECTION_FORMATS; detected from the header when omitted
+ * @returns {{format: string, entries: Array<object>, skipped: Array<string>}}
+ */
+export function parseCollectionCsv(text, format) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error('The CSV is empty');
+
+  const sourceFormat = format || detectFormat(header);
+  if (!sourceFormat) {
+    throw new Error(`Couldn't tell which site the CSV came from (columns: ${header.join(', ')}). Pass the format explicitly.`);
+  }
+  if (!COLUMNS[sourceFormat]) {
+    throw new Error(`Unknown collection format "${sourceFormat}". Use one of: ${COLLECTION_FORMATS.join(', ')}`);
+  }
+
+  const lowerHeader = header.map(h => h.trim().toLowerCase());
+  const indexes = {};
+  for (const [field, candidates] of Object.entries(COLUMNS[sourceFormat])) {
+    indexes[field] = candidates.map(c => lowerHeader.indexOf(c)).find(i => i !== -1) ?? -1;
+  }
+  if (indexes.name === -1) {
+    throw new Error(`No card name column found for ${sourceFormat} (columns: ${header.join(', ')})`);
+  }
+
+  const get = (row, field) => (indexes[field] === -1 ? '' : (row[indexes[field]] || '').trim());
+  const entries = [];
+  const skipped = [];
+
+  rows.forEach((row, i) => {
+    const name = get(row, 'name');
+    const quantity = indexes.quantity === -1 ? 1 : parseInt(get(row, 'quantity'), 10);
+    if (!name || Number.isNaN(quantity) || quantity <= 0) {
+      skipped.push(`Line ${i + 2}: ${row.join(',').slice(0, 80)}`);
+      return;
+    }
+    entries.push({
+      name,
+      quantity,
+      set: get(row, 'set').toLowerCase() || null,
+      collectorNumber: get(row, 'collectorNumber') || null,
+      finish: normalizeFinish(get(row, 'finish')),
+      scryfallId: get(row, 'scryfallId') || null,
+    });
+  });
+
+  return { format: sourceFormat, entries, skipped };
+}
+
+function entryKey(entry) {
+  return [entry.name.toLowerCase(), entry.set || '', entry.collectorNumber || '', entry.finish].join('|');
+}
+
+/**
+ * Load the stored collection
+ * @returns {Promise<{entries: Array<object>, imports: Array<object>}>}
+ */
+export async function loadCollection() {
+  return readJson(collectionPath(), { entries: [], imports: [] });
+}
+
+/**
+ * Add imported entries to the stored collection
+ * @param {Array<object>} entries - From parseCollectionCsv
+ * @param {object} options
+ * @param {string} options.format - Source format, recorded in the import history
+ * @param {string} [options.mode='merge'] - 'merge' adds to the current collection, 'replace' starts over
+ * @returns {Promise<object>} - The saved collection
+ */
+export async function importEntries(entries, options) {
+  const { format, mode = 'merge' } = options;
+  const collection = mode === 'replace' ? { entries: [], imports: [] } : await loadCollection();
+
+  const byKey = new Map(collection.entries.map(e => [entryKey(e), e]));
+  for (const entry of entries) {
+    const existing = byKey.get(entryKey(entry));
+    if (existing) {
+      existing.quantity += entry.quantity;
+      existing.scryfallId = existing.scryfallId || entry.scryfallId;
+    } else {
+      const copy = { ...entry };
+      byKey.set(entryKey(copy), copy);
+    }
+  }
+
+  collection.entries = [...byKey.values()];
+  collection.imports.push({
+    format,
+    mode,
+    cards: entries.reduce((sum, e) => sum + e.quantity, 0),
+    importedAt: new Date().toISOString(),
+  });
+
+  await writeJson(collectionPath(), collection);
+  return collection;
+}
+
+/**
+ * Index a collection by card name (full and front face, lowercased)
+ * @param {object} collection - From loadCollection
+ * @returns {Map<string, {quantity: number, printings: Array<object>}>}
+ */
+export function buildOwnership(collection) {
+  const owned = new Map();
+  const add = (key, entry) => {
+    if (!owned.has(key)) owned.set(key, { quantity: 0, printings: [] });
+    const record = owned.get(key);
+    record.quantity += entry.quantity;
+    record.printings.push(entry);
+  };
+
+  for (const entry of collection.entries) {
+    const fullName = entry.name.toLowerCase();
+    add(fullName, entry);
+    const frontFace = fullName.split(' // ')[0];
+    if (frontFace !== fullName) add(frontFace, entry);
+  }
+  return owned;
+}
+
+/**
+ * Look up how many copies of a card are owned
+ * @param {Map} ownership - From buildOwnership
+ * @param {string} name - Card name; double-faced names also match their front face
+ * @returns {{quantity: number, printings: Array<object>}}
+ */
+export function getOwned(ownership, name) {
+  const key = name.toLowerCase();
+  return ownership.get(key) || ownership.get(key.split(' // ')[0]) || { quantity: 0, printings: [] };
+}
+
+/**
+ * Whether a card is a basic land, which collections often don't track
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isBasicLand(name) {
+  return BASIC_LAND.test(name);
+}
+
+/**
+ * Compare a deck with the collection
+ * @param {object} deck - Deck from archidekt.getDeck
+ * @param {Map} ownership - From buildOwnership
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreBasics=true] - Treat basic lands as owned
+ * @returns {Array<{name: string, needed: number, owned: number, missing: number, deckCard: object, ownedPrintings: Array<object>}>}
+ *   One entry per card name that isn't fully owned
+ */
+export function findMissingCards(deck, ownership, options = {}) {
+  const { ignoreBasics = true } = options;
+
+  const needed = new Map();
+  for (const deckCard of getMainboard(deck)) {
+    const name = getCardName(deckCard);
+    if (ignoreBasics && isBasicLand(name)) continue;
+    const entry = needed.get(name) || { name, needed: 0, deckCard };
+    entry.needed += deckCard.quantity;
+    needed.set(name, entry);
+  }
+
+  const missing = [];
+  for (const entry of needed.values()) {
+    const owned = getOwned(ownership, entry.name);
+    if (owned.quantity >= entry.needed) continue;
+    missing.push({ ...entry, owned: owned.quantity, missing: entry.needed - owned.quantity, ownedPrintings: owned.printings });
+  }
+  return missing;
+}
+
+// Archidekt modifier for each finish, as used by pricing.getPrice
+const MODIFIERS = { nonfoil: 'Normal', foil: 'Foil', etched: 'Etched' };
+
+/**
+ * Build the Scryfall collection identifier for a collection entry
+ * @param {object} entry
+ * @returns {object} - { id } | { set, collector_number } | { name }
+ */
+export function getIdentifier(entry) {
+  if (entry.scryfallId) return { id: entry.scryfallId };
+  if (entry.set && entry.collectorNumber) return { set: entry.set, collector_number: entry.collectorNumber };
+  return { name: entry.name };
+}
+
+/**
+ * Price a collection's entries
+ * @param {Array<object>} entries - Collection entries
+ * @param {Array<object>} scryfallCards - From scryfall.lookupCollection(entries.map(getIdentifier))
+ * @param {string} [currency='usd']
+ * @returns {{total: number, unpriced: Array<string>, mostValuable: Array<{entry: object, unitPrice: number}>}}
+ */
+export function valueCollection(entries, scryfallCards, currency = 'usd') {
+  const index = new Map();
+  for (const card of scryfallCards) {
+    index.set(`id:${card.id}`, card);
+    index.set(`set:${card.set}:${card.collector_number}`, card);
+    index.set(`name:${card.name.toLowerCase()}`, card);
+    index.set(`name:${card.name.split(' // ')[0].toLowerCase()}`, card);
+  }
+
+  let total = 0;
+  const unpriced = [];
+  const priced = [];
+  for (const entry of entries) {
+    const card = (entry.scryfallId && index.get(`id:${entry.scryfallId}`))
+      || index.get(`set:${entry.set}:${entry.collectorNumber}`)
+      || index.get(`name:${entry.name.toLowerCase()}`);
+    const unitPrice = card ? getPrice(card, currency, MODIFIERS[entry.finish]) : null;
+    if (unitPrice === null) {
+      unpriced.push(entry.name);
+      continue;
+    }
+    total += unitPrice * entry.quantity;
+    priced.push({ entry, unitPrice });
+  }
+
+  const mostValuable = priced.sort((a, b) => b.unitPrice - a.unitPrice).slice(0, 10);
+  return { total, unpriced, mostValuable };
+}
+
+/**
+ * Summarize a collection: totals, finishes and the sets with the most cards
+ * @param {object} collection - From loadCollection
+ * @returns {{totalCards: number, uniqueCards: number, printings: number, byFinish: object, topSets: Array<[string, number]>}}
+ */
+export function summarizeCollection(collection) {
+  const byFinish = { nonfoil: 0, foil: 0, etched: 0 };
+  const bySet = new Map();
+  const names = new Set();
+  let totalCards = 0;
+
+  for (const entry of collection.entries) {
+    totalCards += entry.quantity;
+    byFinish[entry.finish] = (byFinish[entry.finish] || 0) + entry.quantity;
+    names.add(entry.name.toLowerCase());
+    if (entry.set) bySet.set(entry.set, (bySet.get(entry.set) || 0) + entry.quantity);
+  }
+
+  const topSets = [...bySet].sort((a, b) => b[1] - a[1]).slice(0, 10);
+  return { totalCards, uniqueCards: names.size, printings: collection.entries.length, byFinish, topSets };
+}
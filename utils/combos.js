@@ -0,0 +1,218 @@
+import { createWriteStream } from 'node:fs';
+import { rm, mkdir } from 'node:fs/promises';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import path from 'node:path';
+import { dataPath, readJson, writeJson } from './storage.js';
+import { request, responseError } from './http.js';
+import { readJsonArray } from './jsonstream.js';
+
+// Combo dataset for find_combos, in the format of Commander Spellbook's bulk export
+// By default the export is downloaded and reduced to <data dir>/combos.json, refreshed weekly
+// Configure with:
+// COMBO_DATA=/path/to/variants.json uses a local file instead (never downloaded or refreshed)
+// COMBO_DATA_URL overrides the download URL
+
+const DEFAULT_DATA_URL = 'https://json.commanderspellbook.com/variants.json';
+const USER_AGENT = 'CommandTowerMCP/0.1.0';
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const RETRY_AFTER_FAILURE_MS = 60 * 60 * 1000; // 1 hour
+const COLORS = ['W', 'U', 'B', 'R', 'G'];
+
+// Loaded dataset and in-flight load ({ promise, refresh }), shared by all callers
+let dataset = null;
+let loading = null;
+// When the last automatic refresh of a stale copy failed, so every call doesn't start another download
+let lastFailedRefresh = 0;
+
+function cachePath() {
+  return dataPath('combos.json');
+}
+
+/**
+ * Where combos come from: the COMBO_DATA file or the download URL
+ * @returns {string}
+ */
+export function getSource() {
+  return process.env.COMBO_DATA ? path.resolve(process.env.COMBO_DATA) : (process.env.COMBO_DATA_URL || DEFAULT_DATA_URL);
+}
+
+function normalizeIdentity(identity) {
+  const letters = Array.isArray(identity) ? identity.join('') : String(identity || '');
+  return COLORS.filter(c => letters.toUpperCase().includes(c)).join('');
+}
+
+/**
+ * Reduce one combo to the fields find_combos needs
+ * Accepts a Commander Spellbook variant (with uses/requires/produces)
+ * or a simple entry ({ id, cards: [names], results: [names], identity, description })
+ * @param {object} v - Variant or entry
+ * @returns {{id: string, cards: Array<string>, templates: Array<string>, results: Array<string>, identity: string, prerequisites: string, description: string}|null}
+ *   - null for combos that aren't usable (not approved, or no cards)
+ */
+export function normalizeCombo(v) {
+  if (v.status && v.status !== 'OK') return null;
+
+  const combo = {
+    id: String(v.id),
+    cards: v.cards || (v.uses || []).map(u => u.card?.name).filter(Boolean),
+    templates: v.templates || (v.requires || []).map(r => r.template?.name).filter(Boolean),
+    results: v.results || (v.produces || []).map(p => p.feature?.name).filter(Boolean),
+    identity: normalizeIdentity(v.identity),
+    prerequisites: v.prerequisites || [v.easyPrerequisites, v.notablePrerequisites, v.manaNeeded && `Mana needed: ${v.manaNeeded}`].filter(Boolean).join(' '),
+    description: v.description || '',
+  };
+  return combo.cards.length > 0 ? combo : null;
+}
+
+/**
+ * Reduce parsed combo data to the fields find_combos needs
+ * @param {object|Array<object>} data - { variants: [...] }, { results: [...] } or an array of combos
+ * @returns {Array<object>} - See normalizeCombo
+ */
+export function normalizeCombos(data) {
+  const variants = Array.isArray(data) ? data : data.variants || data.results || [];
+  return variants.map(normalizeCombo).filter(Boolean);
+}
+
+/**
+ * Read a combo export file, reducing each combo as it is parsed
+ * The Commander Spellbook export is several hundred MB, too big to parse as one string
+ * @param {string} filePath
+ * @returns {Promise<{timestamp: string|null, combos: Array<object>}>}
+ */
+export async function readComboFile(filePath) {
+  const combos = [];
+  const fields = await readJsonArray(filePath, item => {
+    const combo = normalizeCombo(item);
+    if (combo) combos.push(combo);
+  }, { keys: ['variants', 'results'] });
+  return { timestamp: fields.timestamp || null, combos };
+}
+
+/**
+ * Download the combo export and save the reduced dataset
+ * @returns {Promise<object>} - { source, updatedAt, combos }
+ */
+export async function refresh() {
+  const url = getSource();
+  const response = await request(url, {
+    headers: { 'Accept': 'application/json', 'User-Agent': USER_AGENT },
+  });
+  if (!response.ok) {
+    throw await responseError(response, 'Combo data download error');
+  }
+
+  // Stream to a temp file first, then reduce it combo by combo
+  const tempPath = `${cachePath()}.download`;
+  await mkdir(path.dirname(tempPath), { recursive: true });
+  try {
+    await pipeline(Readable.fromWeb(response.body), createWriteStream(tempPath));
+    const { timestamp, combos } = await readComboFile(tempPath);
+    const saved = { source: url, updatedAt: timestamp || new Date().toISOString(), downloadedAt: new Date().toISOString(), combos };
+    await writeJson(cachePath(), saved);
+    dataset = saved;
+    return saved;
+  } finally {
+    await rm(tempPath, { force: true });
+  }
+}
+
+async function loadDataset(options) {
+  if (process.env.COMBO_DATA) {
+    if (!dataset) {
+      const { timestamp, combos } = await readComboFile(getSource());
+      dataset = { source: getSource(), updatedAt: timestamp, combos };
+    }
+    return dataset;
+  }
+
+  if (!dataset) dataset = await readJson(cachePath(), null);
+
+  const isStale = !dataset || Date.now() - new Date(dataset.downloadedAt).getTime() > MAX_AGE_MS;
+  const recentlyFailed = Date.now() - lastFailedRefresh < RETRY_AFTER_FAILURE_MS;
+  if (options.refresh || (isStale && !(dataset && recentlyFailed))) {
+    try {
+      return await refresh();
+    } catch (error) {
+      // Keep using an older download if there is one, and leave it be for a while
+      if (!dataset) throw error;
+      lastFailedRefresh = Date.now();
+    }
+  }
+  return dataset;
+}
+
+/**
+ * Get the combo dataset, downloading it on first use and weekly after that
+ * If refreshing a stale copy fails, the stale copy is used and the download retried after an hour
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Download now, even if the saved copy is recent
+ * @returns {Promise<{source: string, updatedAt: string|null, combos: Array<object>}>}
+ */
+export async function getCombos(options = {}) {
+  // A refresh can't share a load that may have read the old copy; wait for it, then download
+  while (options.refresh && loading && !loading.refresh) {
+    await loading.promise.catch(() => {});
+  }
+  if (!loading) {
+    const promise = loadDataset(options).finally(() => {
+      loading = null;
+    });
+    loading = { promise, refresh: Boolean(options.refresh) };
+  }
+  return loading.promise;
+}
+
+/**
+ * Find the combos a deck contains and the ones it's a single card away from
+ * Combos outside the color identity are skipped
+ * @param {Array<object>} combos - From getCombos
+ * @param {Array<string>} deckNames - Names of the cards in the deck (commanders included)
+ * @param {string|Array<string>} identity - Allowed colors, e.g. "WUG" or ['W', 'U', 'G']
+ * @returns {{complete: Array<object>, nearMisses: Array<{combo: object, missing: string}>}}
+ */
+export function findCombos(combos, deckNames, identity) {
+  const allowed = normalizeIdentity(identity);
+  const inDeck = new Set();
+  for (const name of deckNames) {
+    const lower = name.toLowerCase();
+    inDeck.add(lower);
+    inDeck.add(lower.split(' // ')[0]);
+  }
+  const has = name => inDeck.has(name.toLowerCase()) || inDeck.has(name.toLowerCase().split(' // ')[0]);
+
+  const complete = [];
+  const nearMisses = [];
+  for (const combo of combos) {
+    if ([...combo.identity].some(c => !allowed.includes(c))) continue;
+
+    const missing = combo.cards.filter(name => !has(name));
+    if (missing.length === 0) {
+      complete.push(combo);
+    } else if (missing.length === 1 && combo.cards.length > 1) {
+      nearMisses.push({ combo, missing: missing[0] });
+    }
+  }
+
+  const bySize = (a, b) => a.cards.length - b.cards.length;
+  complete.sort(bySize);
+  nearMisses.sort((a, b) => bySize(a.combo, b.combo));
+  return { complete, nearMisses };
+}
+
+/**
+ * Group near misses by the card that would complete them
+ * @param {Array<{combo: object, missing: string}>} nearMisses - From findCombos
+ * @returns {Array<{card: string, combos: Array<object>}>} - Cards completing the most combos first
+ */
+export function groupByMissingCard(nearMisses) {
+  const groups = new Map();
+  for (const { combo, missing } of nearMisses) {
+    if (!groups.has(missing)) groups.set(missing, []);
+    groups.get(missing).push(combo);
+  }
+  return [...groups]
+    .map(([card, combos]) => ({ card, combos }))
+    .sort((a, b) => b.combos.length - a.combos.length);
+}
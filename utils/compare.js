@@ -0,0 +1,109 @@
+import { getCardName, getPrimaryCategory, getMainboard, joinCardData } from './decklist.js';
+
+/**
+ * Total each card name's quantity and categories (primary first) in a deck's mainboard
+ * @param {object} deck - Deck from archidekt.getDeck
+ * @returns {Map<string, {name: string, quantity: number, categories: Array<string>}>} - Keyed by lowercased name
+ */
+function summarizeCards(deck) {
+  const cards = new Map();
+  for (const c of getMainboard(deck)) {
+    const name = getCardName(c);
+    const key = name.toLowerCase();
+    const entry = cards.get(key) || { name, quantity: 0, categories: [] };
+    entry.quantity += c.quantity;
+    const categories = c.categories?.length ? c.categories : [getPrimaryCategory(c)];
+    for (const category of categories) {
+      if (!entry.categories.includes(category)) entry.categories.push(category);
+    }
+    cards.set(key, entry);
+  }
+  return cards;
+}
+
+/**
+ * Compare the mainboards of two decks card by card
+ * @param {object} deckA - Deck from archidekt.getDeck
+ * @param {object} deckB - Deck from archidekt.getDeck
+ * @returns {{onlyA: Array, onlyB: Array, shared: Array, quantityChanges: Array, categoryMoves: Array}}
+ */
+export function compareDecks(deckA, deckB) {
+  const cardsA = summarizeCards(deckA);
+  const cardsB = summarizeCards(deckB);
+
+  const onlyA = [];
+  const onlyB = [];
+  const shared = [];
+  const quantityChanges = [];
+  const categoryMoves = [];
+
+  for (const [key, a] of cardsA) {
+    const b = cardsB.get(key);
+    if (!b) {
+      onlyA.push(a);
+      continue;
+    }
+
+    shared.push({ name: a.name, quantityA: a.quantity, quantityB: b.quantity });
+    if (a.quantity !== b.quantity) {
+      quantityChanges.push({ name: a.name, quantityA: a.quantity, quantityB: b.quantity });
+    }
+    if (a.categories.join('|') !== b.categories.join('|')) {
+      categoryMoves.push({ name: a.name, categoriesA: a.categories, categoriesB: b.categories });
+    }
+  }
+
+  for (const [key, b] of cardsB) {
+    if (!cardsA.has(key)) onlyB.push(b);
+  }
+
+  const byName = (x, y) => x.name.localeCompare(y.name);
+  return {
+    onlyA: onlyA.sort(byName),
+    onlyB: onlyB.sort(byName),
+    shared: shared.sort(byName),
+    quantityChanges: quantityChanges.sort(byName),
+    categoryMoves: categoryMoves.sort(byName),
+  };
+}
+
+/**
+ * Build the edits that turn deck A into deck B: update_deck cards_to_add / cards_to_remove text
+ * for the card and quantity differences, plus modify_cards changes for cards that moved category
+ * @param {object} comparison - Result of compareDecks
+ * @returns {{cardsToAdd: string, cardsToRemove: string, categoryChanges: Array<{name: string, categories: Array<string>}>}}
+ */
+export function toUpdateText(comparison) {
+  const add = [];
+  const remove = [];
+
+  for (const b of comparison.onlyB) {
+    add.push(`${b.quantity} ${b.name} [${b.categories.join(', ')}]`);
+  }
+  for (const a of comparison.onlyA) {
+    remove.push(`${a.quantity} ${a.name}`);
+  }
+  for (const change of comparison.quantityChanges) {
+    const delta = change.quantityB - change.quantityA;
+    if (delta > 0) {
+      add.push(`${delta} ${change.name}`);
+    } else {
+      remove.push(`${-delta} ${change.name}`);
+    }
+  }
+
+  const categoryChanges = comparison.categoryMoves.map(move => ({ name: move.name, categories: move.categoriesB }));
+
+  return { cardsToAdd: add.join('\n'), cardsToRemove: remove.join('\n'), categoryChanges };
+}
+
+/**
+ * Estimate a deck's mainboard price in USD from Scryfall's default printing prices
+ * @param {object} deck - Deck from archidekt.getDeck
+ * @param {Map<string, object>} cardMap - Scryfall cards from scryfall.lookupCardMap
+ * @returns {number}
+ */
+export function estimatePrice(deck, cardMap) {
+  const { entries } = joinCardData(getMainboard(deck), cardMap);
+  return entries.reduce((sum, e) => sum + (parseFloat(e.card.prices?.usd) || 0) * e.quantity, 0);
+}
@@ -0,0 +1,212 @@
+import { findCard } from './scryfall.js';
+
+// Helpers for working with deck objects returned by archidekt.getDeck and decklist text
+
+// Categories Archidekt leaves out of the deck when the deck doesn't define them
+const EXCLUDED_CATEGORIES = ['sideboard', 'maybeboard'];
+
+/**
+ * Get the oracle name of a deck card
+ * @param {object} deckCard - Entry from deck.cards
+ * @returns {string}
+ */
+export function getCardName(deckCard) {
+  return deckCard.card.oracleCard.name;
+}
+
+/**
+ * Get the primary (first) category of a deck card
+ * @param {object} deckCard
+ * @returns {string}
+ */
+export function getPrimaryCategory(deckCard) {
+  return deckCard.categories?.[0] || 'Uncategorized';
+}
+
+/**
+ * Look up a deck's category settings by name
+ * @param {object} deck
+ * @param {string} categoryName
+ * @returns {object|undefined} - { name, isPremier, includedInDeck, ... }
+ */
+function getCategory(deck, categoryName) {
+  return (deck.categories || []).find(c => c.name === categoryName);
+}
+
+/**
+ * Whether a deck card counts towards the deck (not sideboard/maybeboard)
+ * Archidekt decides this by the card's primary category
+ * @param {object} deck
+ * @param {object} deckCard
+ * @returns {boolean}
+ */
+export function isInDeck(deck, deckCard) {
+  const categoryName = getPrimaryCategory(deckCard);
+  const category = getCategory(deck, categoryName);
+  if (category && typeof category.includedInDeck === 'boolean') {
+    return category.includedInDeck;
+  }
+  return !EXCLUDED_CATEGORIES.includes(categoryName.toLowerCase());
+}
+
+/**
+ * Whether a deck card is a commander (premier category or "Commander")
+ * @param {object} deck
+ * @param {object} deckCard
+ * @returns {boolean}
+ */
+export function isCommander(deck, deckCard) {
+  const categoryName = getPrimaryCategory(deckCard);
+  return Boolean(getCategory(deck, categoryName)?.isPremier) || categoryName === 'Commander';
+}
+
+/**
+ * Get the cards that count towards the deck, commanders included
+ * @param {object} deck
+ * @returns {Array<object>}
+ */
+export function getMainboard(deck) {
+  return (deck.cards || []).filter(c => isInDeck(deck, c));
+}
+
+/**
+ * Get the deck's commanders
+ * @param {object} deck
+ * @returns {Array<object>}
+ */
+export function getCommanders(deck) {
+  return (deck.cards || []).filter(c => isCommander(deck, c));
+}
+
+/**
+ * Sum the quantities of a list of deck cards
+ * @param {Array<object>} deckCards
+ * @returns {number}
+ */
+export function countCards(deckCards) {
+  return deckCards.reduce((sum, c) => sum + c.quantity, 0);
+}
+
+/**
+ * Get the unique card names in a deck
+ * @param {object} deck
+ * @returns {Array<string>}
+ */
+export function getUniqueNames(deck) {
+  return [...new Set((deck.cards || []).map(getCardName))];
+}
+
+/**
+ * Join deck cards with Scryfall card data
+ * @param {Array<object>} deckCards - Entries from deck.cards
+ * @param {Map<string, object>} cardMap - Scryfall cards from scryfall.lookupCardMap
+ * @returns {{entries: Array<{name: string, quantity: number, card: object, deckCard: object}>, unresolved: Array<string>}}
+ */
+export function joinCardData(deckCards, cardMap) {
+  const entries = [];
+  const unresolved = [];
+
+  for (const deckCard of deckCards) {
+    const name = getCardName(deckCard);
+    const card = findCard(cardMap, name);
+    if (card) {
+      entries.push({ name, quantity: deckCard.quantity, card, deckCard });
+    } else if (!unresolved.includes(name)) {
+      unresolved.push(name);
+    }
+  }
+
+  return { entries, unresolved };
+}
+
+// MTGA / plain-text section headers and the Archidekt category they map to (null = main deck)
+const SECTION_HEADERS = {
+  commander: 'Commander',
+  commanders: 'Commander',
+  companion: 'Companion',
+  deck: null,
+  mainboard: null,
+  main: null,
+  sideboard: 'Sideboard',
+  maybeboard: 'Maybeboard',
+};
+
+/**
+ * Parse the quantity, card name and printing from a decklist line
+ * Accepts "1 Sol Ring", "1x Sol Ring (CMM) 410 *F* [Ramp]" and similar
+ * @param {string} line
+ * @returns {{quantity: number, name: string, set: string|null, collectorNumber: string|null, modifier: string}|null}
+ */
+export function parseDecklistLine(line) {
+  const match = line.trim().match(/^(\d+)x?\s+(.+?)(?=\s+\(|\s+\[|\s+\*|\s+\^|$)(.*)$/i);
+  if (!match) return null;
+
+  const rest = match[3];
+  const printing = rest.match(/^\s+\(([A-Za-z0-9]+)\)(?:\s+([^\s[*^]+))?/);
+  let modifier = 'Normal';
+  if (/\*F\*/i.test(rest)) modifier = 'Foil';
+  if (/\*E\*|\*Etched\*/i.test(rest)) modifier = 'Etched';
+
+  return {
+    quantity: parseInt(match[1], 10),
+    name: match[2].trim(),
+    set: printing ? printing[1].toLowerCase() : null,
+    collectorNumber: printing?.[2] || null,
+    modifier,
+  };
+}
+
+/**
+ * Convert an Archidekt, MTGA or plain-text decklist into Archidekt's text syntax
+ * MTGA/plain section headers ("Commander", "Deck", "Sideboard:") become per-line categories;
+ * Archidekt "# Category" headers are left as-is
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeDecklist(text) {
+  const lines = [];
+  let sectionCategory = null;
+  let inAbout = false;
+
+  for (const rawLine of (text || '').split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('//')) continue;
+
+    const header = line.replace(/:$/, '').toLowerCase();
+
+    // MTGA metadata block ("About" followed by "Name ...")
+    if (header === 'about') {
+      inAbout = true;
+      continue;
+    }
+    if (header in SECTION_HEADERS) {
+      sectionCategory = SECTION_HEADERS[header];
+      inAbout = false;
+      continue;
+    }
+    if (inAbout) continue;
+
+    if (line.startsWith('#')) {
+      sectionCategory = null;
+      lines.push(line);
+      continue;
+    }
+
+    // "SB: 2 Duress" (MTGO-style sideboard prefix)
+    const sideboardLine = line.match(/^SB:\s*(.+)$/i);
+    if (sideboardLine) {
+      lines.push(`${sideboardLine[1]} [Sideboard]`);
+      continue;
+    }
+
+    // Archidekt matches set codes in lowercase ("(CMM) 410" from MTGA becomes "(cmm) 410")
+    const cardLine = line.replace(/\s\(([A-Za-z0-9]+)\)/, (_, set) => ` (${set.toLowerCase()})`);
+    if (sectionCategory && !cardLine.includes('[')) {
+      lines.push(`${cardLine} [${sectionCategory}]`);
+    } else {
+      lines.push(cardLine);
+    }
+  }
+
+  return lines.join('\n');
+}
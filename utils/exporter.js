@@ -0,0 +1,175 @@
+import { getCardName, getPrimaryCategory, isInDeck, isCommander } from './decklist.js';
+
+export const EXPORT_FORMATS = ['arena', 'mtgo', 'text', 'archidekt', 'csv'];
+
+// Finish markers in Archidekt's text syntax, matching decklist.parseDecklistLine
+const FINISH_MARKERS = { Foil: ' *F*', Etched: ' *E*' };
+
+/**
+ * Format one deck card in Archidekt's text syntax, as read by the computeDiff parser
+ * e.g. "1x Sol Ring (cmm) 410 *F* [Ramp, Artifacts]"; etched cards are marked *E*
+ * @param {object} deckCard - Entry from deck.cards
+ * @returns {string}
+ */
+export function toArchidektLine(deckCard) {
+  const card = deckCard.card;
+  const edition = card.edition?.editioncode || '';
+  const collectorNumber = card.collectorNumber ? ` ${card.collectorNumber}` : '';
+  const finish = FINISH_MARKERS[deckCard.modifier] || '';
+  const categories = deckCard.categories?.length ? ` [${deckCard.categories.join(', ')}]` : '';
+  return `${deckCard.quantity}x ${getCardName(deckCard)} (${edition})${collectorNumber}${finish}${categories}`;
+}
+
+/**
+ * Split a deck into commander, companion, main deck, sideboard and maybeboard sections
+ * @param {object} deck - Deck from archidekt.getDeck
+ * @returns {{commanders: Array, companions: Array, main: Array, sideboard: Array, maybeboard: Array}}
+ */
+export function getSections(deck) {
+  const sections = { commanders: [], companions: [], main: [], sideboard: [], maybeboard: [] };
+
+  for (const c of deck.cards || []) {
+    if (isCommander(deck, c)) {
+      sections.commanders.push(c);
+    } else if (c.companion || getPrimaryCategory(c) === 'Companion') {
+      sections.companions.push(c);
+    } else if (isInDeck(deck, c)) {
+      sections.main.push(c);
+    } else if (/maybe/i.test(getPrimaryCategory(c))) {
+      sections.maybeboard.push(c);
+    } else {
+      sections.sideboard.push(c);
+    }
+  }
+
+  return sections;
+}
+
+// Arena wants the front face name for double-faced cards but the full name for split cards
+function getArenaName(deckCard) {
+  const name = getCardName(deckCard);
+  return deckCard.card.oracleCard.layout === 'split' ? name : name.split(' // ')[0];
+}
+
+function toArena(sections) {
+  const line = c => {
+    const edition = c.card.edition?.editioncode?.toUpperCase();
+    const printing = edition ? ` (${edition})${c.card.collectorNumber ? ` ${c.card.collectorNumber}` : ''}` : '';
+    return `${c.quantity} ${getArenaName(c)}${printing}`;
+  };
+
+  const blocks = [
+    ['Commander', sections.commanders],
+    ['Companion', sections.companions],
+    ['Deck', sections.main],
+    ['Sideboard', [...sections.sideboard, ...sections.maybeboard]],
+  ];
+
+  return blocks
+    .filter(([, cards]) => cards.length > 0)
+    .map(([header, cards]) => `${header}\n${cards.map(line).join('\n')}`)
+    .join('\n\n');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toMtgo(sections) {
+  // MTGO keeps commanders and companions in the sideboard
+  const entries = [
+    ...sections.main.map(c => ({ c, sideboard: false })),
+    ...[...sections.commanders, ...sections.companions, ...sections.sideboard, ...sections.maybeboard]
+      .map(c => ({ c, sideboard: true })),
+  ];
+
+  const lines = entries.map(({ c, sideboard }) => {
+    const catId = c.modifier === 'Foil' ? c.card.mtgoFoilId : c.card.mtgoNormalId;
+    const catAttr = catId ? ` CatID="${catId}"` : '';
+    const name = escapeXml(getCardName(c).split(' // ')[0]);
+    return `  <Cards${catAttr} Quantity="${c.quantity}" Sideboard="${sideboard}" Name="${name}" Annotation="0" />`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    '  <NetDeckID>0</NetDeckID>',
+    '  <PreconstructedDeckID>0</PreconstructedDeckID>',
+    ...lines,
+    '</Deck>',
+  ].join('\n');
+}
+
+function toText(sections) {
+  const line = c => `${c.quantity} ${getCardName(c)}`;
+
+  const blocks = [
+    ['Commander', sections.commanders],
+    ['Companion', sections.companions],
+    ['Deck', sections.main],
+    ['Sideboard', sections.sideboard],
+    ['Maybeboard', sections.maybeboard],
+  ];
+
+  return blocks
+    .filter(([, cards]) => cards.length > 0)
+    .map(([header, cards]) => `${header}\n${cards.map(line).join('\n')}`)
+    .join('\n\n');
+}
+
+function toArchidekt(sections) {
+  return Object.values(sections).flat().map(toArchidektLine).join('\n');
+}
+
+function escapeCsv(value) {
+  const str = String(value ?? '');
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(sections) {
+  const header = 'Quantity,Name,Set,Collector Number,Foil,Categories';
+  const rows = Object.values(sections).flat().map(c => [
+    c.quantity,
+    getCardName(c),
+    c.card.edition?.editioncode || '',
+    c.card.collectorNumber || '',
+    c.modifier === 'Foil' || c.modifier === 'Etched' ? c.modifier.toLowerCase() : '',
+    (c.categories || []).join('; '),
+  ].map(escapeCsv).join(','));
+
+  return [header, ...rows].join('\n');
+}
+
+const RENDERERS = {
+  arena: toArena,
+  mtgo: toMtgo,
+  text: toText,
+  archidekt: toArchidekt,
+  csv: toCsv,
+};
+
+/**
+ * Render a deck as text in one of the EXPORT_FORMATS
+ * @param {object} deck - Deck from archidekt.getDeck
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {object} [options]
+ * @param {boolean} [options.includeMaybeboard=false]
+ * @returns {string}
+ */
+export function exportDeck(deck, format, options = {}) {
+  const { includeMaybeboard = false } = options;
+
+  const render = RENDERERS[format];
+  if (!render) {
+    throw new Error(`Unknown export format: ${format}. Use one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const sections = getSections(deck);
+  if (!includeMaybeboard) sections.maybeboard = [];
+
+  return render(sections);
+}
@@ -0,0 +1,80 @@
+// Helpers for folder trees from archidekt.getFolderTree
+
+/**
+ * List every folder in a tree with its path, parents before children
+ * @param {object} tree - From archidekt.getFolderTree
+ * @returns {Array<{folder: object, path: string, depth: number}>}
+ */
+export function flattenFolders(tree) {
+  const result = [];
+  const visit = (folder, parentPath, depth) => {
+    const folderPath = parentPath ? `${parentPath}/${folder.name}` : folder.name;
+    result.push({ folder, path: folderPath, depth });
+    for (const sub of folder.subfolders) visit(sub, folderPath, depth + 1);
+  };
+  visit(tree, '', 0);
+  return result;
+}
+
+/**
+ * Find folders matching an ID, a path ("Commander/Budget") or a name
+ * Paths are relative to the root folder; names match anywhere in the tree
+ * @param {object} tree - From archidekt.getFolderTree
+ * @param {number|string} ref
+ * @returns {Array<object>} - Matching folders (more than one means the name is ambiguous)
+ */
+export function findFolders(tree, ref) {
+  const all = flattenFolders(tree);
+
+  if (typeof ref === 'number' || /^\d+$/.test(String(ref).trim())) {
+    return all.filter(f => f.folder.id === Number(ref)).map(f => f.folder);
+  }
+
+  const wanted = String(ref).trim().replace(/^\/+|\/+$/g, '').toLowerCase();
+  if (wanted.includes('/')) {
+    const rootPrefix = `${tree.name.toLowerCase()}/`;
+    const fullPath = wanted.startsWith(rootPrefix) ? wanted : `${rootPrefix}${wanted}`;
+    return all.filter(f => f.path.toLowerCase() === fullPath).map(f => f.folder);
+  }
+
+  return all.filter(f => f.folder.name.toLowerCase() === wanted).map(f => f.folder);
+}
+
+/**
+ * Count the decks in a folder and all of its subfolders
+ * @param {object} folder - Node from archidekt.getFolderTree
+ * @returns {number}
+ */
+export function countDecks(folder) {
+  return folder.decks.length + folder.subfolders.reduce((sum, sub) => sum + countDecks(sub), 0);
+}
+
+/**
+ * Collect the IDs of every deck in a folder and its subfolders
+ * @param {object} folder - Node from archidekt.getFolderTree
+ * @returns {Set<number>}
+ */
+export function getDeckIds(folder) {
+  const ids = new Set();
+  for (const { folder: f } of flattenFolders(folder)) {
+    for (const deck of f.decks) ids.add(deck.id);
+  }
+  return ids;
+}
+
+/**
+ * Render a folder tree as an indented list with deck counts
+ * @param {object} tree - From archidekt.getFolderTree
+ * @returns {string}
+ */
+export function formatFolderTree(tree) {
+  return flattenFolders(tree)
+    .map(({ folder, depth }) => {
+      const own = folder.decks.length;
+      const total = countDecks(folder);
+      const decks = `${own} deck${own === 1 ? '' : 's'}`;
+      const counts = total === own ? decks : `${decks}, ${total} including subfolders`;
+      return `${'  '.repeat(depth)}- ${folder.name} (ID: ${folder.id}) - ${counts}`;
+    })
+    .join('\n');
+}
@@ -0,0 +1,221 @@
+// Shared HTTP layer for the Archidekt and Scryfall clients
+// Requests to the same host run one at a time with a minimum gap between them,
+// 429 and 5xx responses are retried with exponential backoff (honoring Retry-After),
+// and every request has a timeout
+
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const DEFAULT_TIMEOUT_MS = envNumber('HTTP_TIMEOUT_MS', 30000);
+const DEFAULT_MAX_RETRIES = envNumber('HTTP_MAX_RETRIES', 3);
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
+
+// Methods that are safe to resend after a server error or dropped connection;
+// a POST or PATCH may have been applied before the failure, so only 429s retry those
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Base class for failed HTTP requests
+ */
+export class HttpError extends Error {
+  constructor(message, { status = 0, url = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'HttpError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+/**
+ * 404: the requested resource doesn't exist (or isn't visible to us)
+ */
+export class NotFoundError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * 401/403: missing, expired or insufficient credentials
+ */
+export class AuthError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * 429 that was still failing after all retries
+ */
+export class RateLimitedError extends HttpError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'RateLimitedError';
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+/**
+ * 5xx, timeout or network failure
+ */
+export class UpstreamError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'UpstreamError';
+  }
+}
+
+// Per-host queue state
+// Key: host -> { tail: Promise, lastRequestTime: number, minIntervalMs: number, timeoutMs: number }
+const hosts = new Map();
+
+function getHost(host) {
+  if (!hosts.has(host)) {
+    hosts.set(host, { tail: Promise.resolve(), lastRequestTime: 0, minIntervalMs: 0, timeoutMs: DEFAULT_TIMEOUT_MS });
+  }
+  return hosts.get(host);
+}
+
+/**
+ * Set request spacing and timeout for a host
+ * @param {string} host - e.g. 'api.scryfall.com'
+ * @param {object} options
+ * @param {number} [options.minIntervalMs] - Minimum time between the starts of two requests
+ * @param {number} [options.timeoutMs] - Time allowed until response headers arrive
+ */
+export function configureHost(host, options) {
+  const state = getHost(host);
+  if (options.minIntervalMs !== undefined) state.minIntervalMs = options.minIntervalMs;
+  if (options.timeoutMs !== undefined) state.timeoutMs = options.timeoutMs;
+}
+
+/**
+ * Create the error class matching an HTTP status
+ * @param {number} status
+ * @param {string} message
+ * @param {object} [details] - { url, retryAfterMs, cause }
+ * @returns {HttpError}
+ */
+export function errorForStatus(status, message, details = {}) {
+  const fullDetails = { ...details, status };
+  if (status === 404) return new NotFoundError(message, fullDetails);
+  if (status === 401 || status === 403) return new AuthError(message, fullDetails);
+  if (status === 429) return new RateLimitedError(message, fullDetails);
+  if (status >= 500) return new UpstreamError(message, fullDetails);
+  return new HttpError(message, fullDetails);
+}
+
+/**
+ * Build a typed error from a failed response, including the start of its body
+ * @param {Response} response
+ * @param {string} prefix - e.g. 'Failed to get deck'
+ * @returns {Promise<HttpError>}
+ */
+export async function responseError(response, prefix) {
+  const body = (await response.text().catch(() => '')).trim().slice(0, 300);
+  const message = `${prefix}: ${response.status}${body ? ` - ${body}` : ''}`;
+  return errorForStatus(response.status, message, {
+    url: response.url,
+    retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+  });
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value
+ * @returns {number|null} - Milliseconds to wait
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) return Math.min(retryAfterMs, BACKOFF_MAX_MS);
+  const exponential = BACKOFF_BASE_MS * 2 ** attempt;
+  return Math.min(exponential + Math.random() * BACKOFF_BASE_MS, BACKOFF_MAX_MS);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function sendOnce(url, options, state, timeoutMs) {
+  const wait = state.lastRequestTime + state.minIntervalMs - Date.now();
+  if (wait > 0) await sleep(wait);
+  state.lastRequestTime = Date.now();
+
+  const controller = new AbortController();
+  const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new UpstreamError(`Request timed out after ${timeoutMs}ms: ${url}`, { url, cause: error });
+    }
+    throw new UpstreamError(`Request failed: ${error.message}`, { url, cause: error });
+  } finally {
+    // The timeout covers the wait for headers; callers read the body themselves
+    if (timer) clearTimeout(timer);
+  }
+}
+
+async function sendWithRetries(url, options, state, settings) {
+  const method = (options.method || 'GET').toUpperCase();
+  const canRetryFailures = settings.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+
+  for (let attempt = 0; ; attempt++) {
+    const isLastAttempt = attempt >= settings.maxRetries;
+
+    let response;
+    try {
+      response = await sendOnce(url, options, state, settings.timeoutMs);
+    } catch (error) {
+      if (isLastAttempt || !canRetryFailures) throw error;
+      await sleep(backoffDelay(attempt, null));
+      continue;
+    }
+
+    const retryable = response.status === 429 || (response.status >= 500 && canRetryFailures);
+    if (!retryable || isLastAttempt) {
+      if (response.status === 429) {
+        throw await responseError(response, 'Rate limited');
+      }
+      return response;
+    }
+
+    // Drain the body so the connection can be reused, then wait before the next attempt
+    await response.arrayBuffer().catch(() => {});
+    await sleep(backoffDelay(attempt, parseRetryAfter(response.headers.get('retry-after'))));
+  }
+}
+
+/**
+ * Fetch through the host's queue with timeout and retries
+ * Non-2xx responses other than exhausted 429s are returned for the caller to handle
+ * (see responseError); timeouts and network failures throw UpstreamError
+ * @param {string} url
+ * @param {object} [options] - fetch options
+ * @param {number} [options.timeoutMs] - Override the host's timeout (0 disables it)
+ * @param {number} [options.maxRetries] - Override the retry count
+ * @param {boolean} [options.idempotent] - Mark a read-only POST as safe to resend after server errors
+ * @returns {Promise<Response>}
+ */
+export async function request(url, options = {}) {
+  const { timeoutMs, maxRetries = DEFAULT_MAX_RETRIES, idempotent, ...fetchOptions } = options;
+  const state = getHost(new URL(url).host);
+  const settings = { timeoutMs: timeoutMs ?? state.timeoutMs, maxRetries, idempotent };
+
+  // Chain onto the host's queue; a failed request mustn't block the ones behind it
+  const run = state.tail.then(() => sendWithRetries(url, fetchOptions, state, settings));
+  state.tail = run.catch(() => {});
+  return run;
+}
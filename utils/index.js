@@ -1,3 +1,25 @@
+export * as http from './http.js';
 export * as archidekt from './archidekt.js';
 export * as scryfall from './scryfall.js';
-export * as edhrec from './edhrec.js';
+export * as cards from './cards.js';
+export * as decklist from './decklist.js';
+export * as validation from './validation.js';
+export * as analysis from './analysis.js';
+export * as simulation from './simulation.js';
+export * as combos from './combos.js';
+export * as exporter from './exporter.js';
+export * as plans from './plans.js';
+export * as storage from './storage.js';
+export * as journal from './journal.js';
+export * as backups from './backups.js';
+export * as compare from './compare.js';
+export * as bulkdata from './bulkdata.js';
+export * as cardcache from './cardcache.js';
+export * as query from './query.js';
+export * as pricing from './pricing.js';
+export * as budget from './budget.js';
+export * as printings from './printings.js';
+export * as folders from './folders.js';
+export * as resources from './resources.js';
+export * as prompts from './prompts.js';
+export * as collection from './collection.js';
@@ -0,0 +1,182 @@
+import { createAddCardAction, createRemoveCardAction, createModifyCardAction } from './archidekt.js';
+import { getCardName } from './decklist.js';
+import { dataPath, readJson, writeJson } from './storage.js';
+
+// Local change journal, one JSON file per deck under <data dir>/journal/
+// Each entry holds the deck's cards *before* a change plus the cardActions that were applied
+
+function journalPath(deckId) {
+  return dataPath('journal', `${Number(deckId)}.json`);
+}
+
+/**
+ * Reduce a deck to the card fields needed to restore it
+ * @param {object} deck - Deck from archidekt.getDeck
+ * @returns {Array<object>}
+ */
+export function snapshotDeck(deck) {
+  return (deck.cards || []).map(c => ({
+    deckRelationId: c.id,
+    cardId: c.card.id,
+    name: getCardName(c),
+    quantity: c.quantity,
+    categories: c.categories || [],
+    modifier: c.modifier || 'Normal',
+    label: c.label ?? ',#656565',
+    customCmc: c.customCmc ?? null,
+    companion: Boolean(c.companion),
+  }));
+}
+
+// Tail of the queued journal writes; each read-append-write waits for the one before it,
+// so concurrent tool calls can't overwrite each other's entries
+let writing = Promise.resolve();
+
+/**
+ * Record a change to a deck
+ * @param {number} deckId
+ * @param {object} change
+ * @param {string} change.tool - Tool that made the change
+ * @param {string} change.summary - Short human-readable summary
+ * @param {Array<object>} change.snapshot - Deck state before the change, from snapshotDeck
+ * @param {Array<object>} [change.cardActions=[]] - modifyCards actions that were applied
+ * @returns {Promise<object>} - The stored entry
+ */
+export function recordChange(deckId, change) {
+  const run = writing.then(() => appendEntry(deckId, change));
+  // A failed write mustn't block the ones queued behind it
+  writing = run.catch(() => {});
+  return run;
+}
+
+async function appendEntry(deckId, change) {
+  const entries = await getHistory(deckId);
+  const entry = {
+    id: (entries[entries.length - 1]?.id || 0) + 1,
+    timestamp: new Date().toISOString(),
+    tool: change.tool,
+    summary: change.summary,
+    snapshot: change.snapshot,
+    cardActions: change.cardActions || [],
+  };
+
+  entries.push(entry);
+  await writeJson(journalPath(deckId), entries);
+  return entry;
+}
+
+/**
+ * Get all journal entries for a deck, oldest first
+ * @param {number} deckId
+ * @returns {Promise<Array<object>>}
+ */
+export async function getHistory(deckId) {
+  return readJson(journalPath(deckId), []);
+}
+
+/**
+ * Get one journal entry
+ * @param {number} deckId
+ * @param {number} entryId
+ * @returns {Promise<object|null>}
+ */
+export async function getEntry(deckId, entryId) {
+  const entries = await getHistory(deckId);
+  return entries.find(e => e.id === Number(entryId)) || null;
+}
+
+// Entries are matched by deck relation first (stable while a card stays in the deck), then by
+// printing + finish, so copies of one printing in different categories stay separate entries
+function entryKey(entry) {
+  return `${entry.cardId}:${entry.modifier}`;
+}
+
+function pairEntries(current, target) {
+  const pairs = [];
+  const unmatchedCurrent = [];
+  const unmatchedTarget = new Set(target);
+
+  const byRelation = new Map(target.map(e => [String(e.deckRelationId), e]));
+  const rest = [];
+  for (const entry of current) {
+    const wanted = byRelation.get(String(entry.deckRelationId));
+    if (wanted && unmatchedTarget.has(wanted) && entryKey(wanted) === entryKey(entry)) {
+      pairs.push([entry, wanted]);
+      unmatchedTarget.delete(wanted);
+    } else {
+      rest.push(entry);
+    }
+  }
+
+  for (const entry of rest) {
+    const wanted = [...unmatchedTarget].find(e => entryKey(e) === entryKey(entry));
+    if (wanted) {
+      pairs.push([entry, wanted]);
+      unmatchedTarget.delete(wanted);
+    } else {
+      unmatchedCurrent.push(entry);
+    }
+  }
+
+  return { pairs, unmatchedCurrent, unmatchedTarget: [...unmatchedTarget] };
+}
+
+// Snapshots written before customCmc/companion were tracked lack those fields
+function sameEntry(a, b) {
+  return a.quantity === b.quantity
+    && a.label === b.label
+    && a.categories.join('|') === b.categories.join('|')
+    && (a.customCmc ?? null) === (b.customCmc ?? null)
+    && Boolean(a.companion) === Boolean(b.companion);
+}
+
+/**
+ * Compute the modifyCards actions that turn the current deck back into a snapshot
+ * @param {object} currentDeck - Deck from archidekt.getDeck
+ * @param {Array<object>} snapshot - From snapshotDeck
+ * @returns {Array<object>}
+ */
+export function computeRevertActions(currentDeck, snapshot) {
+  const { pairs, unmatchedCurrent, unmatchedTarget } = pairEntries(snapshotDeck(currentDeck), snapshot);
+  const actions = [];
+
+  for (const [entry, wanted] of pairs) {
+    if (sameEntry(entry, wanted)) continue;
+
+    actions.push(createModifyCardAction({
+      cardId: String(entry.cardId),
+      deckRelationId: String(entry.deckRelationId),
+      quantity: wanted.quantity,
+      categories: wanted.categories,
+      modifier: wanted.modifier,
+      label: wanted.label,
+      customCmc: wanted.customCmc ?? null,
+      companion: Boolean(wanted.companion),
+    }));
+  }
+
+  for (const entry of unmatchedCurrent) {
+    actions.push(createRemoveCardAction({
+      cardId: String(entry.cardId),
+      deckRelationId: String(entry.deckRelationId),
+      quantity: entry.quantity,
+      categories: entry.categories,
+      modifier: entry.modifier,
+      label: entry.label,
+    }));
+  }
+
+  for (const entry of unmatchedTarget) {
+    actions.push(createAddCardAction({
+      cardId: String(entry.cardId),
+      quantity: entry.quantity,
+      categories: entry.categories,
+      modifier: entry.modifier,
+      label: entry.label,
+      customCmc: entry.customCmc ?? null,
+      companion: Boolean(entry.companion),
+    }));
+  }
+
+  return actions;
+}
@@ -0,0 +1,150 @@
+import { createReadStream } from 'node:fs';
+
+// Incremental reader for large JSON documents that are mostly one big array (Scryfall bulk data,
+// Commander Spellbook's export). Only one array item is held as text at a time, so files far
+// bigger than V8's maximum string length can be read.
+
+const QUOTE = 34;
+const BACKSLASH = 92;
+const COMMA = 44;
+const COLON = 58;
+const OPEN_BRACE = 123;
+const CLOSE_BRACE = 125;
+const OPEN_BRACKET = 91;
+const CLOSE_BRACKET = 93;
+
+function isWhitespace(code) {
+  return code === 32 || code === 10 || code === 13 || code === 9;
+}
+
+/**
+ * Read the items of a JSON array one at a time
+ * The array is either the whole document or a top-level property of an object document
+ * @param {string} filePath
+ * @param {function(*): void} onItem - Called with each parsed item, in order
+ * @param {object} [options]
+ * @param {Array<string>} [options.keys=[]] - Top-level properties whose arrays are read, when the document is an object
+ * @returns {Promise<object>} - The document's other top-level properties that hold strings, numbers, booleans or null
+ * @throws {Error} If the document is not valid JSON
+ */
+export async function readJsonArray(filePath, onItem, options = {}) {
+  const keys = new Set(options.keys || []);
+  const fields = {};
+
+  let depth = 0;
+  let rootType = null;
+  let inString = false;
+  let escaped = false;
+  let expectKey = false;
+  let key = null;
+  let itemDepth = null; // depth inside the array being read, null when not in one
+  let pending = null; // 'item' or 'field' when the next value should be captured
+
+  let captureKind = null; // 'item', 'field' or 'key' while capturing
+  let captureDepth = 0;
+  let captured = '';
+
+  const finishCapture = () => {
+    const text = captured.trim();
+    const kind = captureKind;
+    captured = '';
+    captureKind = null;
+
+    if (kind === 'key') {
+      key = JSON.parse(text);
+      expectKey = false;
+    } else if (kind === 'field') {
+      fields[key] = JSON.parse(text);
+    } else {
+      onItem(JSON.parse(text));
+    }
+  };
+
+  for await (const chunk of createReadStream(filePath, { encoding: 'utf8' })) {
+    let start = captureKind ? 0 : -1;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const code = chunk.charCodeAt(i);
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (code === BACKSLASH) {
+          escaped = true;
+        } else if (code === QUOTE) {
+          inString = false;
+          if (captureKind === 'key') {
+            captured += chunk.slice(start, i + 1);
+            start = -1;
+            finishCapture();
+          }
+        }
+        continue;
+      }
+      if (isWhitespace(code)) continue;
+
+      // The first character of a value we want: start capturing it
+      if (pending && code !== CLOSE_BRACKET && code !== CLOSE_BRACE) {
+        if (pending === 'field' && code === OPEN_BRACKET && keys.has(key)) {
+          itemDepth = depth + 1;
+          pending = 'item';
+          depth++;
+          continue;
+        }
+        if (!(pending === 'field' && (code === OPEN_BRACE || code === OPEN_BRACKET))) {
+          captureKind = pending;
+          captureDepth = depth;
+          start = i;
+        }
+        pending = null;
+      }
+
+      if (code === QUOTE) {
+        inString = true;
+        if (depth === 1 && rootType === OPEN_BRACE && expectKey && !captureKind) {
+          captureKind = 'key';
+          start = i;
+        }
+      } else if (code === OPEN_BRACE || code === OPEN_BRACKET) {
+        if (depth === 0) {
+          rootType = code;
+          if (code === OPEN_BRACKET) {
+            itemDepth = 1;
+            pending = 'item';
+          } else {
+            expectKey = true;
+          }
+        }
+        depth++;
+      } else if (code === CLOSE_BRACE || code === CLOSE_BRACKET) {
+        if (captureKind && depth === captureDepth) {
+          captured += chunk.slice(start, i);
+          start = -1;
+          finishCapture();
+        }
+        if (depth === itemDepth) {
+          itemDepth = null;
+          pending = null;
+        }
+        depth--;
+      } else if (code === COMMA) {
+        if (captureKind && depth === captureDepth) {
+          captured += chunk.slice(start, i);
+          start = -1;
+          finishCapture();
+        }
+        if (depth === itemDepth) pending = 'item';
+        if (depth === 1 && rootType === OPEN_BRACE) expectKey = true;
+      } else if (code === COLON && depth === 1 && rootType === OPEN_BRACE) {
+        pending = 'field';
+      }
+    }
+
+    if (captureKind && start !== -1) captured += chunk.slice(start);
+  }
+
+  if (depth !== 0 || inString || rootType === null) {
+    throw new Error(`Unexpected end of JSON in ${filePath}`);
+  }
+  return fields;
+}
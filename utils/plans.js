@@ -0,0 +1,64 @@
+import { randomUUID } from 'node:crypto';
+
+// Pending update_deck plans created by dry runs
+// Key: token -> { deckId, cardActions, fingerprint, cardErrors, timestamp }
+const plans = new Map();
+const PLAN_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+/**
+ * Fingerprint a deck's card state so a plan can't be applied to a deck that changed since
+ * @param {object} deck - Deck from archidekt.getDeck
+ * @returns {string}
+ */
+export function getDeckFingerprint(deck) {
+  return (deck.cards || [])
+    .map(c => `${c.id}:${c.quantity}:${c.modifier}:${(c.categories || []).join('|')}`)
+    .sort()
+    .join(',');
+}
+
+/**
+ * Store a plan and return its token
+ * @param {object} plan
+ * @param {number} plan.deckId
+ * @param {Array<object>} plan.cardActions - modifyCards actions
+ * @param {string} plan.fingerprint - From getDeckFingerprint
+ * @param {Array<string>} [plan.cardErrors=[]]
+ * @returns {string}
+ */
+export function savePlan(plan) {
+  // Drop expired plans while we're here
+  const now = Date.now();
+  for (const [token, existing] of plans) {
+    if (now - existing.timestamp > PLAN_TTL_MS) plans.delete(token);
+  }
+
+  const token = randomUUID();
+  plans.set(token, { cardErrors: [], ...plan, timestamp: now });
+  return token;
+}
+
+/**
+ * Get a stored plan by token
+ * @param {string} token
+ * @returns {object|null}
+ */
+export function getPlan(token) {
+  const plan = plans.get(token);
+  if (!plan) return null;
+
+  if (Date.now() - plan.timestamp > PLAN_TTL_MS) {
+    plans.delete(token);
+    return null;
+  }
+
+  return plan;
+}
+
+/**
+ * Forget a plan once it has been applied
+ * @param {string} token
+ */
+export function deletePlan(token) {
+  plans.delete(token);
+}
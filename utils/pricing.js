@@ -0,0 +1,151 @@
+import { getCardName, getPrimaryCategory, isInDeck } from './decklist.js';
+
+export const CURRENCIES = ['usd', 'eur', 'tix'];
+
+/**
+ * Format an amount in a currency, e.g. "$1.50", "€1.50" or "1.50 tix"
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string}
+ */
+export function formatPrice(amount, currency) {
+  if (currency === 'usd') return `$${amount.toFixed(2)}`;
+  if (currency === 'eur') return `€${amount.toFixed(2)}`;
+  return `${amount.toFixed(2)} tix`;
+}
+
+/**
+ * Build the Scryfall collection identifier for the exact printing of a deck card
+ * @param {object} deckCard - Entry from deck.cards
+ * @returns {object} - { id } | { set, collector_number } | { name }
+ */
+export function getPrintingIdentifier(deckCard) {
+  const card = deckCard.card;
+  if (card.uid) return { id: card.uid };
+  if (card.edition?.editioncode && card.collectorNumber) {
+    return { set: card.edition.editioncode, collector_number: String(card.collectorNumber) };
+  }
+  return { name: getCardName(deckCard) };
+}
+
+function printingKey(identifier) {
+  if (identifier.id) return `id:${identifier.id}`;
+  if (identifier.set) return `set:${identifier.set.toLowerCase()}:${identifier.collector_number}`;
+  return `name:${identifier.name.toLowerCase()}`;
+}
+
+/**
+ * Index Scryfall cards so each deck card's printing can be found again
+ * @param {Array<object>} scryfallCards - Cards from scryfall.lookupCollection
+ * @returns {Map<string, object>}
+ */
+export function indexPrintings(scryfallCards) {
+  const index = new Map();
+  for (const card of scryfallCards) {
+    index.set(printingKey({ id: card.id }), card);
+    index.set(printingKey({ set: card.set, collector_number: card.collector_number }), card);
+    index.set(printingKey({ name: card.name }), card);
+    index.set(printingKey({ name: card.name.split(' // ')[0] }), card);
+  }
+  return index;
+}
+
+/**
+ * Find the Scryfall printing for a deck card in an index from indexPrintings
+ * @param {Map<string, object>} index
+ * @param {object} deckCard
+ * @returns {object|undefined}
+ */
+export function findPrinting(index, deckCard) {
+  return index.get(printingKey(getPrintingIdentifier(deckCard)))
+    || index.get(printingKey({ name: getCardName(deckCard) }))
+    || index.get(printingKey({ name: getCardName(deckCard).split(' // ')[0] }));
+}
+
+/**
+ * Get a card's price in a currency for the deck card's finish
+ * Foil and etched cards use the matching Scryfall price; MTGO tix have no finish split
+ * @param {object} card - Scryfall card
+ * @param {string} currency - 'usd', 'eur' or 'tix'
+ * @param {string} [modifier='Normal'] - Archidekt modifier: 'Normal', 'Foil' or 'Etched'
+ * @returns {number|null}
+ */
+export function getPrice(card, currency, modifier = 'Normal') {
+  const prices = card.prices || {};
+  let key = currency;
+  if (currency !== 'tix' && modifier === 'Foil') key = `${currency}_foil`;
+  if (currency !== 'tix' && modifier === 'Etched') key = `${currency}_etched`;
+
+  const price = parseFloat(prices[key]);
+  return Number.isNaN(price) ? null : price;
+}
+
+/**
+ * Price every card in a deck
+ * @param {object} deck - Deck from archidekt.getDeck
+ * @param {Map<string, object>} printings - From indexPrintings
+ * @param {object} [options]
+ * @param {string} [options.currency='usd'] - Currency used for totals and ranking
+ * @param {number} [options.maxPrice] - Flag cards whose unit price is above this
+ * @returns {object}
+ */
+export function priceDeck(deck, printings, options = {}) {
+  const { currency = 'usd', maxPrice } = options;
+
+  const entries = [];
+  const unresolved = [];
+
+  for (const deckCard of deck.cards || []) {
+    const name = getCardName(deckCard);
+    const card = findPrinting(printings, deckCard);
+    if (!card) {
+      unresolved.push(name);
+      continue;
+    }
+
+    const modifier = deckCard.modifier || 'Normal';
+    const prices = Object.fromEntries(CURRENCIES.map(c => [c, getPrice(card, c, modifier)]));
+    const unitPrice = prices[currency];
+
+    entries.push({
+      name,
+      quantity: deckCard.quantity,
+      category: getPrimaryCategory(deckCard),
+      inDeck: isInDeck(deck, deckCard),
+      set: card.set,
+      collectorNumber: card.collector_number,
+      modifier,
+      prices,
+      unitPrice,
+      total: unitPrice === null ? null : unitPrice * deckCard.quantity,
+      overBudget: maxPrice !== undefined && isInDeck(deck, deckCard) && unitPrice !== null && unitPrice > maxPrice,
+      card,
+    });
+  }
+
+  const byCategory = {};
+  const totals = Object.fromEntries(CURRENCIES.map(c => [c, 0]));
+  for (const entry of entries) {
+    byCategory[entry.category] = (byCategory[entry.category] || 0) + (entry.total || 0);
+    if (!entry.inDeck) continue;
+    for (const c of CURRENCIES) {
+      totals[c] += (entry.prices[c] || 0) * entry.quantity;
+    }
+  }
+
+  const mostExpensive = entries
+    .filter(e => e.inDeck && e.unitPrice !== null)
+    .sort((a, b) => b.unitPrice - a.unitPrice)
+    .slice(0, 10);
+
+  return {
+    currency,
+    entries,
+    byCategory,
+    totals,
+    mostExpensive,
+    overBudget: entries.filter(e => e.overBudget),
+    missingPrices: entries.filter(e => e.unitPrice === null).map(e => e.name),
+    unresolved,
+  };
+}
@@ -0,0 +1,85 @@
+import { getPrice } from './pricing.js';
+
+export const PRINTING_STRATEGIES = ['set', 'cheapest', 'oldest', 'newest', 'paper'];
+
+// Scryfall finish names for each Archidekt modifier
+const FINISHES = {
+  Normal: 'nonfoil',
+  Foil: 'foil',
+  Etched: 'etched',
+};
+
+/**
+ * Whether a printing exists in the deck card's finish
+ * @param {object} card - Scryfall card
+ * @param {string} [modifier='Normal'] - Archidekt modifier
+ * @returns {boolean}
+ */
+export function hasFinish(card, modifier = 'Normal') {
+  return !card.finishes || card.finishes.includes(FINISHES[modifier] || 'nonfoil');
+}
+
+// Numeric part of a collector number, so "9" sorts before "10" and "410" before "410p"
+function collectorOrder(card) {
+  return parseInt(card.collector_number, 10) || Infinity;
+}
+
+/**
+ * Find the Scryfall printing a deck card currently uses
+ * @param {Array<object>} prints - From scryfall.getPrints
+ * @param {object} deckCard - Entry from deck.cards
+ * @returns {object|undefined}
+ */
+export function findCurrentPrint(prints, deckCard) {
+  const card = deckCard.card;
+  return prints.find(p => p.id === card.uid)
+    || prints.find(p => p.set === card.edition?.editioncode?.toLowerCase() && p.collector_number === String(card.collectorNumber));
+}
+
+/**
+ * Choose the printing a deck card should switch to
+ * @param {Array<object>} prints - From scryfall.getPrints
+ * @param {string} strategy - One of PRINTING_STRATEGIES
+ * @param {object} [options]
+ * @param {string} [options.setCode] - Set code for the 'set' strategy
+ * @param {string} [options.modifier='Normal'] - Deck card's finish; printings without it are skipped
+ * @param {string} [options.currency='usd'] - Currency for the 'cheapest' strategy
+ * @param {object} [options.current] - Current printing, from findCurrentPrint
+ * @returns {object|null} - Scryfall card, or null to keep the current printing
+ */
+export function choosePrinting(prints, strategy, options = {}) {
+  const { setCode, modifier = 'Normal', currency = 'usd', current } = options;
+  const candidates = prints.filter(p => hasFinish(p, modifier));
+  const paper = candidates.filter(p => !p.digital);
+
+  if (strategy === 'set') {
+    const inSet = candidates
+      .filter(p => p.set === setCode?.toLowerCase())
+      .sort((a, b) => collectorOrder(a) - collectorOrder(b));
+    return inSet[0] || null;
+  }
+
+  if (strategy === 'cheapest') {
+    const priced = paper
+      .map(card => ({ card, price: getPrice(card, currency, modifier) }))
+      .filter(p => p.price !== null)
+      .sort((a, b) => a.price - b.price);
+    return priced[0]?.card || null;
+  }
+
+  // Within one release, the lowest collector number is usually the regular (non-showcase) version
+  const released = direction => [...paper].sort((a, b) =>
+    direction * (a.released_at || '').localeCompare(b.released_at || '') || collectorOrder(a) - collectorOrder(b)
+  )[0] || null;
+
+  if (strategy === 'oldest') return released(1);
+  if (strategy === 'newest') return released(-1);
+
+  // 'paper': only move cards off digital-only printings
+  if (strategy === 'paper') {
+    if (current && !current.digital) return null;
+    return released(-1);
+  }
+
+  throw new Error(`Unknown printing strategy: ${strategy}`);
+}
@@ -0,0 +1,240 @@
+import { countCards, getMainboard, getCommanders, getCardName } from './decklist.js';
+import { FORMAT_RULES } from './validation.js';
+import { deckUri, formatDeck } from './resources.js';
+
+// MCP prompts for common deck-building workflows
+// Each prompt is a set of instructions that drives the server's tools; prompts with a deck_id
+// argument get the deck embedded as a resource so the model starts with the list in context
+
+// Commander brackets, summarized for the model
+const BRACKETS = {
+  1: 'Exhibition: ultra-casual, theme over power; no Game Changers, no two-card combos, no extra turns or mass land denial',
+  2: 'Core: roughly precon power; no Game Changers, no two-card combos, no mass land denial, few extra-turn cards',
+  3: 'Upgraded: up to three Game Changers, no mass land denial, no early-game two-card combos',
+  4: 'Optimized: high power, anything legal goes, but not built for the cEDH metagame',
+  5: 'cEDH: the most efficient list possible for competitive play',
+};
+
+export const PROMPTS = [
+  {
+    name: 'brew_commander_deck',
+    description: 'Build a new Commander deck around a commander, optionally to a budget and bracket',
+    arguments: [
+      { name: 'commander', description: 'Commander name (or two partners separated by " & ")', required: true },
+      { name: 'budget', description: 'Maximum total price in USD, e.g. "150"', required: false },
+      { name: 'bracket', description: 'Target Commander bracket, 1 (Exhibition) to 5 (cEDH)', required: false },
+    ],
+  },
+  {
+    name: 'cut_to_size',
+    description: 'Trim an oversized deck down to a card count, keeping its mana base and core roles intact',
+    arguments: [
+      { name: 'deck_id', description: 'Archidekt deck ID or URL', required: true },
+      { name: 'target', description: 'Card count to cut the main deck to (default: the format\'s deck size)', required: false },
+    ],
+  },
+  {
+    name: 'upgrade_deck',
+    description: 'Suggest upgrades for a deck, each paired with a cut, within a budget',
+    arguments: [
+      { name: 'deck_id', description: 'Archidekt deck ID or URL', required: true },
+      { name: 'budget', description: 'Maximum to spend on new cards in USD, e.g. "50"', required: true },
+    ],
+  },
+  {
+    name: 'theme_audit',
+    description: 'Check how well a deck supports a theme: on-theme density, off-theme cards and gaps',
+    arguments: [
+      { name: 'deck_id', description: 'Archidekt deck ID or URL', required: true },
+      { name: 'theme', description: 'Theme or strategy, e.g. "+1/+1 counters", "aristocrats", "changelings"', required: true },
+    ],
+  },
+];
+
+/**
+ * Find a prompt definition by name
+ * @param {string} name
+ * @returns {object|undefined}
+ */
+export function findPrompt(name) {
+  return PROMPTS.find(p => p.name === name);
+}
+
+/**
+ * Whether a prompt embeds a deck
+ * @param {object} prompt - Entry from PROMPTS
+ * @returns {boolean}
+ */
+export function takesDeck(prompt) {
+  return prompt.arguments.some(a => a.name === 'deck_id');
+}
+
+function parseBudget(value) {
+  if (value === undefined || value === '') return null;
+  const amount = parseFloat(String(value).replace(/[$,\s]/g, ''));
+  if (Number.isNaN(amount) || amount <= 0) {
+    throw new Error(`Invalid budget "${value}". Use a dollar amount such as "150".`);
+  }
+  return amount;
+}
+
+function parseWholeNumber(value, argName, min, max) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`Invalid ${argName} "${value}". Use a whole number from ${min} to ${max}.`);
+  }
+  return number;
+}
+
+function userText(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+function deckMessage(deck) {
+  return {
+    role: 'user',
+    content: {
+      type: 'resource',
+      resource: { uri: deckUri(deck.id), mimeType: 'text/plain', text: formatDeck(deck) },
+    },
+  };
+}
+
+function brewCommanderDeck(args) {
+  const budget = parseBudget(args.budget);
+  const bracket = parseWholeNumber(args.bracket, 'bracket', 1, 5);
+
+  const lines = [
+    `Build a Commander deck led by ${args.commander}.`,
+    '',
+    `1. Use lookup_cards on ${args.commander} to read the commander's text and color identity, and decide on the deck's game plan.`,
+    '2. Use search_cards with "id<=" (the color identity) and "f:commander" to find cards for each role. Aim for roughly 36-38 lands, 10 ramp, 10 card draw, 8-10 removal/interaction, 2-3 board wipes and a clear set of win conditions, with the rest supporting the plan.',
+  ];
+  if (budget !== null) {
+    lines.push(`3. Keep the whole deck under $${budget}. Add "usd<=" to searches for expensive slots and prefer budget staples.`);
+  } else {
+    lines.push('3. There is no budget limit.');
+  }
+  if (bracket !== null) {
+    lines.push(`4. Build for bracket ${bracket} - ${BRACKETS[bracket]}.`);
+  } else {
+    lines.push('4. Aim for a casual, precon-plus power level (bracket 2-3) unless the commander calls for more.');
+  }
+  lines.push(
+    '5. Create the deck with create_deck: format "commander", the commander(s), and the other 99 cards as a decklist with [Category] tags for each role.',
+    '6. Run validate_deck and analyze_deck, then fix any problems (deck size, color identity, weak mana base or thin roles) with update_deck.',
+  );
+  if (budget !== null) {
+    lines.push(`7. Run price_deck; if the total is over $${budget}, use suggest_budget_replacements and apply the swaps with update_deck.`);
+  }
+  lines.push('', 'Finish with the deck URL, the game plan in two or three sentences, and the key cards for each role.');
+
+  return {
+    description: `Build a Commander deck around ${args.commander}`,
+    messages: [userText(lines.join('\n'))],
+  };
+}
+
+function cutToSize(args, deck) {
+  const rules = FORMAT_RULES[deck.deckFormat];
+  const target = parseWholeNumber(args.target, 'target', 1, 1000) ?? rules?.maxSize ?? rules?.minSize ?? 60;
+  const current = countCards(getMainboard(deck));
+  const commanders = getCommanders(deck).map(getCardName);
+
+  const lines = [
+    `The deck above has ${current} cards in its main deck. Cut it to ${target}.`,
+  ];
+  if (current <= target) {
+    lines.push(`It is already at or under ${target} cards, so only confirm that and stop.`);
+  } else {
+    lines.push(
+      `That means ${current - target} cuts.`,
+      '',
+      '1. Run analyze_deck to see the mana curve, land count and ramp/draw/interaction counts.',
+      '2. Keep the mana base and core roles intact: only cut lands if the land ratio is clearly too high, and keep enough ramp, card draw and interaction.',
+      `3. Cut the weakest and least on-plan cards first: high mana value cards with low impact, redundant effects and cards that don't support ${commanders.length > 0 ? commanders.join(' & ') : 'the deck\'s plan'}.`,
+      '4. List the proposed cuts grouped by category, with a one-line reason for each.',
+      '5. Preview the cuts with update_deck (cards_to_remove, dry_run: true). Apply them only after I confirm.',
+    );
+  }
+
+  return {
+    description: `Cut "${deck.name}" to ${target} cards`,
+    messages: [deckMessage(deck), userText(lines.join('\n'))],
+  };
+}
+
+function upgradeDeck(args, deck) {
+  const budget = parseBudget(args.budget);
+
+  const lines = [
+    `Suggest upgrades for the deck above, spending at most $${budget} in total on new cards.`,
+    '',
+    '1. Run analyze_deck and validate_deck to find weak spots: thin ramp, draw or interaction, a clunky curve, a shaky mana base or rule problems.',
+    '2. Run price_deck to see what the deck is worth and where the money already is.',
+    `3. Use search_cards within the deck's color identity (add "usd<=" to stay on budget) to find cards that fix those weak spots or strengthen the deck's plan.`,
+    '4. Pair every addition with a cut so the deck size stays the same.',
+    `5. Present the upgrades as a table: add, cut, price, reason. Order by impact and show the running total, stopping at $${budget}.`,
+    '6. Preview the swaps with update_deck (dry_run: true). Apply them only after I confirm.',
+  ];
+
+  return {
+    description: `Upgrade "${deck.name}" for up to $${budget}`,
+    messages: [deckMessage(deck), userText(lines.join('\n'))],
+  };
+}
+
+function themeAudit(args, deck) {
+  const lines = [
+    `Audit how well the deck above supports the theme "${args.theme}".`,
+    '',
+    '1. Use lookup_cards to read the cards you are unsure about.',
+    `2. Put each nonland card in one of three groups: on-theme (advances "${args.theme}" directly), support (ramp, card draw, interaction and protection the deck needs anyway) or off-theme.`,
+    '3. Report the counts and the share of nonland cards in each group, and list the on-theme cards that carry the strategy.',
+    '4. List the off-theme cards as cut candidates, weakest first.',
+    '5. Name gaps in the theme (missing enablers, payoffs or redundancy) and suggest on-theme additions found with search_cards in the deck\'s color identity.',
+    '',
+    'Do not change the deck; this is a report only.',
+  ];
+
+  return {
+    description: `Audit "${deck.name}" for ${args.theme}`,
+    messages: [deckMessage(deck), userText(lines.join('\n'))],
+  };
+}
+
+const BUILDERS = {
+  brew_commander_deck: brewCommanderDeck,
+  cut_to_size: cutToSize,
+  upgrade_deck: upgradeDeck,
+  theme_audit: themeAudit,
+};
+
+/**
+ * Check that a prompt's required arguments are present
+ * @param {object} prompt - Entry from PROMPTS
+ * @param {object} args - Prompt arguments
+ * @throws {Error} If any are missing
+ */
+export function checkArguments(prompt, args) {
+  const missing = prompt.arguments.filter(a => a.required && !String(args[a.name] ?? '').trim());
+  if (missing.length > 0) {
+    throw new Error(`Missing required argument(s) for ${prompt.name}: ${missing.map(a => a.name).join(', ')}`);
+  }
+}
+
+/**
+ * Build a prompt's messages
+ * @param {string} name - Prompt name from PROMPTS
+ * @param {object} args - Prompt arguments (all strings)
+ * @param {object|null} deck - Deck from archidekt.getDeck, for prompts that take a deck_id
+ * @returns {{description: string, messages: Array<object>}}
+ */
+export function buildPrompt(name, args, deck) {
+  const prompt = findPrompt(name);
+  if (!prompt) throw new Error(`Unknown prompt: ${name}`);
+  checkArguments(prompt, args);
+
+  return BUILDERS[name](args, deck);
+}
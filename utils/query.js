@@ -0,0 +1,566 @@
+import { getOracleText, getFrontTypeLine, isPermanent, isCommanderEligible } from './cards.js';
+
+// Parser and evaluator for the commonly used subset of Scryfall query syntax,
+// run against local Scryfall card objects (see https://scryfall.com/docs/syntax)
+
+/**
+ * Thrown for syntax or terms the local evaluator doesn't handle; callers can fall back to the live API
+ */
+export class UnsupportedQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedQueryError';
+  }
+}
+
+const COLOR_ORDER = ['W', 'U', 'B', 'R', 'G'];
+
+const COLOR_NAMES = {
+  white: 'W', blue: 'U', black: 'B', red: 'R', green: 'G',
+  azorius: 'WU', dimir: 'UB', rakdos: 'BR', gruul: 'RG', selesnya: 'GW',
+  orzhov: 'WB', izzet: 'UR', golgari: 'BG', boros: 'RW', simic: 'GU',
+  bant: 'GWU', esper: 'WUB', grixis: 'UBR', jund: 'BRG', naya: 'RGW',
+  abzan: 'WBG', jeskai: 'URW', sultai: 'BGU', mardu: 'RWB', temur: 'GUR',
+  colorless: '', c: '',
+};
+
+const RARITIES = ['common', 'uncommon', 'rare', 'special', 'mythic', 'bonus'];
+const RARITY_ABBREVIATIONS = { c: 'common', u: 'uncommon', r: 'rare', s: 'special', m: 'mythic', b: 'bonus' };
+
+const KEY_ALIASES = {
+  c: 'color', color: 'color', colors: 'color',
+  ci: 'identity', id: 'identity', identity: 'identity', commander: 'identity',
+  t: 'type', type: 'type',
+  o: 'oracle', oracle: 'oracle',
+  mv: 'mv', cmc: 'mv', manavalue: 'mv',
+  pow: 'power', power: 'power',
+  tou: 'toughness', toughness: 'toughness',
+  loy: 'loyalty', loyalty: 'loyalty',
+  r: 'rarity', rarity: 'rarity',
+  s: 'set', set: 'set', e: 'set', edition: 'set',
+  f: 'format', format: 'format', legal: 'format',
+  banned: 'banned',
+  restricted: 'restricted',
+  is: 'is',
+  name: 'name',
+  order: 'order',
+  dir: 'direction', direction: 'direction',
+};
+
+// Terms that describe a printing rather than the card; Scryfall matches them against any printing
+const PRINTING_KEYS = ['rarity', 'set'];
+
+const ORDERS = ['name', 'cmc', 'power', 'toughness', 'rarity', 'color', 'released', 'set', 'edhrec', 'usd', 'eur', 'tix'];
+const DIRECTIONS = ['asc', 'desc', 'auto'];
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+
+/**
+ * Read a quoted string starting at query[start] (which must be '"')
+ * @returns {{text: string, end: number}} - end is the index after the closing quote
+ */
+function readQuoted(query, start) {
+  const close = query.indexOf('"', start + 1);
+  if (close === -1) throw new UnsupportedQueryError('Unterminated quote in query');
+  return { text: query.slice(start + 1, close), end: close + 1 };
+}
+
+/**
+ * Read a /regex/ starting at query[start] (which must be '/')
+ * @returns {{text: string, end: number}}
+ */
+function readRegex(query, start) {
+  let i = start + 1;
+  while (i < query.length && query[i] !== '/') {
+    if (query[i] === '\\') i++;
+    i++;
+  }
+  if (i >= query.length) throw new UnsupportedQueryError('Unterminated regular expression in query');
+  return { text: query.slice(start + 1, i), end: i + 1 };
+}
+
+/**
+ * Read an unquoted word up to whitespace or a parenthesis
+ * @returns {{text: string, end: number}}
+ */
+function readWord(query, start) {
+  let i = start;
+  while (i < query.length && !/[\s()]/.test(query[i])) i++;
+  return { text: query.slice(start, i), end: i };
+}
+
+/**
+ * Split a query into tokens: parentheses, group negation, "or"/"and" and terms
+ * Terms are { type: 'term', key, op, text, negated, regex }, where key is null for
+ * name words/phrases and '!' for exact names
+ * @param {string} query
+ * @returns {Array<object>}
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+      continue;
+    }
+
+    // -( ... ) negates a whole group
+    if (char === '-' && query[i + 1] === '(') {
+      tokens.push({ type: 'not' });
+      i++;
+      continue;
+    }
+
+    let negated = false;
+    if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+      negated = true;
+      i++;
+    }
+
+    const term = { type: 'term', key: null, op: ':', text: '', negated, regex: false };
+
+    if (query[i] === '"') {
+      // Quoted name phrase
+      const quoted = readQuoted(query, i);
+      term.text = quoted.text;
+      i = quoted.end;
+    } else if (query[i] === '!') {
+      // Exact name: !Fire or !"Sol Ring"
+      const exact = query[i + 1] === '"' ? readQuoted(query, i + 1) : readWord(query, i + 1);
+      term.key = '!';
+      term.text = exact.text;
+      i = exact.end;
+    } else {
+      const keyed = query.slice(i).match(/^([a-z]+)(>=|<=|!=|:|=|<|>)/i);
+      if (keyed) {
+        term.key = keyed[1];
+        term.op = keyed[2];
+        i += keyed[0].length;
+
+        let value;
+        if (query[i] === '"') {
+          value = readQuoted(query, i);
+        } else if (query[i] === '/') {
+          value = readRegex(query, i);
+          term.regex = true;
+        } else {
+          value = readWord(query, i);
+        }
+        term.text = value.text;
+        i = value.end;
+      } else {
+        const word = readWord(query, i);
+        i = word.end;
+
+        const lower = word.text.toLowerCase();
+        if (!negated && (lower === 'or' || lower === 'and')) {
+          tokens.push({ type: lower });
+          continue;
+        }
+        term.text = word.text;
+      }
+    }
+
+    tokens.push(term);
+  }
+
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser (or binds looser than and; terms next to each other are and-ed)
+// order: and dir: terms set the sort wherever they appear and don't filter; a group holding only
+// sort terms parses to null, which is left out of the and/or around it
+
+function sortKey(token) {
+  return token.type === 'term' && token.key ? KEY_ALIASES[token.key.toLowerCase()] : null;
+}
+
+function parse(tokens) {
+  let pos = 0;
+  const sort = { order: null, direction: null };
+
+  const peek = () => tokens[pos];
+
+  function readSortTerm(token) {
+    const value = token.text.toLowerCase();
+    if (sortKey(token) === 'order') {
+      if (!ORDERS.includes(value)) throw new UnsupportedQueryError(`Unsupported sort order "${token.text}"`);
+      sort.order = value;
+    } else {
+      if (!DIRECTIONS.includes(value)) {
+        throw new UnsupportedQueryError(`Unsupported sort direction "${token.text}" (use ${DIRECTIONS.join(', ')})`);
+      }
+      sort.direction = value;
+    }
+  }
+
+  function parseOr() {
+    const nodes = [parseAnd()];
+    while (peek()?.type === 'or') {
+      pos++;
+      nodes.push(parseAnd());
+    }
+    const filters = nodes.filter(Boolean);
+    if (filters.length === 0) return null;
+    return filters.length === 1 ? filters[0] : { type: 'or', nodes: filters };
+  }
+
+  function parseAnd() {
+    const nodes = [];
+    let sortTerms = 0;
+    while (pos < tokens.length) {
+      const token = peek();
+      if (token.type === 'or' || token.type === ')') break;
+      if (token.type === 'and') {
+        pos++;
+        continue;
+      }
+      if (sortKey(token) === 'order' || sortKey(token) === 'direction') {
+        readSortTerm(token);
+        sortTerms++;
+        pos++;
+        continue;
+      }
+      const node = parseUnary();
+      if (node) nodes.push(node);
+      else sortTerms++;
+    }
+    if (nodes.length === 0) {
+      if (sortTerms > 0) return null;
+      throw new UnsupportedQueryError('Empty query or group');
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token.type === 'not') {
+      pos++;
+      if (pos >= tokens.length) throw new UnsupportedQueryError('Nothing to negate at end of query');
+      const node = parseUnary();
+      return node && { type: 'not', node };
+    }
+    if (token.type === '(') {
+      pos++;
+      const node = parseOr();
+      if (peek()?.type !== ')') throw new UnsupportedQueryError('Missing closing parenthesis');
+      pos++;
+      return node;
+    }
+    if (token.type === 'term') {
+      pos++;
+      return { type: 'term', ...token };
+    }
+    throw new UnsupportedQueryError(`Unexpected "${token.type}" in query`);
+  }
+
+  const tree = parseOr();
+  if (pos < tokens.length) throw new UnsupportedQueryError('Unbalanced parentheses in query');
+  return { tree, ...sort };
+}
+
+// ---------------------------------------------------------------------------
+// Term matchers
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case ':':
+    case '=': return actual === expected;
+    case '!=': return actual !== expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    default: return false;
+  }
+}
+
+/**
+ * Parse a color value like "rg", "azorius", "m" or "c" into a set of color letters
+ * @param {string} text
+ * @returns {{colors: Set<string>, multicolor: boolean}}
+ */
+function parseColors(text) {
+  const lower = text.toLowerCase();
+  if (lower === 'm' || lower === 'multicolor') return { colors: null, multicolor: true };
+  if (lower in COLOR_NAMES) return { colors: new Set(COLOR_NAMES[lower]), multicolor: false };
+  if (/^[wubrg]+$/.test(lower)) return { colors: new Set(lower.toUpperCase()), multicolor: false };
+  throw new UnsupportedQueryError(`Unsupported color value "${text}"`);
+}
+
+function colorMatcher(field, defaultOp) {
+  return ({ op, text }) => {
+    const { colors, multicolor } = parseColors(text);
+    // "c:c" means colorless rather than "includes no particular color"
+    const effectiveOp = op === ':' ? (colors?.size === 0 ? '=' : defaultOp) : op;
+
+    return card => {
+      const cardColors = new Set(card[field] || card.card_faces?.[0]?.[field] || []);
+      if (multicolor) return cardColors.size > 1;
+
+      const subset = [...cardColors].every(c => colors.has(c));
+      const superset = [...colors].every(c => cardColors.has(c));
+      switch (effectiveOp) {
+        case '=': return subset && superset;
+        case '!=': return !(subset && superset);
+        case '<=': return subset;
+        case '<': return subset && !superset;
+        case '>=': return superset;
+        case '>': return superset && !subset;
+        default: return false;
+      }
+    };
+  };
+}
+
+function textMatcher(getText) {
+  return ({ op, text, regex }) => {
+    if (op !== ':' && op !== '=') throw new UnsupportedQueryError(`Operator "${op}" is not supported for text searches`);
+
+    if (regex) {
+      let pattern;
+      try {
+        pattern = new RegExp(text, 'i');
+      } catch (error) {
+        throw new UnsupportedQueryError(`Invalid regular expression /${text}/: ${error.message}`);
+      }
+      return card => pattern.test(getText(card).replace(/~/g, card.name));
+    }
+
+    const needle = text.toLowerCase();
+    return card => {
+      // ~ stands for the card's own name, as on Scryfall
+      const expanded = needle.replace(/~/g, card.name.toLowerCase());
+      return getText(card).toLowerCase().includes(expanded);
+    };
+  };
+}
+
+function numberMatcher(getValue) {
+  return ({ op, text }) => {
+    const lower = text.toLowerCase();
+    if ((lower === 'even' || lower === 'odd') && (op === ':' || op === '=')) {
+      return card => {
+        const value = getValue(card);
+        return Number.isInteger(value) && (value % 2 === 0) === (lower === 'even');
+      };
+    }
+
+    const expected = Number(text);
+    if (Number.isNaN(expected)) throw new UnsupportedQueryError(`Expected a number, got "${text}"`);
+    return card => {
+      const value = getValue(card);
+      return typeof value === 'number' && !Number.isNaN(value) && compare(value, op, expected);
+    };
+  };
+}
+
+function faceNumber(field) {
+  return card => {
+    const raw = card[field] ?? card.card_faces?.find(f => f[field] !== undefined)?.[field];
+    return raw === undefined ? undefined : parseFloat(raw);
+  };
+}
+
+function legalityMatcher(statuses) {
+  return ({ text }) => {
+    const format = text.toLowerCase();
+    return card => statuses.includes(card.legalities?.[format]);
+  };
+}
+
+const IS_MATCHERS = {
+  commander: card => isCommanderEligible(card),
+  permanent: card => isPermanent(card),
+  spell: card => !getFrontTypeLine(card).includes('Land'),
+  legendary: card => getFrontTypeLine(card).includes('Legendary'),
+  dfc: card => ['transform', 'modal_dfc', 'reversible_card'].includes(card.layout),
+  mdfc: card => card.layout === 'modal_dfc',
+  split: card => card.layout === 'split',
+  digital: card => Boolean(card.digital),
+  reserved: card => Boolean(card.reserved),
+};
+
+const MATCHERS = {
+  color: colorMatcher('colors', '>='),
+  identity: colorMatcher('color_identity', '<='),
+  type: textMatcher(card => card.type_line || ''),
+  oracle: textMatcher(card => getOracleText(card)),
+  name: textMatcher(card => card.name),
+  mv: numberMatcher(card => card.cmc),
+  power: numberMatcher(faceNumber('power')),
+  toughness: numberMatcher(faceNumber('toughness')),
+  loyalty: numberMatcher(faceNumber('loyalty')),
+  rarity: ({ op, text }) => {
+    const rarity = RARITY_ABBREVIATIONS[text.toLowerCase()] || text.toLowerCase();
+    const expected = RARITIES.indexOf(rarity);
+    if (expected === -1) throw new UnsupportedQueryError(`Unknown rarity "${text}"`);
+    return card => compare(RARITIES.indexOf(card.rarity), op, expected);
+  },
+  set: ({ text }) => {
+    const code = text.toLowerCase();
+    return card => card.set === code;
+  },
+  format: legalityMatcher(['legal', 'restricted']),
+  banned: legalityMatcher(['banned']),
+  restricted: legalityMatcher(['restricted']),
+  is: ({ text }) => {
+    const matcher = IS_MATCHERS[text.toLowerCase()];
+    if (!matcher) throw new UnsupportedQueryError(`Unsupported term "is:${text}"`);
+    return matcher;
+  },
+};
+
+/**
+ * Turn a parsed term into a predicate
+ * @param {object} term
+ * @param {object} options - See compileQuery
+ * @returns {function(object): boolean}
+ */
+function compileTerm(term, options) {
+  let predicate;
+
+  if (term.key === null) {
+    // Bare words and quoted phrases search card names
+    const needle = term.text.toLowerCase();
+    predicate = card => card.name.toLowerCase().includes(needle);
+  } else if (term.key === '!') {
+    const exact = term.text.toLowerCase();
+    predicate = card => card.name.toLowerCase() === exact
+      || (card.card_faces || []).some(f => f.name.toLowerCase() === exact);
+  } else {
+    const key = KEY_ALIASES[term.key.toLowerCase()];
+    const matcher = MATCHERS[key];
+    if (!matcher) throw new UnsupportedQueryError(`Unsupported search term "${term.key}${term.op}${term.text}"`);
+    if (options.onePrinting && PRINTING_KEYS.includes(key)) {
+      throw new UnsupportedQueryError(`"${term.key}${term.op}${term.text}" matches any printing, but only one printing per card is stored locally`);
+    }
+    predicate = matcher(term);
+  }
+
+  return term.negated ? card => !predicate(card) : predicate;
+}
+
+function compileNode(node, options) {
+  if (node.type === 'term') return compileTerm(node, options);
+  if (node.type === 'not') {
+    const predicate = compileNode(node.node, options);
+    return card => !predicate(card);
+  }
+
+  const predicates = node.nodes.map(n => compileNode(n, options));
+  return node.type === 'and'
+    ? card => predicates.every(p => p(card))
+    : card => predicates.some(p => p(card));
+}
+
+// ---------------------------------------------------------------------------
+// Ordering
+
+function colorRank(card) {
+  const colors = card.colors || card.card_faces?.[0]?.colors || [];
+  if (colors.length === 0) return 100;
+  if (colors.length > 1) return 50 + colors.length;
+  return COLOR_ORDER.indexOf(colors[0]);
+}
+
+// Cards without a price sort after every priced card, including free ones
+function priceKey(card, currency) {
+  const price = parseFloat(card.prices?.[currency]);
+  return Number.isNaN(price) ? Infinity : price;
+}
+
+const SORT_KEYS = {
+  name: card => card.name,
+  cmc: card => card.cmc ?? 0,
+  power: card => faceNumber('power')(card) ?? -Infinity,
+  toughness: card => faceNumber('toughness')(card) ?? -Infinity,
+  rarity: card => RARITIES.indexOf(card.rarity),
+  color: colorRank,
+  released: card => card.released_at || '',
+  set: card => card.set || '',
+  edhrec: card => card.edhrec_rank ?? Infinity,
+  usd: card => priceKey(card, 'usd'),
+  eur: card => priceKey(card, 'eur'),
+  tix: card => priceKey(card, 'tix'),
+};
+
+// Scryfall's default direction for each order
+const DEFAULT_DESCENDING = ['rarity', 'released', 'power', 'toughness'];
+
+/**
+ * Sort cards the way Scryfall's "order" parameter does, ties broken by name
+ * @param {Array<object>} cards
+ * @param {string} [order='name']
+ * @param {string} [direction='auto'] - 'asc', 'desc' or 'auto'
+ * @returns {Array<object>} - A new sorted array
+ */
+export function sortCards(cards, order = 'name', direction = 'auto') {
+  const getKey = SORT_KEYS[order];
+  if (!getKey) throw new UnsupportedQueryError(`Unsupported sort order "${order}"`);
+
+  const descending = direction === 'desc' || (direction === 'auto' && DEFAULT_DESCENDING.includes(order));
+  const sign = descending ? -1 : 1;
+
+  return [...cards].sort((a, b) => {
+    const keyA = getKey(a);
+    const keyB = getKey(b);
+    let result = 0;
+    if (typeof keyA === 'string') {
+      result = keyA.localeCompare(keyB);
+    } else if (keyA !== keyB) {
+      result = keyA < keyB ? -1 : 1;
+    }
+    return result * sign || a.name.localeCompare(b.name);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+
+/**
+ * Compile a Scryfall query into a predicate plus any inline order:/dir: settings
+ * @param {string} query
+ * @param {object} [options]
+ * @param {boolean} [options.onePrinting=false] - The cards hold one printing each, so printing terms
+ *   (r:, s:/set:/e:) can't match the way Scryfall does and are rejected
+ * @returns {{matches: function(object): boolean, order: string|null, direction: string|null}}
+ * @throws {UnsupportedQueryError}
+ */
+export function compileQuery(query, options = {}) {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return { matches: () => true, order: null, direction: null };
+
+  const { tree, order, direction } = parse(tokens);
+  const matches = tree ? compileNode(tree, options) : () => true;
+  return { matches, order, direction };
+}
+
+/**
+ * Run a Scryfall query against local cards
+ * @param {Array<object>} cards - Scryfall card objects
+ * @param {string} query
+ * @param {object} [options]
+ * @param {string} [options.order='name'] - Used unless the query has its own order: term
+ * @param {string} [options.direction='auto']
+ * @param {boolean} [options.onePrinting=false] - See compileQuery
+ * @returns {Array<object>}
+ * @throws {UnsupportedQueryError}
+ */
+export function runQuery(cards, query, options = {}) {
+  const compiled = compileQuery(query, { onePrinting: options.onePrinting });
+  const order = compiled.order || options.order || 'name';
+  const direction = compiled.direction || options.direction || 'auto';
+  return sortCards(cards.filter(compiled.matches), order, direction);
+}
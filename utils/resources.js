@@ -0,0 +1,127 @@
+import { exportDeck } from './exporter.js';
+import { getCommanders, getCardName, countCards } from './decklist.js';
+
+// URIs and renderers for the MCP resources the server exposes
+// decks://                      - the logged-in user's decks
+// archidekt://deck/{id}         - a deck as text
+// archidekt://deck/{id}/json    - a deck as Archidekt returns it
+// scryfall://card/{name}        - a card's Oracle text
+
+export const DECK_LIST_URI = 'decks://';
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'archidekt://deck/{id}',
+    name: 'Archidekt deck',
+    description: 'A deck\'s commanders and cards by category, in Archidekt text syntax. Public decks need no login.',
+    mimeType: 'text/plain',
+  },
+  {
+    uriTemplate: 'archidekt://deck/{id}/json',
+    name: 'Archidekt deck (JSON)',
+    description: 'A deck exactly as the Archidekt API returns it',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'scryfall://card/{name}',
+    name: 'Scryfall card',
+    description: 'A card\'s mana cost, type line, Oracle text and legalities, looked up by exact name',
+    mimeType: 'text/markdown',
+  },
+];
+
+/**
+ * Build the URI of a deck resource
+ * @param {number} deckId
+ * @param {object} [options]
+ * @param {boolean} [options.json=false] - The JSON variant
+ * @returns {string}
+ */
+export function deckUri(deckId, options = {}) {
+  return `archidekt://deck/${Number(deckId)}${options.json ? '/json' : ''}`;
+}
+
+/**
+ * Identify a resource URI
+ * @param {string} uri
+ * @returns {{type: 'decks'}|{type: 'deck', deckId: number, json: boolean}|{type: 'card', name: string}|null}
+ */
+export function parseResourceUri(uri) {
+  if (uri === DECK_LIST_URI || uri === `${DECK_LIST_URI}/`) return { type: 'decks' };
+
+  const deckMatch = uri.match(/^archidekt:\/\/deck\/(\d+)(\/json)?\/?$/);
+  if (deckMatch) return { type: 'deck', deckId: Number(deckMatch[1]), json: Boolean(deckMatch[2]) };
+
+  const cardMatch = uri.match(/^scryfall:\/\/card\/(.+)$/);
+  if (cardMatch) {
+    try {
+      return { type: 'card', name: decodeURIComponent(cardMatch[1]) };
+    } catch {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the canonical URI of a parsed resource, so equivalent URIs compare equal
+ * @param {object} resource - From parseResourceUri
+ * @returns {string}
+ */
+export function canonicalUri(resource) {
+  if (resource.type === 'decks') return DECK_LIST_URI;
+  if (resource.type === 'deck') return deckUri(resource.deckId, { json: resource.json });
+  return `scryfall://card/${encodeURIComponent(resource.name)}`;
+}
+
+/**
+ * Render the user's deck list
+ * @param {Array<object>} decks - From archidekt.listDecks
+ * @returns {string}
+ */
+export function formatDeckList(decks) {
+  if (decks.length === 0) return 'No decks found.';
+  const lines = decks.map(d => `- ${d.name} (ID: ${d.id}) - ${deckUri(d.id)}`);
+  return `# Your decks (${decks.length})\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Render a deck as text: a short header followed by its cards in Archidekt syntax
+ * @param {object} deck - Deck from archidekt.getDeck
+ * @returns {string}
+ */
+export function formatDeck(deck) {
+  const commanders = getCommanders(deck).map(getCardName);
+  let header = `# ${deck.name} (ID: ${deck.id})\nURL: https://archidekt.com/decks/${deck.id}\n`;
+  if (commanders.length > 0) header += `Commander: ${commanders.join(' & ')}\n`;
+  header += `Total: ${countCards(deck.cards || [])} cards\n`;
+
+  return `${header}\n${exportDeck(deck, 'archidekt', { includeMaybeboard: true })}`.trim();
+}
+
+/**
+ * Render a Scryfall card's rules text
+ * @param {object} card - Scryfall card
+ * @returns {string}
+ */
+export function formatCard(card) {
+  const faces = card.card_faces?.length && !card.oracle_text ? card.card_faces : [card];
+
+  let output = `# ${card.name}\n`;
+  for (const face of faces) {
+    if (faces.length > 1) output += `\n## ${face.name}\n`;
+    output += `${face.mana_cost || 'No mana cost'} · ${face.type_line}\n`;
+    if (face.oracle_text) output += `${face.oracle_text}\n`;
+    if (face.power && face.toughness) output += `**${face.power}/${face.toughness}**\n`;
+    if (face.loyalty) output += `Loyalty: ${face.loyalty}\n`;
+  }
+
+  const legal = Object.entries(card.legalities || {})
+    .filter(([, status]) => status === 'legal')
+    .map(([format]) => format);
+  if (legal.length > 0) output += `\nLegal in: ${legal.join(', ')}\n`;
+  output += `Scryfall: ${card.scryfall_uri}`;
+
+  return output;
+}
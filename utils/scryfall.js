@@ -1,24 +1,16 @@
+import * as bulkdata from './bulkdata.js';
+import * as cardcache from './cardcache.js';
+import { UnsupportedQueryError } from './query.js';
+import { request, configureHost, errorForStatus, responseError } from './http.js';
+
 const BASE_URL = 'https://api.scryfall.com';
 const USER_AGENT = 'CommandTowerMCP/0.1.0';
 
 // Scryfall asks for 50-100ms between requests
-const RATE_LIMIT_MS = 100;
-let lastRequestTime = 0;
-
-// Cache for paginated search results
-// Key: "query|order" -> { cards: [], totalCards: number, fullyLoaded: boolean, timestamp: number }
-const searchCache = new Map();
-const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+configureHost(new URL(BASE_URL).host, { minIntervalMs: 100 });
 
-async function rateLimitedFetch(url, options = {}) {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  if (timeSinceLastRequest < RATE_LIMIT_MS) {
-    await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_MS - timeSinceLastRequest));
-  }
-  lastRequestTime = Date.now();
-
-  const response = await fetch(url, {
+function scryfallFetch(url, options = {}) {
+  return request(url, {
     ...options,
     headers: {
       'Accept': 'application/json',
@@ -26,8 +18,6 @@ async function rateLimitedFetch(url, options = {}) {
       ...options.headers,
     },
   });
-
-  return response;
 }
 
 /**
@@ -36,25 +26,29 @@ async function rateLimitedFetch(url, options = {}) {
  * @param {object} [options]
  * @param {string} [options.order='name'] - Sort order
  * @param {number} [options.page=1] - Page number
+ * @param {string} [options.unique='cards'] - 'cards', 'art' or 'prints'
+ * @param {string} [options.dir='auto'] - 'auto', 'asc' or 'desc'
  * @returns {Promise<{data: Array, has_more: boolean, total_cards: number}>}
  */
 export async function search(query, options = {}) {
-  const { order = 'name', page = 1 } = options;
+  const { order = 'name', page = 1, unique = 'cards', dir = 'auto' } = options;
 
   const params = new URLSearchParams({
     q: query,
     order,
     page,
+    unique,
+    dir,
   });
 
-  const response = await rateLimitedFetch(`${BASE_URL}/cards/search?${params}`);
+  const response = await scryfallFetch(`${BASE_URL}/cards/search?${params}`);
 
   if (!response.ok) {
     if (response.status === 404) {
       return { data: [], has_more: false, total_cards: 0 };
     }
     const error = await response.json().catch(() => ({}));
-    throw new Error(error.details || `Scryfall search error: ${response.status}`);
+    throw errorForStatus(response.status, error.details || `Scryfall search error: ${response.status}`, { url: response.url });
   }
 
   return response.json();
@@ -69,29 +63,33 @@ const SCRYFALL_PAGE_SIZE = 175;
  * @param {number} [options.offset=0] - Starting result index
  * @param {number} [options.limit=20] - Number of results to return
  * @param {string} [options.order='name'] - Sort order
- * @returns {Promise<{cards: Array, totalCards: number, hasMore: boolean}>}
+ * @returns {Promise<{cards: Array, totalCards: number, hasMore: boolean, source: string, localError: string|null}>}
  */
 export async function searchPaginated(query, options = {}) {
   const { offset = 0, limit = 20, order = 'name' } = options;
   const cacheKey = `${query}|${order}`;
 
-  // Check cache
-  let cached = searchCache.get(cacheKey);
-  const now = Date.now();
-
-  // Invalidate expired cache
-  if (cached && (now - cached.timestamp) > CACHE_TTL_MS) {
-    searchCache.delete(cacheKey);
-    cached = null;
+  // Serve from bulk data when configured and the query can be run locally
+  const local = await searchLocal(query, order);
+  if (local.cards) {
+    return {
+      cards: local.cards.slice(offset, offset + limit),
+      totalCards: local.cards.length,
+      hasMore: offset + limit < local.cards.length,
+      source: 'local',
+      localError: null,
+    };
   }
 
-  // Initialize cache entry if needed
+  // Check the persistent cache
+  let cached = await cardcache.getSearch(cacheKey);
+  const isNew = !cached;
   if (!cached) {
-    cached = { cards: [], totalCards: 0, fullyLoaded: false, timestamp: now };
-    searchCache.set(cacheKey, cached);
+    cached = { cards: [], totalCards: 0, fullyLoaded: false };
   }
 
   const endIndex = offset + limit;
+  const loadedBefore = cached.cards.length;
 
   // Fetch more pages if needed
   while (!cached.fullyLoaded && cached.cards.length < endIndex) {
@@ -112,6 +110,10 @@ export async function searchPaginated(query, options = {}) {
     }
   }
 
+  if (isNew || cached.cards.length !== loadedBefore) {
+    await cardcache.storeSearch(cacheKey, cached, isNew);
+  }
+
   // Slice the requested range
   const cards = cached.cards.slice(offset, endIndex);
 
@@ -119,12 +121,62 @@ export async function searchPaginated(query, options = {}) {
     cards,
     totalCards: cached.totalCards,
     hasMore: endIndex < cached.totalCards,
+    source: 'api',
+    localError: local.error,
   };
 }
 
 /**
- * Look up multiple cards by name in a single request (max 75 per batch)
- * @param {Array<string>} cardNames - Array of card names
+ * Get the loaded bulk data store, or null when bulk data isn't configured or can't be loaded
+ * @returns {Promise<object|null>}
+ */
+async function getBulkStore() {
+  if (!bulkdata.isConfigured()) return null;
+  try {
+    return await bulkdata.getStore();
+  } catch {
+    // Missing or unreadable file: fall back to the live API
+    return null;
+  }
+}
+
+/**
+ * Run a search against bulk data if configured
+ * @param {string} query
+ * @param {string} order
+ * @returns {Promise<{cards: Array|null, error: string|null}>} - cards is null when the live API should be used;
+ *   error explains why a configured local search couldn't run
+ */
+async function searchLocal(query, order) {
+  const store = await getBulkStore();
+  if (!store) return { cards: null, error: null };
+
+  try {
+    return { cards: bulkdata.search(store, query, order), error: null };
+  } catch (error) {
+    if (error instanceof UnsupportedQueryError) {
+      return { cards: null, error: error.message };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Describe a collection identifier for "not found" reporting
+ * @param {object} identifier
+ * @returns {string}
+ */
+function describeIdentifier(identifier) {
+  if (identifier.name) return identifier.name;
+  if (identifier.set && identifier.collector_number) return `${identifier.set} ${identifier.collector_number}`;
+  return identifier.id || identifier.oracle_id || JSON.stringify(identifier);
+}
+
+/**
+ * Look up multiple cards in a single request (max 75 per batch)
+ * Served from bulk data when configured, then the card cache; only cards missing from both are fetched
+ * (an oracle_cards file has one printing per card, so other printings asked for by ID or set come from the API)
+ * @param {Array<string|object>} cardNames - Card names, or Scryfall identifiers ({ id }, { oracle_id }, { set, collector_number })
  * @returns {Promise<{found: Array, notFound: Array<string>}>}
  */
 export async function lookupCollection(cardNames) {
@@ -132,31 +184,190 @@ export async function lookupCollection(cardNames) {
     return { found: [], notFound: [] };
   }
 
-  // Scryfall allows max 75 identifiers per request
-  const MAX_BATCH = 75;
   const allFound = [];
   const allNotFound = [];
+  let remaining = cardNames.map(c => (typeof c === 'string' ? { name: c } : c));
+
+  const store = await getBulkStore();
+  if (store) {
+    const missing = [];
+    for (const identifier of remaining) {
+      const card = bulkdata.findCard(store, identifier);
+      if (card) {
+        allFound.push(card);
+      } else {
+        missing.push(identifier);
+      }
+    }
+    remaining = missing;
+  }
 
-  for (let i = 0; i < cardNames.length; i += MAX_BATCH) {
-    const batch = cardNames.slice(i, i + MAX_BATCH);
-    const identifiers = batch.map(name => ({ name }));
+  // Only ask Scryfall for cards the cache doesn't have
+  const toFetch = [];
+  for (const identifier of remaining) {
+    const card = await cardcache.findCard(identifier);
+    if (card) {
+      allFound.push(card);
+    } else {
+      toFetch.push(identifier);
+    }
+  }
+
+  // Scryfall allows max 75 identifiers per request
+  const MAX_BATCH = 75;
 
-    const response = await rateLimitedFetch(`${BASE_URL}/cards/collection`, {
+  for (let i = 0; i < toFetch.length; i += MAX_BATCH) {
+    const identifiers = toFetch.slice(i, i + MAX_BATCH);
+
+    const response = await scryfallFetch(`${BASE_URL}/cards/collection`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({ identifiers }),
+      idempotent: true,
     });
 
     if (!response.ok) {
-      throw new Error(`Scryfall API error: ${response.status}`);
+      throw await responseError(response, 'Scryfall API error');
     }
 
     const result = await response.json();
-    allFound.push(...(result.data || []));
-    allNotFound.push(...(result.not_found || []).map(nf => nf.name));
+    const data = result.data || [];
+    allFound.push(...data);
+    allNotFound.push(...(result.not_found || []).map(describeIdentifier));
+
+    // Cards asked for by name or oracle ID are the default printing and can be found by name later
+    const names = new Set(identifiers.filter(id => id.name).map(id => id.name.toLowerCase()));
+    const oracleIds = new Set(identifiers.filter(id => id.oracle_id).map(id => id.oracle_id));
+    const isDefault = card => names.has(card.name.toLowerCase())
+      || names.has(card.name.split(' // ')[0].toLowerCase())
+      || oracleIds.has(card.oracle_id);
+    await cardcache.storeCards(data.filter(isDefault), { defaultPrinting: true });
+    await cardcache.storeCards(data.filter(card => !isDefault(card)));
   }
 
   return { found: allFound, notFound: allNotFound };
 }
+
+/**
+ * Get a single card by Scryfall ID
+ * Served from bulk data when configured and the printing is in it
+ * @param {string} id - Scryfall card ID
+ * @returns {Promise<object|null>}
+ */
+export async function getCardById(id) {
+  const store = await getBulkStore();
+  const local = store && bulkdata.findCard(store, { id });
+  if (local) return local;
+
+  const cached = await cardcache.findCard({ id });
+  if (cached) return cached;
+
+  const response = await scryfallFetch(`${BASE_URL}/cards/${encodeURIComponent(id)}`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw await responseError(response, 'Scryfall API error');
+  }
+  const card = await response.json();
+  await cardcache.storeCards([card]);
+  return card;
+}
+
+/**
+ * Get a single card by exact name
+ * Served from bulk data when configured and the card is in it
+ * @param {string} name
+ * @returns {Promise<object|null>}
+ */
+export async function getCardByName(name) {
+  const store = await getBulkStore();
+  const local = store && bulkdata.findCard(store, { name });
+  if (local) return local;
+
+  const cached = await cardcache.findCard({ name });
+  if (cached) return cached;
+
+  const params = new URLSearchParams({ exact: name });
+  const response = await scryfallFetch(`${BASE_URL}/cards/named?${params}`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw await responseError(response, 'Scryfall API error');
+  }
+  const card = await response.json();
+  await cardcache.storeCards([card], { defaultPrinting: true });
+  return card;
+}
+
+/**
+ * Look up cards by name and index the results by lowercased name
+ * Double-faced and split cards are also indexed by their front face name
+ * @param {Array<string>} cardNames - Array of card names
+ * @returns {Promise<{cards: Map<string, object>, notFound: Array<string>}>}
+ */
+export async function lookupCardMap(cardNames) {
+  // Scryfall matches front face names, which avoids "A // B" mismatches
+  const frontNames = [...new Set(cardNames.map(name => name.split(' // ')[0]))];
+  const { found, notFound } = await lookupCollection(frontNames);
+
+  const cards = new Map();
+  for (const card of found) {
+    cards.set(card.name.toLowerCase(), card);
+    cards.set(card.name.split(' // ')[0].toLowerCase(), card);
+  }
+
+  return { cards, notFound };
+}
+
+/**
+ * Find a card in a map built by lookupCardMap
+ * @param {Map<string, object>} cardMap
+ * @param {string} name
+ * @returns {object|undefined}
+ */
+export function findCard(cardMap, name) {
+  const key = name.toLowerCase();
+  return cardMap.get(key) || cardMap.get(key.split(' // ')[0]);
+}
+
+/**
+ * Get every printing of a card, oldest first
+ * @param {string} name - Exact card name
+ * @returns {Promise<Array<object>>}
+ */
+export async function getPrints(name) {
+  const frontName = name.split(' // ')[0].replace(/"/g, '');
+  const prints = [];
+
+  let page = 1;
+  let hasMore = true;
+  while (hasMore) {
+    const result = await search(`!"${frontName}" include:extras`, { order: 'released', unique: 'prints', dir: 'asc', page });
+    prints.push(...(result.data || []));
+    hasMore = result.has_more;
+    page++;
+  }
+
+  return prints;
+}
+
+/**
+ * Find the cheapest paper printing of a card in a currency
+ * @param {string} name - Exact card name
+ * @param {string} [currency='usd'] - 'usd', 'eur' or 'tix'
+ * @returns {Promise<{card: object, price: number}|null>}
+ */
+export async function findCheapestPrint(name, currency = 'usd') {
+  const frontName = name.split(' // ')[0].replace(/"/g, '');
+  const game = currency === 'tix' ? 'mtgo' : 'paper';
+  const result = await search(`!"${frontName}" game:${game}`, { order: currency, unique: 'prints', dir: 'asc' });
+
+  // Cards without a price sort last, so the first priced card is the cheapest
+  for (const card of result.data || []) {
+    const price = parseFloat(card.prices?.[currency]);
+    if (!Number.isNaN(price)) {
+      return { card, price };
+    }
+  }
+  return null;
+}
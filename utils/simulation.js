@@ -0,0 +1,331 @@
+import { getMainboard, getCommanders, getCardName, joinCardData } from './decklist.js';
+import { isLand } from './cards.js';
+import { getRoles } from './analysis.js';
+
+// Monte Carlo goldfish of a deck's opening hands and first turns, plus exact hypergeometric odds
+// The goldfish only models lands and ramp: each turn it plays a land if it can, then casts
+// the cheapest ramp spells it can afford, each adding one mana from the next turn on
+
+export const HAND_SIZE = 7;
+
+/**
+ * Build the library for simulation: the main deck without commanders, one entry per copy
+ * Cards missing from cardMap count as nonland spells with mana value 0
+ * @param {object} deck - Deck from archidekt.getDeck
+ * @param {Map<string, object>} cardMap - Scryfall cards from scryfall.lookupCardMap
+ * @returns {{library: Array<object>, commanders: Array<{name: string, cmc: number}>, unresolved: Array<string>}}
+ */
+export function buildLibrary(deck, cardMap) {
+  const commanderCards = getCommanders(deck);
+  const commanderIds = new Set(commanderCards.map(c => c.id));
+  const { entries, unresolved } = joinCardData(getMainboard(deck).filter(c => !commanderIds.has(c.id)), cardMap);
+
+  const library = [];
+  for (const { name, quantity, card, deckCard } of entries) {
+    const entry = {
+      name,
+      land: isLand(card),
+      cmc: card.cmc || 0,
+      ramp: getRoles(card).includes('ramp'),
+      categories: deckCard.categories || [],
+    };
+    for (let i = 0; i < quantity; i++) library.push(entry);
+  }
+
+  // Unresolved cards still take up library slots
+  for (const name of unresolved) {
+    const deckCard = deck.cards.find(c => getCardName(c) === name);
+    if (!deckCard || commanderIds.has(deckCard.id)) continue;
+    for (let i = 0; i < deckCard.quantity; i++) {
+      library.push({ name, land: false, cmc: 0, ramp: false, categories: deckCard.categories || [] });
+    }
+  }
+
+  const { entries: commanderEntries } = joinCardData(commanderCards, cardMap);
+  const commanders = commanderEntries.map(e => ({ name: e.name, cmc: e.card.cmc || 0 }));
+
+  return { library, commanders, unresolved };
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32), so runs can be repeated
+ * @param {number} seed
+ * @returns {function(): number} - Returns numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(cards, random) {
+  const result = [...cards];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function countLands(cards) {
+  return cards.filter(c => c.land).length;
+}
+
+// Pick the cards to put on the bottom after a London mulligan:
+// lands while the hand has more than its share (3 in 7), otherwise the most expensive spell
+function chooseBottom(hand, count) {
+  const kept = [...hand];
+  const bottomed = [];
+  const targetLands = Math.round((HAND_SIZE - count) * 3 / HAND_SIZE);
+
+  for (let i = 0; i < count; i++) {
+    const spells = kept.filter(c => !c.land).sort((a, b) => b.cmc - a.cmc);
+    const card = countLands(kept) > targetLands || spells.length === 0
+      ? kept.find(c => c.land)
+      : spells[0];
+    kept.splice(kept.indexOf(card), 1);
+    bottomed.push(card);
+  }
+  return { kept, bottomed };
+}
+
+/**
+ * Play one game: mulligan to a keepable hand, then goldfish the first turns
+ * @param {Array<object>} library - From buildLibrary
+ * @param {Array<{name: string, cmc: number}>} commanders
+ * @param {object} options - See simulateDeck
+ * @param {function(): number} random
+ * @returns {object}
+ */
+function playGame(library, commanders, options, random) {
+  const { turns, onThePlay, minLands, maxLands, maxMulligans, freeMulligan, keyCards } = options;
+
+  let mulligans = 0;
+  let firstHandLands = null;
+  let shuffled;
+  let hand;
+  for (;;) {
+    shuffled = shuffle(library, random);
+    hand = shuffled.slice(0, HAND_SIZE);
+    const lands = countLands(hand);
+    if (firstHandLands === null) firstHandLands = lands;
+    if ((lands >= minLands && lands <= maxLands) || mulligans >= maxMulligans) break;
+    mulligans++;
+  }
+
+  const bottomCount = Math.max(0, mulligans - (freeMulligan ? 1 : 0));
+  const { kept, bottomed } = chooseBottom(hand, bottomCount);
+  hand = kept;
+  const draws = [...shuffled.slice(HAND_SIZE), ...bottomed];
+
+  const keyCardTurns = new Map(keyCards.map(name => [name, null]));
+  const markSeen = (card, turn) => {
+    const key = card.name.toLowerCase();
+    if (keyCardTurns.has(key) && keyCardTurns.get(key) === null) keyCardTurns.set(key, turn);
+  };
+  for (const card of hand) markSeen(card, 1);
+
+  let landsInPlay = 0;
+  let rampSources = 0;
+  const landsByTurn = [];
+  const manaByTurn = [];
+  const commanderTurns = commanders.map(() => null);
+
+  for (let turn = 1; turn <= turns; turn++) {
+    if (!(turn === 1 && onThePlay) && draws.length > 0) {
+      const card = draws.shift();
+      hand.push(card);
+      markSeen(card, turn);
+    }
+
+    const land = hand.find(c => c.land);
+    if (land) {
+      hand.splice(hand.indexOf(land), 1);
+      landsInPlay++;
+    }
+
+    const mana = landsInPlay + rampSources;
+    landsByTurn.push(landsInPlay);
+    manaByTurn.push(mana);
+    commanders.forEach((commander, i) => {
+      if (commanderTurns[i] === null && mana >= commander.cmc) commanderTurns[i] = turn;
+    });
+
+    let available = mana;
+    const ramp = hand.filter(c => c.ramp && !c.land).sort((a, b) => a.cmc - b.cmc);
+    let newSources = 0;
+    for (const card of ramp) {
+      if (card.cmc > available) break;
+      available -= card.cmc;
+      hand.splice(hand.indexOf(card), 1);
+      newSources++;
+    }
+    rampSources += newSources;
+  }
+
+  return { mulligans, firstHandLands, landsByTurn, manaByTurn, commanderTurns, keyCardTurns };
+}
+
+/**
+ * Run a Monte Carlo simulation of a deck
+ * @param {Array<object>} library - From buildLibrary
+ * @param {Array<{name: string, cmc: number}>} commanders - From buildLibrary
+ * @param {object} [options]
+ * @param {number} [options.games=10000]
+ * @param {number} [options.turns=7] - Turns to goldfish
+ * @param {boolean} [options.onThePlay=true] - Skip the first draw
+ * @param {number} [options.minLands=2] - Fewest lands in a keepable 7
+ * @param {number} [options.maxLands=5] - Most lands in a keepable 7
+ * @param {number} [options.maxMulligans=3] - Keep whatever comes after this many mulligans
+ * @param {boolean} [options.freeMulligan=false] - First mulligan puts no card on the bottom (Commander)
+ * @param {Array<string>} [options.keyCards=[]] - Card names to track
+ * @param {number} [options.seed] - Seed for repeatable results
+ * @returns {object}
+ */
+export function simulateDeck(library, commanders, options = {}) {
+  const settings = {
+    games: 10000,
+    turns: 7,
+    onThePlay: true,
+    minLands: 2,
+    maxLands: 5,
+    maxMulligans: 3,
+    freeMulligan: false,
+    ...options,
+    keyCards: (options.keyCards || []).map(name => name.toLowerCase()),
+  };
+  const random = createRandom(settings.seed ?? Date.now());
+
+  const openingLands = new Array(HAND_SIZE + 1).fill(0);
+  const mulligans = new Array(settings.maxMulligans + 1).fill(0);
+  const landDropsHit = new Array(settings.turns).fill(0);
+  const landsTotal = new Array(settings.turns).fill(0);
+  const manaTotal = new Array(settings.turns).fill(0);
+  const commanderTurns = commanders.map(() => new Array(settings.turns + 1).fill(0));
+  const keyCardTurns = new Map(settings.keyCards.map(name => [name, new Array(settings.turns + 1).fill(0)]));
+
+  for (let game = 0; game < settings.games; game++) {
+    const result = playGame(library, commanders, settings, random);
+
+    openingLands[result.firstHandLands]++;
+    mulligans[result.mulligans]++;
+    result.landsByTurn.forEach((lands, i) => {
+      if (lands >= i + 1) landDropsHit[i]++;
+      landsTotal[i] += lands;
+    });
+    result.manaByTurn.forEach((mana, i) => {
+      manaTotal[i] += mana;
+    });
+    // Index 0 counts games where it never happened within the simulated turns
+    result.commanderTurns.forEach((turn, i) => {
+      commanderTurns[i][turn ?? 0]++;
+    });
+    for (const [name, turn] of result.keyCardTurns) {
+      keyCardTurns.get(name)[turn ?? 0]++;
+    }
+  }
+
+  const rate = count => count / settings.games;
+  const cumulative = counts => counts.slice(1).map((_, i) => rate(counts.slice(1, i + 2).reduce((a, b) => a + b, 0)));
+
+  return {
+    settings,
+    librarySize: library.length,
+    landCount: countLands(library),
+    openingLands: openingLands.map(rate),
+    mulligans: mulligans.map(rate),
+    landDrops: landDropsHit.map(rate),
+    averageLands: landsTotal.map(rate),
+    averageMana: manaTotal.map(rate),
+    commanders: commanders.map((commander, i) => ({
+      ...commander,
+      byTurn: cumulative(commanderTurns[i]),
+    })),
+    keyCards: settings.keyCards.map((name, i) => ({
+      name: options.keyCards[i],
+      copies: library.filter(c => c.name.toLowerCase() === name).length,
+      byTurn: cumulative(keyCardTurns.get(name)),
+    })),
+  };
+}
+
+function logFactorial(n) {
+  let result = 0;
+  for (let i = 2; i <= n; i++) result += Math.log(i);
+  return result;
+}
+
+function logChoose(n, k) {
+  return logFactorial(n) - logFactorial(k) - logFactorial(n - k);
+}
+
+/**
+ * Exact probability of drawing at least some number of successes (hypergeometric)
+ * @param {number} population - Library size
+ * @param {number} successes - Copies of the wanted cards in the library
+ * @param {number} draws - Cards seen
+ * @param {number} [atLeast=1]
+ * @returns {number}
+ * @throws {Error} If successes is not a whole number from 0 to the population
+ */
+export function hypergeometricAtLeast(population, successes, draws, atLeast = 1) {
+  if (!Number.isInteger(successes) || successes < 0 || successes > population) {
+    throw new Error(`Wanted card count must be a whole number from 0 to ${population} (the library size), got ${successes}`);
+  }
+  const n = Math.min(draws, population);
+  let probability = 0;
+  for (let i = atLeast; i <= Math.min(successes, n); i++) {
+    if (n - i > population - successes) continue;
+    probability += Math.exp(logChoose(successes, i) + logChoose(population - successes, n - i) - logChoose(population, n));
+  }
+  return Math.min(probability, 1);
+}
+
+/**
+ * Number of cards seen by a turn: the opening hand plus one draw per turn
+ * @param {number} turn
+ * @param {boolean} onThePlay - No draw on turn 1
+ * @returns {number}
+ */
+export function cardsSeenByTurn(turn, onThePlay) {
+  return HAND_SIZE + turn - (onThePlay ? 1 : 0);
+}
+
+/**
+ * Count the library cards a hypergeometric query is about
+ * @param {Array<object>} library - From buildLibrary
+ * @param {object} query
+ * @param {Array<string>} [query.cards] - Card names
+ * @param {string} [query.category] - Archidekt category, e.g. "Ramp"
+ * @param {string} [query.role] - Role from oracle text: 'land' or 'ramp'
+ * @param {number} [query.count] - Number of cards, when they aren't named
+ * @returns {{label: string, successes: number}}
+ * @throws {Error} If count is not a whole number from 0 to the library size
+ */
+export function countQueryCards(library, query) {
+  if (query.count !== undefined) {
+    if (!Number.isInteger(query.count) || query.count < 0 || query.count > library.length) {
+      throw new Error(`count must be a whole number from 0 to ${library.length} (the library size), got ${query.count}`);
+    }
+    return { label: `${query.count} cards`, successes: query.count };
+  }
+  if (query.cards?.length) {
+    const names = new Set(query.cards.map(n => n.toLowerCase()));
+    const successes = library.filter(c => names.has(c.name.toLowerCase())).length;
+    return { label: query.cards.join(', '), successes };
+  }
+  if (query.category) {
+    const category = query.category.toLowerCase();
+    const successes = library.filter(c => c.categories.some(cat => cat.toLowerCase() === category)).length;
+    return { label: `category "${query.category}"`, successes };
+  }
+  if (query.role === 'land' || query.role === 'ramp') {
+    return { label: `${query.role} cards`, successes: library.filter(c => c[query.role]).length };
+  }
+  throw new Error('Each query needs cards, category, role or count');
+}
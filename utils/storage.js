@@ -0,0 +1,51 @@
+import { mkdir, readFile, writeFile, rename } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import path from 'node:path';
+
+/**
+ * Get the directory for local data (journal, caches, backups)
+ * Uses COMMAND_TOWER_DATA_DIR, defaulting to ~/.command-tower-mcp
+ * @returns {string}
+ */
+export function getDataDir() {
+  return process.env.COMMAND_TOWER_DATA_DIR || path.join(homedir(), '.command-tower-mcp');
+}
+
+/**
+ * Resolve a path inside the data directory
+ * @param {...string} parts
+ * @returns {string}
+ */
+export function dataPath(...parts) {
+  return path.join(getDataDir(), ...parts);
+}
+
+/**
+ * Read a JSON file, returning a fallback if it doesn't exist
+ * @param {string} filePath
+ * @param {*} [fallback=null]
+ * @returns {Promise<*>}
+ */
+export async function readJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file atomically, creating parent directories as needed
+ * @param {string} filePath
+ * @param {*} data
+ * @param {object} [options]
+ * @param {number} [options.mode] - File permissions (e.g. 0o600)
+ * @returns {Promise<void>}
+ */
+export async function writeJson(filePath, data, options = {}) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await writeFile(tempPath, JSON.stringify(data, null, 2), { mode: options.mode });
+  await rename(tempPath, filePath);
+}
@@ -0,0 +1,305 @@
+import { DECK_FORMATS } from './archidekt.js';
+import { getPrimaryCategory, getMainboard, getCommanders, countCards, joinCardData } from './decklist.js';
+import { getOracleText, getManaCost, getFrontTypeLine, isLand, isPermanent, isCommanderEligible } from './cards.js';
+
+// Deck construction rules per Archidekt format ID
+// legality is the key in Scryfall's card.legalities
+export const FORMAT_RULES = {
+  [DECK_FORMATS.STANDARD]: { name: 'Standard', legality: 'standard', minSize: 60, maxCopies: 4, sideboardMax: 15 },
+  [DECK_FORMATS.MODERN]: { name: 'Modern', legality: 'modern', minSize: 60, maxCopies: 4, sideboardMax: 15 },
+  [DECK_FORMATS.COMMANDER]: { name: 'Commander', legality: 'commander', minSize: 100, maxSize: 100, maxCopies: 1, commander: true },
+  [DECK_FORMATS.LEGACY]: { name: 'Legacy', legality: 'legacy', minSize: 60, maxCopies: 4, sideboardMax: 15 },
+  [DECK_FORMATS.VINTAGE]: { name: 'Vintage', legality: 'vintage', minSize: 60, maxCopies: 4, sideboardMax: 15 },
+  [DECK_FORMATS.PAUPER]: { name: 'Pauper', legality: 'pauper', minSize: 60, maxCopies: 4, sideboardMax: 15 },
+  [DECK_FORMATS.PIONEER]: { name: 'Pioneer', legality: 'pioneer', minSize: 60, maxCopies: 4, sideboardMax: 15 },
+  [DECK_FORMATS.BRAWL]: { name: 'Brawl', legality: 'brawl', minSize: 100, maxSize: 100, maxCopies: 1, commander: true },
+  [DECK_FORMATS.HISTORIC]: { name: 'Historic', legality: 'historic', minSize: 60, maxCopies: 4, sideboardMax: 15 },
+  [DECK_FORMATS.OATHBREAKER]: { name: 'Oathbreaker', legality: 'oathbreaker', minSize: 60, maxSize: 60, maxCopies: 1, commander: true },
+};
+
+const CARD_TYPES = ['Artifact', 'Battle', 'Creature', 'Enchantment', 'Land', 'Planeswalker', 'Instant', 'Sorcery', 'Kindred', 'Tribal'];
+const BASIC_LAND_TYPES = ['Plains', 'Island', 'Swamp', 'Mountain', 'Forest'];
+const NUMBER_WORDS = { two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+/**
+ * Get the copy limit a card's own text sets, if any
+ * ("A deck can have any number of cards named ..." / "up to seven cards named ...")
+ * @param {object} card - Scryfall card
+ * @returns {number|null} - Infinity, a number, or null when the format limit applies
+ */
+function getCopyLimitOverride(card) {
+  if (card.type_line?.includes('Basic') && card.type_line.includes('Land')) return Infinity;
+
+  const text = getOracleText(card);
+  if (/a deck can have any number of cards named/i.test(text)) return Infinity;
+
+  const upTo = text.match(/a deck can have up to (\w+) cards named/i);
+  if (upTo) return NUMBER_WORDS[upTo[1].toLowerCase()] || parseInt(upTo[1], 10) || null;
+
+  return null;
+}
+
+function getCardTypes(card) {
+  const typeLine = getFrontTypeLine(card).split(' — ')[0];
+  return CARD_TYPES.filter(t => typeLine.includes(t));
+}
+
+function hasPlainPartner(card) {
+  return /(^|\n)Partner( \(|\n|$)/.test(getOracleText(card));
+}
+
+function getPartnerWith(card) {
+  return getOracleText(card).match(/(^|\n)Partner with ([^(\n]+)/)?.[2].trim();
+}
+
+/**
+ * Check whether a card can be a commander on its own
+ * @param {object} card - Scryfall card
+ * @param {object} rules - Entry from FORMAT_RULES
+ * @returns {boolean}
+ */
+function canBeCommander(card, rules) {
+  if (isCommanderEligible(card)) return true;
+  const typeLine = getFrontTypeLine(card);
+  return rules.legality === 'brawl' && typeLine.includes('Legendary') && typeLine.includes('Planeswalker');
+}
+
+/**
+ * Check whether two commanders may be paired
+ * Covers Partner, Partner with, Friends forever, backgrounds and Doctor's companion
+ * @param {object} a - Scryfall card
+ * @param {object} b - Scryfall card
+ * @returns {boolean}
+ */
+function isValidPair(a, b) {
+  const textA = getOracleText(a);
+  const textB = getOracleText(b);
+
+  if (hasPlainPartner(a) && hasPlainPartner(b)) return true;
+  if (getPartnerWith(a) === b.name && getPartnerWith(b) === a.name) return true;
+  if (/Friends forever/.test(textA) && /Friends forever/.test(textB)) return true;
+
+  const isBackground = card => getFrontTypeLine(card).includes('Background');
+  if (/Choose a Background/.test(textA) && isBackground(b)) return true;
+  if (/Choose a Background/.test(textB) && isBackground(a)) return true;
+
+  const isDoctor = card => /Time Lord Doctor/.test(getFrontTypeLine(card));
+  if (/Doctor's companion/.test(textA) && isDoctor(b)) return true;
+  if (/Doctor's companion/.test(textB) && isDoctor(a)) return true;
+
+  return false;
+}
+
+// Deckbuilding conditions for each companion, checked against the starting deck
+// Each returns the names of offending cards, or null for a deck-level failure
+const COMPANION_RULES = {
+  'Gyruda, Doom of Depths': entries => entries
+    .filter(e => !isLand(e.card) && e.card.cmc % 2 !== 0)
+    .map(e => e.name),
+  'Jegantha, the Wellspring': entries => entries
+    .filter(e => {
+      const symbols = getManaCost(e.card).match(/\{[^}]+\}/g) || [];
+      return new Set(symbols).size !== symbols.length;
+    })
+    .map(e => e.name),
+  'Kaheera, the Orphanguard': entries => entries
+    .filter(e => {
+      const typeLine = getFrontTypeLine(e.card);
+      if (!typeLine.includes('Creature')) return false;
+      if (/Changeling/.test(getOracleText(e.card))) return false;
+      return !['Cat', 'Elemental', 'Nightmare', 'Dinosaur', 'Beast'].some(t => typeLine.includes(t));
+    })
+    .map(e => e.name),
+  'Keruga, the Macrosage': entries => entries
+    .filter(e => !isLand(e.card) && e.card.cmc < 3)
+    .map(e => e.name),
+  'Lurrus of the Dream-Den': entries => entries
+    .filter(e => isPermanent(e.card) && e.card.cmc > 2)
+    .map(e => e.name),
+  'Lutri, the Spellchaser': entries => entries
+    .filter(e => !isLand(e.card) && e.quantity > 1)
+    .map(e => e.name),
+  'Obosh, the Preypiercer': entries => entries
+    .filter(e => !isLand(e.card) && e.card.cmc % 2 !== 1)
+    .map(e => e.name),
+  'Umori, the Collector': entries => {
+    const nonland = entries.filter(e => !isLand(e.card));
+    const shared = nonland.reduce(
+      (types, e) => types.filter(t => getCardTypes(e.card).includes(t)),
+      CARD_TYPES
+    );
+    return shared.length > 0 || nonland.length === 0 ? [] : [null];
+  },
+  'Yorion, Sky Nomad': (entries, rules) => {
+    const size = entries.reduce((sum, e) => sum + e.quantity, 0);
+    return size >= rules.minSize + 20 ? [] : [null];
+  },
+  // Heuristic: an activated ability shows up as "cost: effect" outside of quoted granted abilities
+  'Zirda, the Dawnwaker': entries => entries
+    .filter(e => {
+      if (!isPermanent(e.card)) return false;
+      if (BASIC_LAND_TYPES.some(t => getFrontTypeLine(e.card).includes(t))) return false;
+      return !getOracleText(e.card).replace(/"[^"]*"/g, '').includes(':');
+    })
+    .map(e => e.name),
+};
+
+const COMPANION_CONDITIONS = {
+  'Gyruda, Doom of Depths': 'each nonland card must have an even mana value',
+  'Jegantha, the Wellspring': 'no card may have more than one of the same mana symbol in its cost',
+  'Kaheera, the Orphanguard': 'each creature must be a Cat, Elemental, Nightmare, Dinosaur or Beast',
+  'Keruga, the Macrosage': 'each nonland card must have mana value 3 or greater',
+  'Lurrus of the Dream-Den': 'each permanent card must have mana value 2 or less',
+  'Lutri, the Spellchaser': 'each nonland card must have a different name',
+  'Obosh, the Preypiercer': 'each nonland card must have an odd mana value',
+  'Umori, the Collector': 'each nonland card must share a card type',
+  'Yorion, Sky Nomad': 'starting deck must be at least 20 cards over the minimum',
+  'Zirda, the Dawnwaker': 'each permanent card must have an activated ability',
+};
+
+/**
+ * Validate a deck against its format's construction rules
+ * @param {object} deck - Deck from archidekt.getDeck
+ * @param {Map<string, object>} cardMap - Scryfall cards from scryfall.lookupCardMap
+ * @returns {{format: object|null, violations: Array<{card: string|null, rule: string, message: string}>, unresolved: Array<string>, deckSize: number}}
+ */
+export function validateDeck(deck, cardMap) {
+  const rules = FORMAT_RULES[deck.deckFormat];
+  const violations = [];
+  const unresolved = [];
+
+  if (!rules) {
+    return { format: null, violations, unresolved, deckSize: 0 };
+  }
+
+  const addViolation = (card, rule, message) => violations.push({ card, rule, message });
+
+  // Join each deck card with its Scryfall data
+  const resolve = deckCards => {
+    const joined = joinCardData(deckCards, cardMap);
+    for (const name of joined.unresolved) {
+      if (!unresolved.includes(name)) unresolved.push(name);
+    }
+    return joined.entries;
+  };
+
+  const allCards = deck.cards || [];
+  const companionCards = allCards.filter(c => c.companion || getPrimaryCategory(c) === 'Companion');
+  const mainboard = getMainboard(deck).filter(c => !companionCards.includes(c));
+  const sideboard = allCards.filter(c => getPrimaryCategory(c) === 'Sideboard' && !companionCards.includes(c));
+
+  const mainEntries = resolve(mainboard);
+  const sideEntries = resolve(sideboard);
+  const companionEntries = resolve(companionCards);
+
+  // Legality (companions and sideboard cards must be legal too)
+  const checked = new Set();
+  for (const entry of [...mainEntries, ...sideEntries, ...companionEntries]) {
+    if (checked.has(entry.name)) continue;
+    checked.add(entry.name);
+
+    const status = entry.card.legalities?.[rules.legality];
+    if (status === 'banned') {
+      addViolation(entry.name, 'Legality', `Banned in ${rules.name}`);
+    } else if (status === 'not_legal') {
+      addViolation(entry.name, 'Legality', `Not legal in ${rules.name}`);
+    }
+  }
+
+  // Copy limits, counted across printings and across main deck + sideboard
+  const copies = new Map();
+  for (const entry of [...mainEntries, ...sideEntries]) {
+    const existing = copies.get(entry.name) || { card: entry.card, quantity: 0 };
+    existing.quantity += entry.quantity;
+    copies.set(entry.name, existing);
+  }
+  for (const [name, { card, quantity }] of copies) {
+    const override = getCopyLimitOverride(card);
+    let limit = override ?? rules.maxCopies;
+    if (override === null && card.legalities?.[rules.legality] === 'restricted') limit = 1;
+
+    if (quantity > limit) {
+      const rule = rules.maxCopies === 1 ? 'Singleton' : 'Copy limit';
+      addViolation(name, rule, `${quantity} copies (max ${limit})`);
+    }
+  }
+
+  // Deck size
+  const deckSize = countCards(mainboard);
+  const minSize = rules.minSize;
+  if (rules.maxSize === minSize && deckSize !== minSize) {
+    addViolation(null, 'Deck size', `${deckSize} cards (needs exactly ${minSize})`);
+  } else if (deckSize < minSize) {
+    addViolation(null, 'Deck size', `${deckSize} cards (needs at least ${minSize})`);
+  } else if (rules.maxSize && deckSize > rules.maxSize) {
+    addViolation(null, 'Deck size', `${deckSize} cards (max ${rules.maxSize})`);
+  }
+
+  if (rules.sideboardMax !== undefined) {
+    const sideboardSize = countCards(sideboard);
+    if (sideboardSize > rules.sideboardMax) {
+      addViolation(null, 'Sideboard size', `${sideboardSize} cards (max ${rules.sideboardMax})`);
+    }
+  }
+
+  // Commanders and color identity
+  if (rules.commander) {
+    const commanderEntries = resolve(getCommanders(deck));
+
+    if (commanderEntries.length === 0) {
+      addViolation(null, 'Commander', 'No commander designated (put it in the Commander category)');
+    } else if (rules.legality === 'oathbreaker') {
+      if (!commanderEntries.some(e => getFrontTypeLine(e.card).includes('Planeswalker'))) {
+        addViolation(null, 'Commander', 'No planeswalker designated as oathbreaker');
+      }
+    } else {
+      const [first, second] = commanderEntries;
+      if (commanderEntries.length > 2) {
+        addViolation(null, 'Commander', `${commanderEntries.length} commanders designated (max 2)`);
+      } else if (second && !isValidPair(first.card, second.card)) {
+        addViolation(`${first.name} & ${second.name}`, 'Commander', 'These commanders cannot be paired');
+      }
+
+      for (const entry of commanderEntries) {
+        const isPairedBackground = second && getFrontTypeLine(entry.card).includes('Background');
+        if (!canBeCommander(entry.card, rules) && !isPairedBackground) {
+          addViolation(entry.name, 'Commander', 'Cannot be a commander');
+        }
+      }
+    }
+
+    if (commanderEntries.length > 0) {
+      const identity = new Set(commanderEntries.flatMap(e => e.card.color_identity || []));
+      const identityLabel = [...identity].join('') || 'C';
+      const seen = new Set();
+
+      for (const entry of [...mainEntries, ...companionEntries]) {
+        if (seen.has(entry.name)) continue;
+        seen.add(entry.name);
+
+        const outside = (entry.card.color_identity || []).filter(c => !identity.has(c));
+        if (outside.length > 0) {
+          addViolation(entry.name, 'Color identity', `Has ${outside.join('')} outside commander identity (${identityLabel})`);
+        }
+      }
+    }
+  }
+
+  // Companions
+  for (const entry of companionEntries) {
+    if (!entry.card.keywords?.includes('Companion')) {
+      addViolation(entry.name, 'Companion', 'Marked as companion but has no companion ability');
+      continue;
+    }
+
+    const check = COMPANION_RULES[entry.card.name];
+    if (!check) continue;
+
+    for (const offender of check(mainEntries, rules)) {
+      const condition = COMPANION_CONDITIONS[entry.card.name];
+      addViolation(offender, 'Companion', `Breaks ${entry.card.name}'s condition: ${condition}`);
+    }
+  }
+
+  return { format: rules, violations, unresolved, deckSize };
+}